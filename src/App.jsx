@@ -2,64 +2,131 @@ import Header from './components/Header'
 import Timeline from './components/Timeline'
 import BlastSim from './components/BlastSim'
 import { motion } from 'framer-motion'
-import React from 'react'
+import React, { useMemo, useState } from 'react'
+import ScenarioBar from './components/ScenarioBar'
+import ScenarioDropZone from './components/ScenarioDropZone'
+import PresetEditor from './components/PresetEditor'
+import useUrlState from './hooks/useUrlState'
+import { ScenarioContext, useScenarioLoader } from './hooks/useScenario'
+import { DEFAULT_SCENARIO_ID } from './lib/scenario'
+import { SCENE_METERS_PER_UNIT } from './lib/unit4'
+import { readScenarioId, readSharedScenarioId, readStage, writeQuizOpen, writeScenarioId, writeSharedScenarioId, writeStage } from './lib/urlState'
 
 function App() {
-  const [stage, setStage] = React.useState(0)
+  // The stage lives in the URL; each jump is a history entry so back/forward step through the timeline
+  const [searchParams, updateUrl] = useUrlState()
+  const stage = readStage(searchParams)
+  const scenarioId = readScenarioId(searchParams, DEFAULT_SCENARIO_ID)
+  const sharedId = readSharedScenarioId(searchParams)
+  const scenario = useScenarioLoader(scenarioId, sharedId)
+  const ready = scenario.stages.length > 0
+  // Stage currently on screen (a replay shows the recorded one); null in composite mode
+  const [activeStage, setActiveStage] = useState(null)
 
   const handleJump = (idx) => {
-    setStage(idx)
+    updateUrl((params) => writeStage(params, idx), { push: true })
+  }
+
+  // Opens the quiz panel on a stage's questions
+  const handleQuiz = (idx) => {
+    updateUrl((params) => {
+      writeStage(params, idx)
+      writeQuizOpen(params, true)
+    }, { push: true })
+  }
+  const quizCounts = useMemo(() => {
+    const counts = {}
+    for (const q of scenario.quiz?.questions || []) counts[q.stage] = (counts[q.stage] || 0) + 1
+    return counts
+  }, [scenario.quiz])
+
+  const handleScenario = (id) => {
+    // Re-picking the current scenario discards a dropped file or unsaved edits
+    if (id === scenarioId && !sharedId) {
+      scenario.reload()
+      return
+    }
+    updateUrl((params) => {
+      writeSharedScenarioId(params, null)
+      writeScenarioId(params, id, DEFAULT_SCENARIO_ID)
+      writeStage(params, 0)
+    }, { push: true })
   }
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-900 to-black">
-      <div className="max-w-6xl mx-auto p-6 space-y-6">
-        <Header />
+    <ScenarioContext.Provider value={scenario}>
+      <ScenarioDropZone onFile={scenario.loadFile}>
+        <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-900 to-black">
+          <div className="max-w-6xl mx-auto p-6 space-y-6">
+            <Header />
+            <ScenarioBar
+              selectedId={scenarioId}
+              onSelect={handleScenario}
+              actions={ready && <PresetEditor stage={stage} onJump={handleJump} />}
+            />
+
+            <div className="grid lg:grid-cols-2 gap-6 items-start">
+              <motion.div
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.5 }}
+                className="space-y-4"
+              >
+                <h2 className="text-2xl font-bold text-white">Blast and Fallout Simulation</h2>
+                <p className="text-slate-300 text-sm">
+                  This interactive scene approximates the steam and hydrogen explosions and the subsequent lofting of
+                  particulates. It uses gravity, drag and wind advection to model particle motion. Use the controls to tweak
+                  initial energy and drag to explore plausible envelopes. Note: this is an educational visualization, not a
+                  forensic CFD reconstruction. The optional dose layer is illustrative only: a rough isotope mix and
+                  arbitrary units, not a radiological assessment.
+                </p>
+                {ready ? (
+                  <BlastSim stage={Math.min(stage, scenario.stages.length - 1)} onActiveStageChange={setActiveStage} />
+                ) : (
+                  <div className="w-full h-[560px] rounded-2xl border border-slate-700 bg-slate-900 flex items-center justify-center text-slate-400 text-sm">
+                    {scenario.status === 'loading' ? 'Loading scenario…' : 'No scenario loaded'}
+                  </div>
+                )}
+              </motion.div>
 
-        <div className="grid lg:grid-cols-2 gap-6 items-start">
-          <motion.div
-            initial={{ opacity: 0, y: 10 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ duration: 0.5 }}
-            className="space-y-4"
-          >
-            <h2 className="text-2xl font-bold text-white">Blast and Fallout Simulation</h2>
-            <p className="text-slate-300 text-sm">
-              This interactive scene approximates the steam and hydrogen explosions and the subsequent lofting of
-              particulates. It uses gravity, drag and wind advection to model particle motion. Use the controls to tweak
-              initial energy and drag to explore plausible envelopes. Note: this is an educational visualization, not a
-              forensic CFD reconstruction.
-            </p>
-            <BlastSim stage={stage} />
-          </motion.div>
+              <motion.div
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.6, delay: 0.1 }}
+                className="space-y-4"
+              >
+                {ready && <Timeline stages={scenario.stages} activeIndex={activeStage} onJump={handleJump} quizCounts={quizCounts} onQuiz={handleQuiz} />}
 
-          <motion.div
-            initial={{ opacity: 0, y: 10 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ duration: 0.6, delay: 0.1 }}
-            className="space-y-4"
-          >
-            <Timeline onJump={handleJump} />
+                <div className="bg-slate-800/60 border border-slate-700 rounded-2xl p-4 text-slate-300 text-sm">
+                  <div className="font-semibold text-white mb-2">Physics assumptions</div>
+                  <ul className="list-disc list-inside space-y-1">
+                    <li>Particles start near the core with velocities proportional to an energy spike.</li>
+                    <li>Gravity, drag (size-dependent), buoyancy with thermal decay, and wind advection (with altitude shear, veering and gusts) are integrated at a fixed 120 Hz timestep, independent of frame rate.</li>
+                    <li>Ground collisions damp vertical motion and deposit fallout into a ground map that can accumulate across stages.</li>
+                    <li>Debris fragments are rigid bodies in a cannon-es world: they collide with each other, the ground and the building, get pushed by the shockwave and fall asleep once at rest (capped at a few hundred bodies).</li>
+                    <li>Explosive stages send out an air blast scaled from the stage energy to a TNT equivalent: peak overpressure follows the Kinney–Graham scaled-distance fit, the front slows to sound speed as it weakens, and it kicks particles and debris as it passes. Building parts register standard overpressure damage tiers.</li>
+                    <li>Reactor mode replaces the first stages with a point-kinetics model: six delayed-neutron groups, accelerated xenon poisoning, a positive void coefficient and graphite-tipped control rods. The model's power drives the core glow, its phase picks the stage and the peak of the excursion sets the explosion energy.</li>
+                    <li>Plume metrics (top height, centroid, downwind distance, lateral spread, airborne fraction, temperature, debris range) are measured from the particle buffers every 0.1 simulated seconds.</li>
+                    <li>Timeline stages come from a JSON scenario file that sets each stage's timestamp, initial impulse, anisotropy, thermal energy and layer mix to match reports.</li>
+                    <li>Fallout carries a representative I-131 / Cs-137 / Sr-90 mix that decays with its real half-lives over compressed incident time; dose-rate isolines are a rough, illustrative blur of the decayed ground activity.</li>
+                    <li>The Unit 4 building is a procedural, schematic model; each stage's damage levels lift and tilt the upper biological shield, break roof sections away as debris slabs and expose the glowing core.</li>
+                    <li>Map mode places the scene on a schematic, offline basemap of the exclusion zone at {SCENE_METERS_PER_UNIT} m per scene unit, with the reactor site, Pripyat, the cooling pond and 10/30 km rings.</li>
+                    <li>A master clock maps simulated seconds onto the incident timestamps; stage changes ease forces and particle counts toward the next preset instead of relaunching.</li>
+                    <li>Without WebGL, or if the 3D renderer fails, the same particle and debris models run on the main thread and are drawn as a 2D side view from the south, with each stage and the plume's height and heading described in a screen-reader live region.</li>
+                  </ul>
+                </div>
 
-            <div className="bg-slate-800/60 border border-slate-700 rounded-2xl p-4 text-slate-300 text-sm">
-              <div className="font-semibold text-white mb-2">Physics assumptions</div>
-              <ul className="list-disc list-inside space-y-1">
-                <li>Particles start near the core with velocities proportional to an energy spike.</li>
-                <li>Gravity, drag (size-dependent), buoyancy with thermal decay, and wind advection are applied each frame.</li>
-                <li>Ground collisions damp vertical motion and deposit fallout.</li>
-                <li>Timeline stages adjust initial impulse, anisotropy, and thermal energy to match reports.</li>
-              </ul>
+                <a href="/test" className="inline-block text-blue-300 hover:text-blue-200 underline">Saved runs, shared scenarios & backend status</a>
+              </motion.div>
             </div>
 
-            <a href="/test" className="inline-block text-blue-300 hover:text-blue-200 underline">Backend & DB status</a>
-          </motion.div>
+            <footer className="pt-8 text-center text-slate-500 text-xs">
+              Educational visualization based on open-source knowledge about the RBMK-1000 accident timeline.
+            </footer>
+          </div>
         </div>
-
-        <footer className="pt-8 text-center text-slate-500 text-xs">
-          Educational visualization based on open-source knowledge about the RBMK-1000 accident timeline.
-        </footer>
-      </div>
-    </div>
+      </ScenarioDropZone>
+    </ScenarioContext.Provider>
   )
 }
 
@@ -1,127 +1,249 @@
-import { useState, useEffect } from 'react'
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Download, ExternalLink, Link2, RefreshCw, Trash2, UploadCloud } from 'lucide-react'
+import useApi from './hooks/useApi'
+import useToast from './hooks/useToast'
+import { DEFAULT_SCENARIO_ID } from './lib/scenario'
+import { runSearch } from './lib/runs'
+import { writeSharedScenarioId } from './lib/urlState'
+import { downloadJson } from './lib/download'
 
-function Test() {
-  const [backendStatus, setBackendStatus] = useState('checking...')
-  const [backendUrl, setBackendUrl] = useState('')
-  const [databaseStatus, setDatabaseStatus] = useState(null)
+const iconButton = 'flex items-center gap-1 px-2 py-0.5 rounded hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent'
 
-  useEffect(() => {
-    checkBackendConnection()
-  }, [])
+const STATUS_STYLES = {
+  online: ['bg-emerald-400', 'Connected'],
+  offline: ['bg-rose-400', 'Unreachable, working offline'],
+  checking: ['bg-amber-300 animate-pulse', 'Checking…'],
+  unavailable: ['bg-slate-500', 'Not configured'],
+}
 
-  const checkBackendConnection = async () => {
-    try {
-      // Get backend URL from environment variable
-      const baseUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
-      setBackendUrl(baseUrl)
-
-      // Test basic backend connectivity
-      const response = await fetch(`${baseUrl}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
+const ENDPOINTS = {
+  mock: 'In-browser mock (this browser only; development servers and VITE_MOCK_BACKEND=true builds). Set VITE_BACKEND_URL for a real backend.',
+  none: 'None. Set VITE_BACKEND_URL when building to save runs and share scenarios.',
+}
 
-      if (response.ok) {
-        const data = await response.json()
-        setBackendStatus(`✅ Connected - ${data.message || 'OK'}`)
-        
-        // Now test database connectivity
-        await checkDatabaseConnection(baseUrl)
-      } else {
-        setBackendStatus(`❌ Failed - ${response.status} ${response.statusText}`)
-        setDatabaseStatus({ error: 'Backend not accessible' })
+const formatDate = (iso) => new Date(iso).toLocaleString()
+const fixed = (v, digits = 1) => (typeof v === 'number' ? v.toFixed(digits) : '–')
+
+function Section({ title, actions, children }) {
+  return (
+    <section className="rounded-2xl border border-slate-700 bg-slate-800/60 p-4 text-sm text-slate-300 space-y-3">
+      <div className="flex items-center gap-2">
+        <h2 className="font-semibold text-white">{title}</h2>
+        <div className="ml-auto flex items-center gap-1 text-xs">{actions}</div>
+      </div>
+      {children}
+    </section>
+  )
+}
+
+function Connection() {
+  const api = useApi()
+  const [dot, label] = STATUS_STYLES[api.status]
+  return (
+    <Section
+      title="Backend"
+      actions={
+        <>
+          {api.mock && (
+            <button onClick={() => { api.mock.setOnline(!api.mock.isOnline()); api.check() }} className={iconButton} title="Make the in-browser backend fail like an unreachable server">
+              {api.mock.isOnline() ? 'Simulate outage' : 'End outage'}
+            </button>
+          )}
+          <button onClick={api.check} disabled={api.mode === 'none'} className={iconButton}><RefreshCw className="w-3.5 h-3.5" /> Check again</button>
+        </>
       }
-    } catch (error) {
-      setBackendStatus(`❌ Error - ${error.message}`)
-      setDatabaseStatus({ error: 'Backend not accessible' })
+    >
+      <div className="grid grid-cols-[auto,1fr] gap-x-4 gap-y-1 text-xs">
+        <span className="text-slate-400">Endpoint</span>
+        <span className="font-mono break-all">{api.mode === 'remote' ? api.baseUrl : ENDPOINTS[api.mode]}</span>
+        <span className="text-slate-400">Status</span>
+        <span className="flex items-center gap-1.5"><span className={`inline-block w-2 h-2 rounded-full ${dot}`} />{label}</span>
+        {api.health && (
+          <>
+            <span className="text-slate-400">Version</span>
+            <span className="font-mono">{api.health.version || '–'}</span>
+            <span className="text-slate-400">Database</span>
+            <span>{api.health.database ? `${api.health.database.name || 'database'} (${api.health.database.status})` : '–'}</span>
+          </>
+        )}
+      </div>
+    </Section>
+  )
+}
+
+function Runs() {
+  const api = useApi()
+  const toast = useToast()
+  const [state, setState] = useState({ runs: null, offline: false })
+
+  // Listed again whenever the records or the connection change
+  const { listRuns, version, status } = api
+  useEffect(() => {
+    if (status === 'unavailable') return
+    let cancelled = false
+    listRuns()
+      .then((result) => { if (!cancelled) setState(result) })
+      .catch((e) => {
+        if (cancelled) return
+        setState({ runs: [], offline: false })
+        toast({ tone: 'error', title: 'Could not list saved runs', description: e.message })
+      })
+    return () => { cancelled = true }
+  }, [listRuns, toast, version, status])
+
+  const download = async (summary) => {
+    try {
+      downloadJson(await api.getRun(summary.id), `run-${summary.id}.json`)
+    } catch (e) {
+      toast({ tone: 'error', title: 'Could not download the run', description: e.message })
     }
   }
-
-  const checkDatabaseConnection = async (baseUrl) => {
+  const remove = async (summary) => {
     try {
-      const response = await fetch(`${baseUrl}/test`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+      await api.deleteRun(summary.id)
+    } catch (e) {
+      toast({ tone: 'error', title: 'Could not delete the run', description: e.message })
+    }
+  }
+
+  const { runs, offline } = state
+  return (
+    <Section
+      title="Saved runs"
+      actions={api.pending > 0 && (
+        <button onClick={api.flush} disabled={api.status !== 'online'} className={iconButton} title="Upload runs saved while the backend was unreachable">
+          <UploadCloud className="w-3.5 h-3.5" /> Upload {api.pending} waiting
+        </button>
+      )}
+    >
+      {offline && <div role="status" className="text-xs text-amber-200">Backend unreachable: only runs saved in this browser are listed.</div>}
+      {status === 'unavailable' ? (
+        <div className="text-xs text-slate-400">Saving runs needs a backend. The plume metrics can still be exported as CSV.</div>
+      ) : runs === null ? (
+        <div className="text-xs text-slate-400">Loading…</div>
+      ) : runs.length === 0 ? (
+        <div className="text-xs text-slate-400">No runs yet. Use “Save run” under the plume metrics to keep one.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead className="text-left text-slate-400">
+              <tr>
+                <th className="py-1 pr-3 font-normal">Run</th>
+                <th className="py-1 pr-3 font-normal">Stage</th>
+                <th className="py-1 pr-3 font-normal">Energy / drag / seed</th>
+                <th className="py-1 pr-3 font-normal">Peak top</th>
+                <th className="py-1 pr-3 font-normal">Saved</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((run) => (
+                <tr key={run.id} className="border-t border-slate-700/60 align-top">
+                  <td className="py-1.5 pr-3">
+                    <div className="text-slate-100">{run.name}</div>
+                    <div className="text-slate-500">{run.scenario.title || run.scenario.id}</div>
+                  </td>
+                  <td className="py-1.5 pr-3">{run.stage.title || run.stage.id}</td>
+                  <td className="py-1.5 pr-3 font-mono tabular-nums">{fixed(run.params.energyScale, 2)} / {fixed(run.params.dragOffset, 3)} / {run.params.seed}</td>
+                  <td className="py-1.5 pr-3 tabular-nums">{fixed(run.metrics?.peakTopHeight)}</td>
+                  <td className="py-1.5 pr-3">
+                    {formatDate(run.createdAt)}
+                    {run.pending && <div className="text-amber-300">Not uploaded yet</div>}
+                  </td>
+                  <td className="py-1.5">
+                    <div className="flex items-center justify-end gap-1">
+                      <Link to={`/?${runSearch(run, DEFAULT_SCENARIO_ID)}`} className={iconButton} title="Open this run in the simulator"><ExternalLink className="w-3.5 h-3.5" /> Open</Link>
+                      <button onClick={() => download(run)} className={iconButton} title="Download as JSON" aria-label="Download as JSON"><Download className="w-3.5 h-3.5" /></button>
+                      <button onClick={() => remove(run)} className={iconButton} title="Delete run" aria-label="Delete run"><Trash2 className="w-3.5 h-3.5" /></button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Section>
+  )
+}
+
+function SharedScenarios() {
+  const api = useApi()
+  const toast = useToast()
+  const [scenarios, setScenarios] = useState(null)
+
+  const { listScenarios, version, status } = api
+  useEffect(() => {
+    if (status === 'unavailable') return
+    let cancelled = false
+    listScenarios()
+      .then((list) => { if (!cancelled) setScenarios(list) })
+      .catch((e) => {
+        if (cancelled) return
+        setScenarios([])
+        if (!e.unreachable) toast({ tone: 'error', title: 'Could not list shared scenarios', description: e.message })
       })
+    return () => { cancelled = true }
+  }, [listScenarios, toast, version, status])
 
-      if (response.ok) {
-        const dbData = await response.json()
-        setDatabaseStatus(dbData)
-      } else {
-        setDatabaseStatus({ error: `Failed to check database - ${response.status}` })
-      }
-    } catch (error) {
-      setDatabaseStatus({ error: `Database check failed - ${error.message}` })
+  const linkFor = (id) => {
+    const params = new URLSearchParams()
+    writeSharedScenarioId(params, id)
+    return `/?${params}`
+  }
+  const copy = async (id) => {
+    const link = `${window.location.origin}${linkFor(id)}`
+    try {
+      await navigator.clipboard.writeText(link)
+      toast({ tone: 'success', title: 'Link copied', description: link })
+    } catch (e) {
+      toast({ title: 'Copy this link', description: link })
     }
   }
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 flex items-center justify-center p-8">
-      <div className="bg-white p-8 rounded-lg shadow-lg max-w-md w-full">
-        <h1 className="text-3xl font-bold text-gray-800 mb-6 text-center">
-          Backend & Database Test
-        </h1>
-
-        <div className="space-y-4">
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend URL:</h3>
-            <p className="text-sm text-gray-600 break-all bg-gray-100 p-2 rounded">
-              {backendUrl || 'Detecting...'}
-            </p>
-          </div>
-
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend Status:</h3>
-            <p className="text-sm font-mono bg-gray-100 p-2 rounded">
-              {backendStatus}
-            </p>
-          </div>
-
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Database Status:</h3>
-            <div className="text-sm bg-gray-100 p-3 rounded">
-              {databaseStatus ? (
-                databaseStatus.error ? (
-                  <p className="text-red-600 font-mono">{databaseStatus.error}</p>
-                ) : (
-                  <div className="space-y-2">
-                    <p><span className="font-semibold">Backend:</span> {databaseStatus.backend}</p>
-                    <p><span className="font-semibold">Database:</span> {databaseStatus.database}</p>
-                    <p><span className="font-semibold">DB URL:</span> {databaseStatus.database_url}</p>
-                    <p><span className="font-semibold">DB Name:</span> {databaseStatus.database_name}</p>
-                    <p><span className="font-semibold">Connection:</span> {databaseStatus.connection_status}</p>
-                    {databaseStatus.collections && databaseStatus.collections.length > 0 && (
-                      <p><span className="font-semibold">Collections:</span> {databaseStatus.collections.join(', ')}</p>
-                    )}
-                  </div>
-                )
-              ) : (
-                <p className="text-gray-500 font-mono">Checking database...</p>
-              )}
-            </div>
-          </div>
-
-          <button
-            onClick={checkBackendConnection}
-            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded transition-colors"
-          >
-            Test Again
-          </button>
-
-          <a
-            href="/"
-            className="block w-full bg-gray-500 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded text-center transition-colors"
-          >
-            Back to Home
-          </a>
+    <Section title="Shared scenarios">
+      {status === 'unavailable' ? (
+        <div className="text-xs text-slate-400">Sharing scenarios needs a backend. “Share” downloads the scenario file instead.</div>
+      ) : status === 'offline' ? (
+        <div className="text-xs text-amber-200">Shared scenarios need the backend; they will be listed once it answers.</div>
+      ) : scenarios === null ? (
+        <div className="text-xs text-slate-400">Loading…</div>
+      ) : scenarios.length === 0 ? (
+        <div className="text-xs text-slate-400">Nothing shared yet. Use “Share” next to the scenario picker.</div>
+      ) : (
+        <ul className="divide-y divide-slate-700/60 text-xs">
+          {scenarios.map((s) => (
+            <li key={s.id} className="flex items-center gap-2 py-1.5">
+              <span className="text-slate-100">{s.title}</span>
+              <span className="text-slate-500 font-mono">{s.id}</span>
+              <span className="ml-auto text-slate-400">{formatDate(s.createdAt)}</span>
+              <Link to={linkFor(s.id)} className={iconButton}><ExternalLink className="w-3.5 h-3.5" /> Open</Link>
+              <button onClick={() => copy(s.id)} className={iconButton} title="Copy link" aria-label="Copy link"><Link2 className="w-3.5 h-3.5" /></button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Section>
+  )
+}
+
+// Backend status plus the runs and scenarios stored on it
+function Test() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-900 to-black">
+      <div className="max-w-4xl mx-auto p-6 space-y-4">
+        <div className="flex items-center">
+          <h1 className="text-2xl font-bold text-white">Runs and backend</h1>
+          <Link to="/" className="ml-auto text-sm text-blue-300 hover:text-blue-200 underline">Back to the simulation</Link>
         </div>
+        <Connection />
+        <Runs />
+        <SharedScenarios />
       </div>
     </div>
   )
 }
 
-export default Test
\ No newline at end of file
+export default Test
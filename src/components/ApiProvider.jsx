@@ -0,0 +1,8 @@
+import { ApiContext, useApiService } from '../hooks/useApi'
+import useToast from '../hooks/useToast'
+
+// Backend client shared by every route; sits inside the Toaster
+export default function ApiProvider({ children }) {
+  const api = useApiService(useToast())
+  return <ApiContext.Provider value={api}>{children}</ApiContext.Provider>
+}
@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react'
+import { BLAST_DAMAGE_TIERS } from '../lib/blastWave'
+
+// Damage each building part registered from the latest blast (see
+// lib/blastWave createBlastFront); polled so the sim doesn't re-render
+export default function BlastDamagePanel({ front }) {
+  const [snapshot, setSnapshot] = useState(null)
+
+  useEffect(() => {
+    let version = -1
+    const timer = setInterval(() => {
+      if (front.version === version) return
+      version = front.version
+      setSnapshot(front.wave ? { tnt: front.wave.tnt, targets: front.targets.map((t) => ({ ...t })) } : null)
+    }, 250)
+    return () => clearInterval(timer)
+  }, [front])
+
+  if (!snapshot) return null
+
+  return (
+    <div className="pointer-events-none absolute bottom-12 right-3 z-10 w-56 bg-slate-900/70 backdrop-blur-sm border border-slate-700 rounded p-2 text-[10px] text-slate-300">
+      <div className="flex items-center justify-between text-white text-xs font-semibold mb-1">
+        <span>Blast damage</span>
+        <span className="text-[10px] text-slate-400 font-normal">≈ {(snapshot.tnt / 1000).toFixed(1)} t TNT</span>
+      </div>
+      <ul className="space-y-0.5">
+        {snapshot.targets.map((t) => {
+          const tier = BLAST_DAMAGE_TIERS[t.tier]
+          return (
+            <li key={t.id} className="flex items-center gap-2">
+              <span className="w-2 h-2 rounded-full ring-1 ring-black/60" style={{ background: tier ? tier.color : '#475569' }} />
+              <span className="flex-1 truncate">{t.label}</span>
+              <span className="tabular-nums text-slate-400">{t.reached ? `${t.peak.toFixed(0)} kPa` : '…'}</span>
+              <span className="w-24 text-right text-slate-100">{t.reached ? (tier ? tier.label : 'No damage') : 'Not reached'}</span>
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
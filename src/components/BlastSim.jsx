@@ -1,29 +1,76 @@
-import React, { Component, useEffect, useMemo, useRef, Suspense, useState } from 'react'
+import React, { Component, useCallback, useEffect, useMemo, useRef, Suspense, useState } from 'react'
 import { Canvas, useFrame, useThree } from '@react-three/fiber'
-import { OrbitControls, PerspectiveCamera, Stars } from '@react-three/drei'
-import { Physics, usePlane } from '@react-three/cannon'
+import { Html, OrbitControls, PerspectiveCamera, Stars } from '@react-three/drei'
+import { Atom, Columns2, GraduationCap, Map as MapIcon } from 'lucide-react'
+import * as CANNON from 'cannon-es'
 import * as THREE from 'three'
-import { Leva, useControls } from 'leva'
+import { Leva, button, useControls } from 'leva'
+import { createRng, deriveSeed } from '../lib/random'
+import { createDebrisSim, debrisCountFor } from '../lib/debrisSim'
+import { BLAST_DAMAGE_TIERS, BLAST_FADE_KPA, createBlastFront, damageTier, tntFor } from '../lib/blastWave'
+import { COLLISION_GROUPS } from '../lib/collision'
+import { createBody, createRigidWorld } from '../lib/rigidWorld'
+import useRigidWorld, { RigidWorldContext, RigidWorldDriver, useStaticBody } from '../hooks/useRigidWorld'
+import { createFixedStepper, substepsFor } from '../lib/integrator'
+import { createGpuParticleSim, GPU_PARTICLE_VERTEX, supportsGpuSim } from '../lib/gpuParticles'
+import { createDepositionGrid } from '../lib/deposition'
+import { windFieldFor } from '../lib/windField'
+import { particleLayersFor } from '../lib/particleLayers'
+import DepositionOverlay from './DepositionOverlay'
+import DepositionLegend from './DepositionLegend'
+import WindArrows from './WindArrows'
+import MapLayer from './MapLayer'
+import ReactorBuilding from './ReactorBuilding'
+import { blastTargets, brokenRoofSections, roofSections } from '../lib/unit4'
+import { fetchRegionMap } from '../lib/geoMap'
+import DoseIsolines from './DoseIsolines'
+import DoseLegend from './DoseLegend'
+import { createActivityGrid } from '../lib/doseField'
+import { LAYER_ISOTOPE_MIX } from '../lib/isotopes'
+import useSimSystem from '../hooks/useSimSystem'
+import useSimClock, { SimClockContext, SimClockDriver, createSimClock } from '../hooks/useSimClock'
+import { createRecorder } from '../lib/recorder'
+import useRecorder, { RecorderContext, useRecordSource } from '../hooks/useRecorder'
+import TransportBar from './TransportBar'
+import useUrlState from '../hooks/useUrlState'
+import useScenario from '../hooks/useScenario'
+import { BACKENDS, SCENE_PARAM_DEFAULTS, readCamera, readComposite, readMapMode, readQuizOpen, readSceneParams, writeCamera, writeComposite, writeMapMode, writeQuizOpen, writeSceneParams, writeStage } from '../lib/urlState'
+import ExportDialog from './ExportDialog'
+import CompareView from './CompareView'
+import MetricsPanel from './MetricsPanel'
+import usePlumeProbe, { PlumeProbeContext, usePlumeSource } from '../hooks/usePlumeProbe'
+import { createMetricsLog, createPlumeProbe, measurePlume } from '../lib/plumeMetrics'
+import CameraSyncDriver from './CameraSyncDriver'
+import IncidentClock from './IncidentClock'
+import BlastDamagePanel from './BlastDamagePanel'
+import { createIncidentTimeline } from '../lib/incidentClock'
+import ReactorPanel from './ReactorPanel'
+import LessonPanel from './LessonPanel'
+import QuizPanel from './QuizPanel'
+import FallbackView from './FallbackView'
+import { createQuizResults } from '../lib/quiz'
+import { createRun } from '../lib/runs'
+import useApi from '../hooks/useApi'
+import useToast from '../hooks/useToast'
+import LessonAnnotations from './LessonAnnotations'
+import { lessonStepsFor, sequenceLessonFor } from '../lib/lesson'
+import { REACTOR_PHASE_STAGES, blastEnergyForPeak, createReactorModel, heatForPower } from '../lib/reactorKinetics'
 
-function Ground(props) {
-  usePlane(() => ({ rotation: [-Math.PI / 2, 0, 0], ...props }))
+function Ground({ visible = true, ...props }) {
+  useStaticBody({ shape: 'plane', rotation: [-Math.PI / 2, 0, 0], ...props })
   return (
-    <mesh rotation={[-Math.PI / 2, 0, 0]} receiveShadow>
+    <mesh rotation={[-Math.PI / 2, 0, 0]} receiveShadow visible={visible}>
       <planeGeometry args={[200, 200]} />
       <meshStandardMaterial color="#1f2937" />
     </mesh>
   )
 }
 
-// Stage presets approximating the reported sequence
-const STAGE_PRESETS = [
-  { title: 'Test initiation', blastEnergy: 2, drag: 0.035, buoyancy: 0.6, anisotropyUp: 0.2, anisotropyXZ: 0.0, wind: [0.4, 0.0, 0.05], thermalDecay: 0.2, verticalBias: 0.2, count: 1400, heat: 0.4, colors: ['#94a3b8', '#cbd5e1'] },
-  { title: 'SCRAM initiated', blastEnergy: 4, drag: 0.03, buoyancy: 0.9, anisotropyUp: 0.4, anisotropyXZ: 0.1, wind: [0.5, 0.0, 0.08], thermalDecay: 0.25, verticalBias: 0.35, count: 1700, heat: 0.7, colors: ['#f59e0b', '#f97316'] },
-  { title: 'Power surge', blastEnergy: 10, drag: 0.028, buoyancy: 1.2, anisotropyUp: 0.7, anisotropyXZ: 0.2, wind: [0.6, 0.0, 0.1], thermalDecay: 0.35, verticalBias: 0.55, count: 2400, heat: 1.0, colors: ['#fbbf24', '#fb7185'] },
-  { title: 'Steam explosion', blastEnergy: 18, drag: 0.03, buoyancy: 1.6, anisotropyUp: 1.0, anisotropyXZ: 0.15, wind: [0.7, 0.0, 0.12], thermalDecay: 0.45, verticalBias: 0.9, count: 3400, heat: 1.3, colors: ['#ffd166', '#ff6b00'] },
-  { title: 'Chemical explosion', blastEnergy: 16, drag: 0.032, buoyancy: 1.0, anisotropyUp: 0.4, anisotropyXZ: 1.0, wind: [0.8, 0.0, 0.15], thermalDecay: 0.4, verticalBias: 0.35, count: 3200, heat: 1.1, colors: ['#9ca3af', '#e5e7eb'] },
-  { title: 'Graphite fire and fallout', blastEnergy: 7, drag: 0.04, buoyancy: 1.4, anisotropyUp: 0.85, anisotropyXZ: 0.25, wind: [1.0, 0.0, 0.2], thermalDecay: 0.15, verticalBias: 0.65, count: 2800, heat: 0.9, colors: ['#8b5cf6', '#94a3b8'] },
-]
+const DEFAULT_CAMERA = { position: [6, 4, 8], target: [0, 0.8, 0] }
+
+// Composite mode runs every stage at once, so each layer is thinned relative to
+// the scenario's single-stage mix
+const COMPOSITE_LAYER_SCALE = { fireball: 0.35 / 0.45, smoke: 0.5 / 0.65, embers: 0.75 }
 
 // Fancy particle shader for soft, fading sprites
 const ParticleShader = {
@@ -58,23 +105,53 @@ const ParticleShader = {
   `
 }
 
-// Low-frequency curl-like noise helper
-function curlNoise3(x, y, z) {
-  // Simple pseudo curl from trig, inexpensive
-  const s = Math.sin, c = Math.cos
-  return new THREE.Vector3(
-    s(y*0.9) - s(z*1.1),
-    s(z*0.9) - s(x*1.1),
-    s(x*0.9) - s(y*1.1)
-  )
+// Point an attribute at the system's current array (the worker backend may swap
+// double buffers) and flag it for upload
+function bindField(attr, array) {
+  if (attr.array !== array) attr.array = array
+  attr.needsUpdate = true
 }
 
-function Particles({
+// Soft sprite material shared by the CPU and GPU particle paths
+function particleMaterial(vertexShader, additive, alphaMul, uniforms = {}) {
+  return new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader: `precision highp float; varying float vLife; varying vec3 vColor; uniform float uAlphaMul; void main(){ vec2 uv = gl_PointCoord*2.0-1.0; float d = dot(uv,uv); if(d>1.0) discard; float alpha = smoothstep(1.0,0.0,d) * smoothstep(0.0,1.0,vLife) * uAlphaMul; vec3 col = mix(vec3(0.08,0.09,0.12), vColor, 0.75); gl_FragColor = vec4(col, alpha); }`,
+    transparent: true,
+    depthWrite: false,
+    blending: additive ? THREE.AdditiveBlending : THREE.NormalBlending,
+    vertexColors: false,
+    uniforms: { uAlphaMul: { value: alphaMul }, ...uniforms },
+  })
+}
+
+// Picks the GPU compute path when requested and supported, else the CPU path
+// (worker or main thread). gpuDensity multiplies the count on the GPU only.
+// A GPU sim that fails to start (context or shader trouble) drops to the worker.
+function Particles({ backend = 'worker', gpuDensity = 1, count = 2000, ...props }) {
+  const gl = useThree((state) => state.gl)
+  const gpuOk = useMemo(() => supportsGpuSim(gl), [gl])
+  const [gpuFailed, setGpuFailed] = useState(false)
+  const onGpuFail = useCallback(() => setGpuFailed(true), [])
+  if (backend === 'gpu' && gpuOk && !gpuFailed) {
+    const { activeCount } = props
+    return <GpuParticles {...props} count={Math.floor(count * gpuDensity)} activeCount={activeCount == null ? null : Math.floor(activeCount * gpuDensity)} onFail={onGpuFail} />
+  }
+  return <CpuParticles {...props} count={count} backend={backend === 'gpu' ? 'worker' : backend} />
+}
+
+// Sim time between GPU readbacks for the fallout map; each one stalls the pipeline
+const GPU_DEPOSIT_READBACK = 0.25
+
+// State lives on the GPU in this path; landings for the fallout map are read
+// back every GPU_DEPOSIT_READBACK simulated seconds
+function GpuParticles({
   stage,
-  count = 2000,
+  count,
   blastEnergy = 5,
   drag = 0.02,
   wind = [0.6, 0, 0.1],
+  windField = null,
   buoyancy = 1.0,
   anisotropyUp = 0.5,
   anisotropyXZ = 0.0,
@@ -85,145 +162,204 @@ function Particles({
   sizeRange = [18, 28],
   noise = 0.0,
   alphaMul = 1.0,
+  seed = 0,
+  onDeposit,
+  depositMass = 1,
+  recordKey,
+  // Stage blending, as on the CPU path
+  launchEnergy = blastEnergy,
+  launchColors = colorsPair,
+  activeCount = null,
+  blendTime = 0,
+  shock = null,
+  onFail,
 }) {
-  const positions = useMemo(() => new Float32Array(count * 3), [count])
-  const velocities = useMemo(() => new Float32Array(count * 3), [count])
-  const temperatures = useMemo(() => new Float32Array(count), [count])
-  const colors = useMemo(() => new Float32Array(count * 3), [count])
-  const life = useMemo(() => new Float32Array(count), [count])
-  const size = useMemo(() => new Float32Array(count), [count])
-
-  const reinit = () => {
-    const color1 = new THREE.Color(colorsPair[0])
-    const color2 = new THREE.Color(colorsPair[1])
-    const tmp = new THREE.Vector3()
-    for (let i = 0; i < count; i++) {
-      const i3 = i * 3
-      const r = Math.random() * 0.25
-      tmp.randomDirection()
-      const upBias = new THREE.Vector3(0, 1, 0).multiplyScalar(anisotropyUp)
-      const xzDir = new THREE.Vector3(Math.random() - 0.5, 0, Math.random() - 0.5).normalize().multiplyScalar(anisotropyXZ)
-      const dir = tmp.add(upBias).add(xzDir).normalize()
-
-      positions[i3] = dir.x * r
-      positions[i3 + 1] = 0.5 + Math.abs(dir.y) * r
-      positions[i3 + 2] = dir.z * r
-
-      const base = (0.6 + Math.random() * 0.6)
-      const v = (blastEnergy * base) / (1 + r)
-      velocities[i3] = dir.x * v
-      velocities[i3 + 1] = (verticalBias * Math.abs(dir.y) + (1 - verticalBias) * dir.y) * v
-      velocities[i3 + 2] = dir.z * v
-
-      const t = Math.random()
-      const c = color1.clone().lerp(color2, t)
-      colors[i3] = c.r
-      colors[i3 + 1] = c.g
-      colors[i3 + 2] = c.b
-
-      temperatures[i] = 1.0
-      life[i] = 1.0
-      size[i] = sizeRange[0] + Math.random() * (sizeRange[1] - sizeRange[0])
+  const gl = useThree((state) => state.gl)
+  const [sim, setSim] = useState(null)
+  const launch = { stage, count, blastEnergy: launchEnergy, anisotropyUp, anisotropyXZ, verticalBias, colorsPair: launchColors, sizeRange, seed }
+  const launchKey = JSON.stringify(launch)
+  const force = { blastEnergy, drag, wind, windField, buoyancy, thermalDecay, noise, activeCount, blendTime, shock }
+  const forceKey = JSON.stringify(force)
+  // Latest params, read by the effects below when their key changes
+  const params = useRef({ launch, force })
+  params.current = { launch, force }
+
+  useEffect(() => {
+    let s
+    try {
+      s = createGpuParticleSim(gl, { ...params.current.launch, ...params.current.force })
+    } catch (e) {
+      onFail()
+      return
     }
-  }
+    s.launchKey = JSON.stringify(params.current.launch)
+    s.forceKey = JSON.stringify(params.current.force)
+    setSim(s)
+    return () => s.dispose()
+  }, [gl, count, onFail])
 
-  useMemo(() => {
-    reinit()
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [count, blastEnergy, anisotropyUp, anisotropyXZ, verticalBias, colorsPair, stage, sizeRange])
+  const geometry = useMemo(() => {
+    if (!sim) return null
+    const g = new THREE.BufferGeometry()
+    // position is only a placeholder; the vertex shader reads the state texture
+    g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(sim.count * 3), 3))
+    g.setAttribute('aRef', new THREE.BufferAttribute(sim.refs, 2))
+    g.setAttribute('aColor', new THREE.BufferAttribute(sim.colors, 3))
+    g.setAttribute('aSize', new THREE.BufferAttribute(sim.size, 1))
+    return g
+  }, [sim])
 
-  const pointsRef = useRef()
-  const windVec = useMemo(() => new THREE.Vector3(wind[0], wind[1], wind[2]), [wind])
+  // A sim of the wrong size is about to be replaced; don't relaunch it
+  const current = sim && sim.count === count ? sim : null
+  useEffect(() => {
+    if (!current || current.forceKey === forceKey) return
+    current.forceKey = forceKey
+    current.setParams(params.current.force)
+  }, [current, forceKey])
+  useEffect(() => {
+    if (!current || current.launchKey === launchKey) return
+    current.launchKey = launchKey
+    current.reinit(params.current.launch)
+    if (geometry) {
+      geometry.attributes.aColor.needsUpdate = true
+      geometry.attributes.aSize.needsUpdate = true
+    }
+  }, [current, launchKey, geometry])
 
-  useFrame((state, delta) => {
-    if (!pointsRef.current) return
-    const g = 9.81
-    const dragFactor = Math.max(0, 1 - drag)
+  // Recording reads the state back from the GPU at the recorder's cadence;
+  // launch-only fields are copied once per launch as on the CPU path
+  const launchCopy = useRef({ sim: null, key: null, colors: null, size: null })
+  useRecordSource(recordKey, () => {
+    if (!current) return null
+    const { positions, life } = current.readBack()
+    if (launchCopy.current.sim !== current || launchCopy.current.key !== current.launchKey) {
+      launchCopy.current = { sim: current, key: current.launchKey, colors: current.colors.slice(), size: current.size.slice() }
+    }
+    return {
+      kind: 'particles',
+      style: { additive, alphaMul },
+      fields: { positions: positions.slice(), life: life.slice(), colors: launchCopy.current.colors, size: launchCopy.current.size },
+    }
+  })
 
-    for (let i = 0; i < count; i++) {
-      const i3 = i * 3
-      // Gravity
-      velocities[i3 + 1] -= g * delta * 0.25
-
-      // Drag (approx)
-      velocities[i3] *= dragFactor
-      velocities[i3 + 1] *= dragFactor
-      velocities[i3 + 2] *= dragFactor
-
-      // Thermal buoyancy scaled by decaying temperature
-      if (positions[i3 + 1] > 0.2) {
-        velocities[i3 + 1] += buoyancy * temperatures[i] * delta
-        temperatures[i] = Math.max(0, temperatures[i] - thermalDecay * delta)
-      }
+  const material = useMemo(() => particleMaterial(GPU_PARTICLE_VERTEX, additive, alphaMul, { uPositions: { value: null } }), [additive, alphaMul])
+  const stepper = useMemo(() => createFixedStepper(), [])
 
-      // Wind advection
-      velocities[i3] += windVec.x * delta * 0.25
-      velocities[i3 + 2] += windVec.z * delta * 0.25
+  const clock = useSimClock()
+  const lastReadback = useRef(0)
 
-      // Coarse curl noise for turbulent meander
-      if (noise > 0.0) {
-        const p = curlNoise3(positions[i3]*0.7, positions[i3+1]*0.7 + state.clock.elapsedTime*0.3, positions[i3+2]*0.7)
-        velocities[i3] += p.x * noise * delta
-        velocities[i3+1] += p.y * noise * delta
-        velocities[i3+2] += p.z * noise * delta
-      }
+  useFrame(() => {
+    if (!sim) return
+    try {
+      stepper.advance(clock.delta, (h) => sim.step(h), substepsFor(blastEnergy))
+    } catch (e) {
+      onFail()
+      return
+    }
+    material.uniforms.uPositions.value = sim.positionTexture()
+    // A relaunch restarts sim.time, hence the absolute difference
+    if (onDeposit && Math.abs(sim.time - lastReadback.current) >= GPU_DEPOSIT_READBACK) {
+      lastReadback.current = sim.time
+      const landed = sim.readBack().takeDeposits()
+      if (landed.length) onDeposit(landed, depositMass)
+    }
+  })
 
-      // Integrate
-      positions[i3] += velocities[i3] * delta
-      positions[i3 + 1] += velocities[i3 + 1] * delta
-      positions[i3 + 2] += velocities[i3 + 2] * delta
-
-      // Age/fade
-      life[i] = Math.max(0, life[i] - (0.12 + thermalDecay * 0.25) * delta)
-
-      // Ground interaction: damp and deposit
-      if (positions[i3 + 1] < 0) {
-        positions[i3 + 1] = 0
-        velocities[i3 + 1] *= -0.12
-        velocities[i3] *= 0.5
-        velocities[i3 + 2] *= 0.5
-        temperatures[i] *= 0.7
-      }
+  if (!geometry) return null
 
-      // Respawn when dead
-      if (life[i] <= 0.0) {
-        const r = Math.random() * 0.2
-        const dir = new THREE.Vector3((Math.random() - 0.5), Math.random(), (Math.random() - 0.5)).normalize()
-        positions[i3] = dir.x * r
-        positions[i3 + 1] = 0.5 + Math.abs(dir.y) * r
-        positions[i3 + 2] = dir.z * r
-        const v = blastEnergy * (0.3 + Math.random() * 0.6)
-        velocities[i3] = dir.x * v
-        velocities[i3 + 1] = Math.abs(dir.y) * v
-        velocities[i3 + 2] = dir.z * v
-        life[i] = 1.0
-        temperatures[i] = 0.8
-      }
+  return (
+    <points geometry={geometry} frustumCulled={false}>
+      <primitive object={material} attach="material" />
+    </points>
+  )
+}
+
+function CpuParticles({
+  stage,
+  count = 2000,
+  blastEnergy = 5,
+  drag = 0.02,
+  wind = [0.6, 0, 0.1],
+  windField = null,
+  buoyancy = 1.0,
+  anisotropyUp = 0.5,
+  anisotropyXZ = 0.0,
+  verticalBias = 0.5,
+  thermalDecay = 0.3,
+  colorsPair = ['#ffb703', '#fb7185'],
+  additive = true,
+  sizeRange = [18, 28],
+  noise = 0.0,
+  alphaMul = 1.0,
+  seed = 0,
+  backend = 'worker',
+  onDeposit,
+  depositMass = 1,
+  recordKey,
+  // Blending keeps one launch (launchEnergy/launchColors) and eases forces and
+  // the live particle count (activeCount) toward each new stage over blendTime
+  launchEnergy = blastEnergy,
+  launchColors = colorsPair,
+  activeCount = null,
+  blendTime = 0,
+  // Blast wave sweeping through ({ id, tnt }, see lib/blastWave)
+  shock = null,
+}) {
+  // Physics lives in lib/particleSim (stepped by the chosen backend); this
+  // component only binds and uploads its buffers
+  const pointsRef = useRef()
+  const system = useSimSystem(
+    'particles',
+    { stage, count, blastEnergy: launchEnergy, anisotropyUp, anisotropyXZ, verticalBias, colorsPair: launchColors, sizeRange, seed },
+    // Force-only params apply to particles already in flight
+    { blastEnergy, drag, wind, windField, buoyancy, thermalDecay, noise, activeCount, blendTime, shock },
+    {
+      backend,
+      onFrame: (sys, { launched }) => {
+        if (!pointsRef.current) return
+        const attrs = pointsRef.current.geometry.attributes
+        bindField(attrs.position, sys.fields.positions)
+        bindField(attrs.aLife, sys.fields.life)
+        if (launched) {
+          bindField(attrs.aColor, sys.fields.colors)
+          bindField(attrs.aSize, sys.fields.size)
+        }
+        // Always drain so landings don't pile up when nobody is listening
+        const landed = sys.takeDeposits()
+        if (onDeposit && landed && landed.length) onDeposit(landed, depositMass)
+      },
+    },
+  )
+
+  usePlumeSource(recordKey, () => system && { kind: 'particles', positions: system.fields.positions, life: system.fields.life, temperatures: system.fields.temperatures })
+
+  // Launch-only fields are copied once per launch and shared between frames
+  const launchCopy = useRef({ system: null, version: -1, colors: null, size: null })
+  useRecordSource(recordKey, () => {
+    if (!system) return null
+    const { fields } = system
+    const launch = launchCopy.current
+    if (launch.system !== system || launch.version !== system.launchVersion) {
+      launchCopy.current = { system, version: system.launchVersion, colors: fields.colors.slice(), size: fields.size.slice() }
+    }
+    return {
+      kind: 'particles',
+      style: { additive, alphaMul },
+      fields: { positions: fields.positions.slice(), life: fields.life.slice(), colors: launchCopy.current.colors, size: launchCopy.current.size },
     }
-    const geom = pointsRef.current.geometry
-    geom.attributes.position.needsUpdate = true
-    geom.attributes.aLife.needsUpdate = true
   })
 
   const geometry = useMemo(() => {
+    if (!system) return null
     const g = new THREE.BufferGeometry()
-    g.setAttribute('position', new THREE.BufferAttribute(positions, 3))
-    g.setAttribute('aColor', new THREE.BufferAttribute(colors, 3))
-    g.setAttribute('aLife', new THREE.BufferAttribute(life, 1))
-    g.setAttribute('aSize', new THREE.BufferAttribute(size, 1))
+    g.setAttribute('position', new THREE.BufferAttribute(system.fields.positions, 3))
+    g.setAttribute('aColor', new THREE.BufferAttribute(system.fields.colors, 3))
+    g.setAttribute('aLife', new THREE.BufferAttribute(system.fields.life, 1))
+    g.setAttribute('aSize', new THREE.BufferAttribute(system.fields.size, 1))
     return g
-  }, [positions, colors, life, size])
+  }, [system])
 
-  const material = useMemo(() => new THREE.ShaderMaterial({
-    vertexShader: ParticleShader.vertex,
-    fragmentShader: `precision highp float; varying float vLife; varying vec3 vColor; uniform float uAlphaMul; void main(){ vec2 uv = gl_PointCoord*2.0-1.0; float d = dot(uv,uv); if(d>1.0) discard; float alpha = smoothstep(1.0,0.0,d) * smoothstep(0.0,1.0,vLife) * uAlphaMul; vec3 col = mix(vec3(0.08,0.09,0.12), vColor, 0.75); gl_FragColor = vec4(col, alpha); }`,
-    transparent: true,
-    depthWrite: false,
-    blending: additive ? THREE.AdditiveBlending : THREE.NormalBlending,
-    vertexColors: false,
-    uniforms: { uAlphaMul: { value: alphaMul } },
-  }), [additive, alphaMul]),
-    
+  const material = useMemo(() => particleMaterial(ParticleShader.vertex, additive, alphaMul), [additive, alphaMul]),
     materialRef = useRef(null)
 
   useEffect(() => {
@@ -231,6 +367,8 @@ function Particles({
     materialRef.current.uniforms.uAlphaMul.value = alphaMul
   }, [alphaMul])
 
+  if (!geometry) return null
+
   return (
     <points ref={pointsRef} position={[0, 0, 0]} geometry={geometry}>
       <primitive object={material} attach="material" ref={materialRef} />
@@ -238,74 +376,221 @@ function Particles({
   )
 }
 
-function Debris({ stage, energy = 10 }) {
-  const count = stage >= 3 ? 160 : stage === 2 ? 90 : 0
+const debrisTmp = { m: new THREE.Matrix4(), q: new THREE.Quaternion(), e: new THREE.Euler(), p: new THREE.Vector3(), s: new THREE.Vector3() }
+
+// Write debris positions/rotations/scales into an instanced mesh
+function writeDebrisMatrices(mesh, { positions, rotations, scales }, count) {
+  const tmp = debrisTmp
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3
+    tmp.p.set(positions[i3], positions[i3 + 1], positions[i3 + 2])
+    tmp.q.setFromEuler(tmp.e.set(rotations[i3], rotations[i3 + 1], rotations[i3 + 2]))
+    tmp.s.set(scales[i], scales[i]*1.4, scales[i])
+    tmp.m.compose(tmp.p, tmp.q, tmp.s)
+    mesh.setMatrixAt(i, tmp.m)
+  }
+  mesh.instanceMatrix.needsUpdate = true
+}
+
+// Fragment geometry per debris shape: loose shards, or flat slabs for roof sections
+function DebrisGeometry({ shape }) {
+  return shape === 'slab' ? <boxGeometry args={[1, 0.12, 1]} /> : <tetrahedronGeometry args={[1, 0]} />
+}
+
+// Colour and collision box (full extents for a fragment of scale s) per shape;
+// the shard box is a little smaller than the tetrahedron's bounds
+const DEBRIS_SHAPES = {
+  shard: { color: '#d1d5db', extents: (s) => [0.9 * s, 1.25 * s, 0.9 * s] },
+  slab: { color: '#6b7280', extents: (s) => [s, 0.12 * 1.4 * s, s] },
+}
+
+// Rough concrete; mass scales with the collision box volume
+const DEBRIS_DENSITY = 2.4
+// Fresh debris starts inside the reactor hall on top of its neighbours, so it
+// only collides with the ground until it has had this long to get clear
+const DEBRIS_CLEARANCE = 0.35
+// Upper bound on rigid fragments across every mounted Debris group
+const DEBRIS_BODY_CAP = 400
+// Share of the air speed behind the blast front a fragment picks up (with a
+// little lift), capped so the near field doesn't throw it off the site
+const DEBRIS_SHOCK_COUPLING = 0.6
+const DEBRIS_SHOCK_MAX_KICK = 6
+
+// Ballistic fragments (lib/debrisSim) on the sim-system backends, or rigid
+// bodies in the scene's cannon world when `rigid`. Rigid groups relaunch by
+// remounting, so their bodies are rebuilt from the new launch state.
+function Debris({ rigid = false, ...props }) {
+  const { stage, energy = 10, seed = 0, count = debrisCountFor(stage), sources } = props
+  if (count === 0) return null
+  if (!rigid) return <BallisticDebris {...props} count={count} />
+  return <RigidDebris key={JSON.stringify([stage, energy, seed, count, sources])} {...props} count={count} />
+}
+
+function BallisticDebris({ stage, count, energy = 10, seed = 0, backend = 'worker', recordKey, sources, shape = 'shard' }) {
   const meshRef = useRef()
-  const positions = useMemo(() => new Array(count).fill(0).map(() => new THREE.Vector3()), [count])
-  const velocities = useMemo(() => new Array(count).fill(0).map(() => new THREE.Vector3()), [count])
-  const scales = useMemo(() => new Array(count).fill(0).map(() => 0.05 + Math.random() * 0.18), [count])
-  const spins = useMemo(() => new Array(count).fill(0).map(() => new THREE.Vector3(Math.random()*2-1, Math.random()*2-1, Math.random()*2-1)), [count])
-  const rots = useMemo(() => new Array(count).fill(0).map(() => new THREE.Euler()), [count])
 
-  useEffect(() => {
-    const up = stage === 3 ? 1.0 : 0.6
+  const system = useSimSystem('debris', { stage, energy, seed, count, sources }, {}, {
+    backend,
+    onFrame: (sys) => {
+      if (!meshRef.current || sys.count !== count) return
+      writeDebrisMatrices(meshRef.current, sys.fields, count)
+    },
+  })
+
+  usePlumeSource(recordKey, () => system && system.count === count && { kind: 'debris', positions: system.fields.positions })
+
+  useRecordSource(recordKey, () => {
+    if (!system || system.count !== count) return null
+    const { positions, rotations, scales } = system.fields
+    return { kind: 'debris', style: { shape }, fields: { positions: positions.slice(), rotations: rotations.slice(), scales: scales.slice() } }
+  })
+
+  return (
+    <instancedMesh ref={meshRef} args={[null, null, count]} castShadow receiveShadow>
+      <DebrisGeometry shape={shape} />
+      <meshStandardMaterial color={DEBRIS_SHAPES[shape].color} metalness={0.05} roughness={0.95} />
+    </instancedMesh>
+  )
+}
+
+// Launch state comes from the ballistic model's first frame; from then on the
+// scene's rigid world owns the fragments. Positions for metrics and recording
+// are read back from the bodies each frame.
+function RigidDebris({ stage, count, energy = 10, seed = 0, recordKey, sources, shape = 'shard', shock }) {
+  const clock = useSimClock()
+  const world = useRigidWorld()
+  // Debris remounts the group on relaunch, so these only change with it
+  const launch = useMemo(() => createDebrisSim({ stage, energy, seed, count, sources }), [stage, energy, seed, count, sources])
+  const bodies = useMemo(() => {
+    const { positions, velocities, rotations, spins, scales } = launch
+    return Array.from({ length: count }, (_, i) => {
+      const i3 = i * 3
+      const args = DEBRIS_SHAPES[shape].extents(scales[i])
+      return createBody({
+        shape: 'box',
+        args,
+        mass: DEBRIS_DENSITY * args[0] * args[1] * args[2],
+        position: [positions[i3], positions[i3 + 1], positions[i3 + 2]],
+        rotation: [rotations[i3], rotations[i3 + 1], rotations[i3 + 2]],
+        velocity: [velocities[i3], velocities[i3 + 1], velocities[i3 + 2]],
+        angularVelocity: [spins[i3], spins[i3 + 1], spins[i3 + 2]],
+        collisionFilterGroup: COLLISION_GROUPS.debris,
+        collisionFilterMask: COLLISION_GROUPS.ground,
+        linearDamping: 0.05,
+        angularDamping: 0.3,
+        allowSleep: true,
+        sleepSpeedLimit: 0.3,
+        sleepTimeLimit: 0.5,
+      })
+    })
+  }, [launch, count, shape])
+  const meshRef = useRef()
+  const positions = useMemo(() => launch.positions.slice(), [launch])
+  const state = useRef({ t0: null, clear: false, shockId: shock ? shock.id : 0, hit: new Uint8Array(count) })
+
+  // Bodies into the instance matrices (scaled like the launch) and positions
+  const sync = useCallback(() => {
+    const mesh = meshRef.current
+    if (!mesh) return
+    const tmp = debrisTmp
     for (let i = 0; i < count; i++) {
-      const dir = new THREE.Vector3((Math.random()-0.5), Math.random()*up, (Math.random()-0.5)).normalize()
-      const v = (energy * (0.7 + Math.random()*0.9)) * (0.5 + Math.random())
-      velocities[i].copy(dir.multiplyScalar(v))
-      positions[i].set(0, 0.6, 0)
-      rots[i].set(Math.random()*Math.PI, Math.random()*Math.PI, Math.random()*Math.PI)
+      const { position: p, quaternion: q } = bodies[i]
+      const s = launch.scales[i]
+      positions[i * 3] = p.x
+      positions[i * 3 + 1] = p.y
+      positions[i * 3 + 2] = p.z
+      tmp.m.compose(tmp.p.set(p.x, p.y, p.z), tmp.q.set(q.x, q.y, q.z, q.w), tmp.s.set(s, s * 1.4, s))
+      mesh.setMatrixAt(i, tmp.m)
     }
-  }, [stage, count, energy, positions, velocities, rots])
+    mesh.instanceMatrix.needsUpdate = true
+  }, [bodies, launch, positions, count])
+
+  useEffect(() => {
+    if (!world) return
+    const removers = bodies.map((body) => world.add(body))
+    sync()
+    return () => removers.forEach((remove) => remove())
+  }, [world, bodies, sync])
 
-  useFrame((_, delta) => {
-    if (!meshRef.current) return
-    const g = 9.81
+  useFrame(() => {
+    sync()
+    const s = state.current
+    if (s.t0 === null) s.t0 = clock.time
+
+    if (!s.clear && clock.time - s.t0 >= DEBRIS_CLEARANCE) {
+      s.clear = true
+      for (const body of bodies) body.collisionFilterMask = COLLISION_GROUPS.ground | COLLISION_GROUPS.building | COLLISION_GROUPS.debris
+    }
+
+    // Each blast front pushes every fragment once, as it sweeps past
+    if (!shock || shock.id === 0) return
+    if (shock.id !== s.shockId) {
+      s.shockId = shock.id
+      s.hit.fill(0)
+    }
+    const elapsed = shock.elapsed(clock.time)
+    if (elapsed === null) return
+    const radius = shock.wave.radiusAt(elapsed)
     for (let i = 0; i < count; i++) {
-      velocities[i].y -= g * delta
-      positions[i].addScaledVector(velocities[i], delta)
-      rots[i].x += spins[i].x * delta
-      rots[i].y += spins[i].y * delta
-      rots[i].z += spins[i].z * delta
-      if (positions[i].y < 0) {
-        positions[i].y = 0
-        velocities[i].y *= -0.28
-        velocities[i].x *= 0.65
-        velocities[i].z *= 0.65
-        spins[i].multiplyScalar(0.9)
-      }
-      const m = new THREE.Matrix4()
-      const q = new THREE.Quaternion().setFromEuler(rots[i])
-      m.compose(positions[i], q, new THREE.Vector3(scales[i], scales[i]*1.4, scales[i]))
-      meshRef.current.setMatrixAt(i, m)
+      if (s.hit[i]) continue
+      const x = positions[i * 3], z = positions[i * 3 + 2]
+      const d = Math.hypot(x, z)
+      if (d > radius) continue
+      s.hit[i] = 1
+      const { mass } = bodies[i]
+      const dv = Math.min(DEBRIS_SHOCK_MAX_KICK, shock.wave.flowSpeedAt(d) * DEBRIS_SHOCK_COUPLING)
+      const nx = d > 1e-6 ? x / d : 0, nz = d > 1e-6 ? z / d : 0
+      bodies[i].applyImpulse(new CANNON.Vec3(nx * dv * mass, 0.3 * dv * mass, nz * dv * mass))
     }
-    meshRef.current.instanceMatrix.needsUpdate = true
   })
 
-  if (count === 0) return null
+  usePlumeSource(recordKey, () => ({ kind: 'debris', positions }))
+
+  useRecordSource(recordKey, () => {
+    const tmp = debrisTmp
+    const rotations = new Float32Array(count * 3)
+    for (let i = 0; i < count; i++) {
+      const q = bodies[i].quaternion
+      tmp.e.setFromQuaternion(tmp.q.set(q.x, q.y, q.z, q.w))
+      rotations[i * 3] = tmp.e.x
+      rotations[i * 3 + 1] = tmp.e.y
+      rotations[i * 3 + 2] = tmp.e.z
+    }
+    return { kind: 'debris', style: { shape }, fields: { positions: positions.slice(), rotations, scales: launch.scales.slice() } }
+  })
 
   return (
     <instancedMesh ref={meshRef} args={[null, null, count]} castShadow receiveShadow>
-      <tetrahedronGeometry args={[1, 0]} />
-      <meshStandardMaterial color="#d1d5db" metalness={0.05} roughness={0.95} />
+      <DebrisGeometry shape={shape} />
+      <meshStandardMaterial color={DEBRIS_SHAPES[shape].color} metalness={0.05} roughness={0.95} />
     </instancedMesh>
   )
 }
 
-function Shockwave({ triggerKey }) {
+// Starts a blast of `tnt` kg on the shared front and draws it as a ring whose
+// opacity follows the peak overpressure at its radius (log scale)
+function Shockwave({ triggerKey, front, tnt }) {
   const ringRef = useRef()
   const materialRef = useRef()
-  const [t0, setT0] = useState(0)
+  const clock = useSimClock()
+  // triggerKey already changes with the yield, so it is read at trigger time only
+  const tntRef = useRef(tnt)
+  tntRef.current = tnt
 
-  useEffect(() => { setT0(performance.now()) }, [triggerKey])
+  // Simulated time, so the ring freezes with the rest of the scene on pause
+  useEffect(() => {
+    front.trigger(clock.time, tntRef.current)
+  }, [triggerKey, clock, front])
 
   useFrame(() => {
     if (!ringRef.current || !materialRef.current) return
-    const elapsed = (performance.now() - t0) / 1000
-    const radius = Math.min(60, 2 + elapsed * 12)
+    const elapsed = front.elapsed(clock.time)
+    ringRef.current.visible = elapsed !== null
+    if (elapsed === null) return
+    const radius = Math.max(0.05, front.wave.radiusAt(elapsed))
     ringRef.current.scale.set(radius, radius, 1)
-    const alpha = THREE.MathUtils.clamp(1.0 - elapsed * 0.6, 0, 1)
-    materialRef.current.opacity = alpha
+    const kPa = front.wave.overpressureAt(radius)
+    materialRef.current.opacity = THREE.MathUtils.clamp(Math.log10(kPa / BLAST_FADE_KPA) / 2, 0, 0.9)
   })
 
   return (
@@ -316,74 +601,90 @@ function Shockwave({ triggerKey }) {
   )
 }
 
-function ReactorCore({ heat = 1 }) {
-  const bodyRef = useRef()
-  const ringRef = useRef()
-  useFrame((state) => {
-    const t = state.clock.getElapsedTime()
-    const s = 1 + Math.sin(t * 3) * 0.04 * heat
-    if (bodyRef.current) bodyRef.current.scale.set(1, s, 1)
-    if (ringRef.current) ringRef.current.material.emissiveIntensity = 1.8 * heat * (1.0 + Math.sin(t*5)*0.3)
-  })
-  return (
-    <group position={[0, 0.5, 0]}>
-      <mesh ref={bodyRef} castShadow>
-        <cylinderGeometry args={[0.42, 0.42, 0.5, 24]} />
-        <meshStandardMaterial color="#232323" metalness={0.1} roughness={0.8} emissive="#ff6b00" emissiveIntensity={0.9*heat} />
-      </mesh>
-      <mesh ref={ringRef} position={[0, 0.26, 0]} rotation={[Math.PI/2,0,0]}>
-        <torusGeometry args={[0.45, 0.04, 16, 48]} />
-        <meshStandardMaterial color="#111827" emissive="#ff8a00" emissiveIntensity={1.2*heat} />
-      </mesh>
-    </group>
-  )
+// Registers building damage as the front reaches each target
+function BlastDriver({ front }) {
+  const clock = useSimClock()
+  useFrame(() => front.update(clock.time))
+  return null
 }
 
-function EdgedBlock({ position=[0,0,0], size=[1,1,1], color="#4b5563", sloped=false }) {
-  const [w,h,d] = size
-  const geo = useMemo(() => new THREE.BoxGeometry(w,h,d), [w,h,d])
-  const edges = useMemo(() => new THREE.EdgesGeometry(geo), [geo])
-  return (
-    <group position={position}>
-      <mesh castShadow receiveShadow rotation={sloped ? [0,0,0.08] : [0,0,0]}>
-        <primitive object={geo} attach="geometry" />
-        <meshStandardMaterial color={color} roughness={0.9} metalness={0.05} />
-      </mesh>
-      <lineSegments>
-        <primitive object={edges} attach="geometry" />
-        <lineBasicMaterial color="#9ca3af" linewidth={1} />
-      </lineSegments>
-    </group>
-  )
+// Steps the reactor model on the sim clock, so it pauses and speeds up with
+// everything else; onAdvance runs on frames where the model moved
+function ReactorDriver({ model, onAdvance }) {
+  const clock = useSimClock()
+  const advanceRef = useRef(onAdvance)
+  advanceRef.current = onAdvance
+  useFrame(() => {
+    const version = model.version
+    model.advance(clock.delta)
+    if (model.version !== version && advanceRef.current) advanceRef.current(model)
+  })
+  return null
 }
 
-function Buildings() {
+const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0)
+
+// Label at the ground point under the cursor: overpressure there right now
+// (Friedlander pulse) and the peak this blast brings, with its damage tier
+function CursorOverpressure({ front }) {
+  const clock = useSimClock()
+  const { camera, gl, raycaster, pointer } = useThree()
+  const groupRef = useRef()
+  const textRef = useRef()
+  const hover = useRef(false)
+  const hit = useMemo(() => new THREE.Vector3(), [])
+
+  useEffect(() => {
+    const el = gl.domElement
+    const enter = () => { hover.current = true }
+    const leave = () => { hover.current = false }
+    el.addEventListener('pointerenter', enter)
+    el.addEventListener('pointerleave', leave)
+    return () => {
+      el.removeEventListener('pointerenter', enter)
+      el.removeEventListener('pointerleave', leave)
+    }
+  }, [gl])
+
+  useFrame(() => {
+    const group = groupRef.current
+    if (!group || !textRef.current) return
+    raycaster.setFromCamera(pointer, camera)
+    const show = hover.current && front.wave && raycaster.ray.intersectPlane(groundPlane, hit)
+    // Html ignores parent visibility, so the label hides itself
+    textRef.current.style.display = show ? '' : 'none'
+    if (!show) return
+    group.position.copy(hit)
+    const r = Math.hypot(hit.x, hit.z)
+    const peak = front.wave.overpressureAt(r)
+    const tier = damageTier(peak)
+    const t = clock.time - front.time
+    const arrival = front.wave.arrivalAt(r)
+    const now = front.wave.pressureAt(r, t)
+    const status = arrival === Infinity ? 'below 1 kPa' : t < arrival ? `arrives in ${(arrival - t).toFixed(2)} s` : `now ${now.toFixed(1)} kPa`
+    textRef.current.textContent = `${peak.toFixed(1)} kPa peak · ${tier >= 0 ? BLAST_DAMAGE_TIERS[tier].label : 'no damage'} · ${status}`
+  })
+
   return (
-    <group>
-      <EdgedBlock position={[2.5, 0.5, 0]} size={[4, 1, 2]} color="#2f3542" />
-      <EdgedBlock position={[0, 0.8, -1.8]} size={[2, 1.6, 2]} color="#3b4252" sloped />
-      <group position={[0.9, 2, -1.6]}>
-        <mesh castShadow>
-          <cylinderGeometry args={[0.18, 0.2, 4, 24]} />
-          <meshStandardMaterial color="#606a78" roughness={0.7} metalness={0.1} />
-        </mesh>
-        <lineSegments>
-          <edgesGeometry args={[new THREE.CylinderGeometry(0.18,0.2,4,24)]} />
-          <lineBasicMaterial color="#cbd5e1" />
-        </lineSegments>
-      </group>
+    <group ref={groupRef}>
+      <Html center className="pointer-events-none" style={{ transform: 'translateY(-1.5rem)' }}>
+        <div ref={textRef} style={{ display: 'none' }} className="whitespace-nowrap rounded bg-slate-900/80 border border-slate-700 px-1.5 py-0.5 text-[10px] text-slate-100 tabular-nums" />
+      </Html>
     </group>
   )
 }
 
-function HeatHaze({ strength = 0.03 }) {
+function HeatHaze({ strength = 0.03, seed = 0 }) {
   // Simple refractive-looking quads that wobble like hot air; not true screen refraction but sells the effect
   const group = useRef()
-  const planes = useMemo(() => new Array(4).fill(0).map(() => ({
-    pos: new THREE.Vector3((Math.random()-0.5)*0.6, 0.6+Math.random()*0.6, (Math.random()-0.5)*0.6),
-    rot: new THREE.Euler(),
-    scale: 0.8 + Math.random()*0.6
-  })), [])
+  const planes = useMemo(() => {
+    const rng = createRng(seed)
+    return new Array(4).fill(0).map(() => ({
+      pos: new THREE.Vector3((rng()-0.5)*0.6, 0.6+rng()*0.6, (rng()-0.5)*0.6),
+      rot: new THREE.Euler(),
+      scale: 0.8 + rng()*0.6
+    }))
+  }, [seed])
   useFrame((state) => {
     const t = state.clock.getElapsedTime()
     planes.forEach((p, i) => {
@@ -410,11 +711,12 @@ function HeatHaze({ strength = 0.03 }) {
 
 function Scorch({ triggerKey }) {
   const mat = useRef()
+  const clock = useSimClock()
   const [t0, setT0] = useState(0)
-  useEffect(() => { setT0(performance.now()) }, [triggerKey])
+  useEffect(() => { setT0(clock.time) }, [triggerKey, clock])
   useFrame(() => {
     if (!mat.current) return
-    const elapsed = (performance.now() - t0) / 1000
+    const elapsed = clock.time - t0
     const radius = Math.min(12, elapsed * 6)
     mat.current.opacity = THREE.MathUtils.clamp(0.4 - elapsed*0.1, 0, 0.4)
     const s = Math.max(0.001, radius)
@@ -445,75 +747,372 @@ function CameraShake({ triggerKey }) {
   return <group ref={group} />
 }
 
-function Scene({ stage = 0, onExplode, forcePresetIndex, fullMode = false, explodeTick }) {
+function Scene({ presets, stage = 0, onExplode, forcePresetIndex, fullMode = false, explodeTick, initialParams = SCENE_PARAM_DEFAULTS, initialCamera, onParamsChange, onCameraChange, deposition, showDeposition = true, replayFrame = null, backendOverride, controls = true, blendTime = 0, blendFrom = null, sequencePosition, overrides, driveClock = true, cameraSync, metricsLog, activity, showDose = false, daysPerSecond = 1, map = null, mapView = 'site', blast, reactor = null, onReactorAdvance, lesson = null }) {
   const presetIndex = typeof forcePresetIndex === 'number' ? forcePresetIndex : stage
-  const preset = STAGE_PRESETS[Math.min(STAGE_PRESETS.length - 1, Math.max(0, presetIndex))]
-
-  const { energyScale, dragOffset } = useControls({
-    energyScale: { value: 1.0, min: 0.25, max: 2.0, step: 0.05 },
-    dragOffset: { value: 0.0, min: -0.02, max: 0.05, step: 0.002 },
+  const preset = presets[Math.min(presets.length - 1, Math.max(0, presetIndex))]
+  const { layers } = preset
+  const levaValues = useControls({
+    energyScale: { value: initialParams.energyScale, min: 0.25, max: 2.0, step: 0.05 },
+    dragOffset: { value: initialParams.dragOffset, min: -0.02, max: 0.05, step: 0.002 },
+    // 0 = unseeded; any other value makes every random draw reproducible
+    seed: { value: initialParams.seed, min: 0, step: 1 },
+    // Where particle integration runs; 'main' is the single-threaded fallback and
+    // 'gpu' falls back to the worker when float render targets are unavailable
+    backend: { value: initialParams.backend, options: BACKENDS },
+    gpuDensity: { value: 1, min: 1, max: 64, step: 1, render: (get) => get('backend') === 'gpu' },
   })
+  // Comparison sides override some Leva values per Scene
+  const { energyScale, dragOffset, seed, backend: backendSetting, gpuDensity } = { ...levaValues, ...overrides }
+  const { showWind } = useControls('Wind', { showWind: { value: false, label: 'show field' } })
+  const { showCursor } = useControls('Blast', { showCursor: { value: true, label: 'overpressure at cursor' } })
+  // Offline export forces the synchronous main-thread backend so every frame is complete
+  const backend = backendOverride || backendSetting
+  // Debris stays on the CPU in every mode
+  const debrisBackend = backend === 'gpu' ? 'worker' : backend
+  // Landings feed the fallout map and, tagged with the layer's isotope mix, the activity grid
+  const depositFor = useMemo(() => {
+    if (!deposition) return {}
+    const make = (layer) => (xz, mass) => {
+      deposition.deposit(xz, mass)
+      if (activity) activity.deposit(xz, mass, LAYER_ISOTOPE_MIX[layer])
+    }
+    return { fireball: make('fireball'), smoke: make('smoke'), embers: make('embers') }
+  }, [deposition, activity])
+  // While the sequence plays, blending keeps a single launch (from the stage
+  // the run started at, sized for the busiest stage still to come) and lets
+  // each stage change retarget forces and live counts in place. Any other
+  // stage change relaunches.
+  const blending = blendTime > 0 && blendFrom !== null && blendFrom <= presetIndex
+  const launchIndex = blending ? blendFrom : presetIndex
+  const launchLayers = presets[launchIndex]?.layers || layers
+  const layerCounts = useMemo(() => {
+    const countsFor = (p) => Object.fromEntries(particleLayersFor(p).map(({ key, params }) => [key, params.count]))
+    const current = countsFor(preset)
+    if (!blending) return { launch: current, active: current }
+    const ahead = presets.slice(launchIndex).map(countsFor)
+    const launch = {}
+    for (const key of Object.keys(current)) launch[key] = Math.max(...ahead.map((c) => c[key]))
+    return { launch, active: current }
+  }, [presets, preset, blending, launchIndex])
+  const blendProps = (key) => (blending ? { activeCount: layerCounts.active[key], blendTime } : {})
 
   const effectiveEnergy = preset.blastEnergy * energyScale
+  const launchEnergy = (presets[launchIndex]?.blastEnergy ?? preset.blastEnergy) * energyScale
   const effectiveDrag = Math.max(0.0, preset.drag + dragOffset)
+  // Changes whenever the live particle layers relaunch (and restart their time)
+  const particleLaunchKey = fullMode ? `all-${seed}` : `${launchIndex}-${seed}-${launchEnergy}-${Object.values(layerCounts.launch).join('-')}`
+  const windField = useMemo(() => windFieldFor(preset), [preset])
+  const particleLayers = useMemo(() => particleLayersFor(preset, { energy: effectiveEnergy, drag: effectiveDrag }), [preset, effectiveEnergy, effectiveDrag])
+  // The composite runs every stage at its own settings
+  const compositeLayers = useMemo(() => presets.map((p) => ({ layers: particleLayersFor(p, { emberEnergy: 1.4 }), windField: windFieldFor(p) })), [presets])
+
+  // The building shows the current stage's damage (the last stage's in
+  // composite mode); roof sections a stage breaks off are thrown as slabs
+  const buildingDamage = fullMode ? presets[presets.length - 1].damage : preset.damage
+  const roofDebris = useMemo(() => {
+    const sections = roofSections()
+    let before = new Set()
+    return presets.map((p) => {
+      const broken = brokenRoofSections(sections, p.damage.roof)
+      const fresh = broken.filter((s) => !before.has(s.index)).map(({ position, size }) => ({ position, size }))
+      before = new Set(broken.map((s) => s.index))
+      return fresh
+    })
+  }, [presets])
+  // Rigid debris lives in the cannon world; offline export keeps the ballistic
+  // model, whose frames are always complete when captured
+  const rigidDebris = !backendOverride
+  // Shards are thinned so all mounted groups stay under the body cap; roof slabs
+  // stand in for hidden roof sections and are never dropped
+  const shardScale = useMemo(() => {
+    if (!rigidDebris) return 1
+    const groups = fullMode ? presets.map((_, idx) => idx) : [presetIndex]
+    const shards = groups.reduce((n, idx) => n + presets[idx].layers.debris.count, 0)
+    const slabs = groups.reduce((n, idx) => n + roofDebris[idx].length, 0)
+    return shards > 0 ? Math.min(1, Math.max(0, DEBRIS_BODY_CAP - slabs) / shards) : 1
+  }, [rigidDebris, fullMode, presets, presetIndex, roofDebris])
+  // Shared with the damage readout when the caller owns it
+  const ownFront = useMemo(() => createBlastFront(blastTargets()), [])
+  const shockFront = blast || ownFront
+  const rigidWorld = useMemo(() => createRigidWorld(), [])
+  // The model lights the core until the first explosion, where the stage takes over
+  const readReactorHeat = useMemo(() => (reactor ? () => heatForPower(reactor.power) : undefined), [reactor])
+  const reactorHeat = reactor && !fullMode && presetIndex < REACTOR_PHASE_STAGES.failed
 
   const shockKey = `${presetIndex}-${effectiveEnergy.toFixed(2)}-${fullMode?1:0}`
-  useEffect(() => { if (presetIndex >= 2 && onExplode) onExplode() }, [presetIndex])
+  const shockTnt = tntFor(effectiveEnergy)
+  // Particle layers start their own copy of the front when the id changes
+  const shockParam = useMemo(() => (preset.explosive ? { id: shockKey, tnt: shockTnt } : null), [preset.explosive, shockKey, shockTnt])
+  useEffect(() => { if (preset.explosive && onExplode) onExplode() }, [presetIndex])
+
+  // Debounced so dragging a slider doesn't flood the history API; a new
+  // callback alone doesn't restart the timer
+  const paramsChangeRef = useRef(onParamsChange)
+  paramsChangeRef.current = onParamsChange
+  useEffect(() => {
+    if (!paramsChangeRef.current) return
+    const timer = setTimeout(() => paramsChangeRef.current?.({ energyScale, dragOffset, seed, backend: backendSetting }), 300)
+    return () => clearTimeout(timer)
+  }, [energyScale, dragOffset, seed, backendSetting])
+
+  const controlsRef = useRef()
+  const cameraEnd = () => {
+    const c = controlsRef.current
+    if (c && onCameraChange) onCameraChange({ position: c.object.position.toArray(), target: c.target.toArray() })
+  }
+
+  const recordMeta = { stage: presetIndex, fullMode, params: { energyScale, dragOffset, seed, backend }, position: sequencePosition }
 
   return (
     <>
+      {driveClock && <SimClockDriver />}
+      <RecorderDriver meta={recordMeta} />
       <color attach="background" args={["#0b1220"]} />
-      <fog attach="fog" args={["#0b1220", 20, 120]} />
+      {/* Map mode spans tens of kilometres, so haze starts much further out */}
+      <fog attach="fog" args={map ? ["#0b1220", 400, 4000] : ["#0b1220", 20, 120]} />
       <ambientLight intensity={0.35} />
       <directionalLight position={[5, 8, 5]} intensity={1.4} castShadow />
-      <Stars radius={50} depth={20} count={2000} factor={4} fade />
-
-      <Physics gravity={[0, -9.81, 0]}>
-        <Ground />
-      </Physics>
-
-      <ReactorCore heat={preset.heat} />
-      <Buildings />
-
-      <gridHelper args={[60, 60, '#1e293b', '#0f172a']} position={[0, 0.01, 0]} />
-      <axesHelper args={[2]} position={[0, 0.02, 0]} />
-
-      {presetIndex >= 2 && <Shockwave triggerKey={shockKey} />}
-      {presetIndex >= 2 && <Scorch triggerKey={shockKey} />}
-      <HeatHaze />
-
-      {fullMode ? (
-        <group>
-          {STAGE_PRESETS.map((p, idx) => (
-            <group key={idx}>
-              {/* Hot fireball */}
-              <Particles stage={idx} count={Math.floor(p.count*0.35)} blastEnergy={p.blastEnergy} drag={p.drag*0.6} wind={p.wind} buoyancy={p.buoyancy*1.1} anisotropyUp={p.anisotropyUp} anisotropyXZ={p.anisotropyXZ} verticalBias={p.verticalBias} thermalDecay={p.thermalDecay} colorsPair={['#ffcf6b', '#ff5522']} additive sizeRange={[14,26]} noise={0.6} alphaMul={1.0} />
-              {/* Dense smoke */}
-              <Particles stage={idx} count={Math.floor(p.count*0.5)} blastEnergy={p.blastEnergy*0.7} drag={p.drag*1.3} wind={p.wind} buoyancy={p.buoyancy*0.9} anisotropyUp={p.anisotropyUp*0.8} anisotropyXZ={p.anisotropyXZ*1.1} verticalBias={p.verticalBias*0.8} thermalDecay={p.thermalDecay*0.8} colorsPair={['#111318', '#2b2f36']} additive={false} sizeRange={[28,48]} noise={0.9} alphaMul={0.9} />
-              {/* Embers/sparks */}
-              <Particles stage={idx} count={Math.floor(120* (idx>=2?1.2:0.4))} blastEnergy={p.blastEnergy*1.4} drag={0.01} wind={p.wind} buoyancy={0.3} anisotropyUp={0.4} anisotropyXZ={0.6} verticalBias={0.2} thermalDecay={1.2} colorsPair={['#ffdca8','#fff2ad']} additive sizeRange={[6,12]} noise={0.2} alphaMul={1.0} />
-              <Debris stage={idx} energy={p.blastEnergy} />
-            </group>
-          ))}
-        </group>
-      ) : (
-        <group>
-          {/* Hot fireball */}
-          <Particles stage={presetIndex} count={Math.floor(preset.count*0.45)} blastEnergy={effectiveEnergy} drag={effectiveDrag*0.6} wind={preset.wind} buoyancy={preset.buoyancy*1.1} anisotropyUp={preset.anisotropyUp} anisotropyXZ={preset.anisotropyXZ} verticalBias={preset.verticalBias} thermalDecay={preset.thermalDecay} colorsPair={['#ffcf6b', '#ff5522']} additive sizeRange={[14,26]} noise={0.6} alphaMul={1.0} />
-          {/* Dense smoke */}
-          <Particles stage={presetIndex} count={Math.floor(preset.count*0.65)} blastEnergy={effectiveEnergy*0.7} drag={effectiveDrag*1.3} wind={preset.wind} buoyancy={preset.buoyancy*0.9} anisotropyUp={preset.anisotropyUp*0.8} anisotropyXZ={preset.anisotropyXZ*1.1} verticalBias={preset.verticalBias*0.8} thermalDecay={preset.thermalDecay*0.8} colorsPair={['#111318', '#2b2f36']} additive={false} sizeRange={[28,48]} noise={0.9} alphaMul={0.9} />
-          {/* Embers/sparks */}
-          <Particles stage={presetIndex} count={Math.floor(160* (presetIndex>=2?1.2:0.4))} blastEnergy={effectiveEnergy*1.3} drag={0.01} wind={preset.wind} buoyancy={0.3} anisotropyUp={0.4} anisotropyXZ={0.6} verticalBias={0.2} thermalDecay={1.2} colorsPair={['#ffdca8','#fff2ad']} additive sizeRange={[6,12]} noise={0.2} alphaMul={1.0} />
-          <Debris stage={presetIndex} energy={effectiveEnergy} />
-        </group>
-      )}
+      {!map && <Stars radius={50} depth={20} count={2000} factor={4} fade />}
+
+      <RigidWorldContext.Provider value={rigidWorld}>
+        <RigidWorldDriver />
+        <Ground visible={!map} />
+
+        {reactor && <ReactorDriver model={reactor} onAdvance={onReactorAdvance} />}
+        <ReactorBuilding heat={preset.heat} readHeat={reactorHeat ? readReactorHeat : undefined} damage={buildingDamage} />
+
+        {map ? <MapLayer map={map} /> : (
+          <>
+            <gridHelper args={[60, 60, '#1e293b', '#0f172a']} position={[0, 0.01, 0]} />
+            <axesHelper args={[2]} position={[0, 0.02, 0]} />
+          </>
+        )}
+        {deposition && <DepositionOverlay grid={deposition} visible={showDeposition} />}
+        {activity && <DoseIsolines grid={activity} visible={showDose && backend !== 'gpu'} daysPerSecond={daysPerSecond} />}
+        {showWind && <WindArrows config={windField} launchKey={particleLaunchKey} />}
+
+        {preset.explosive && <Shockwave triggerKey={shockKey} front={shockFront} tnt={shockTnt} />}
+        <BlastDriver front={shockFront} />
+        {showCursor && controls && <CursorOverpressure front={shockFront} />}
+        {preset.explosive && <Scorch triggerKey={shockKey} />}
+        <HeatHaze seed={deriveSeed(seed, 'haze')} />
+
+        {replayFrame && <ReplayView frame={replayFrame} />}
+        {lesson && lesson.annotations.length > 0 && <LessonAnnotations items={lesson.annotations} />}
 
-      <OrbitControls enablePan enableZoom enableDamping dampingFactor={0.08} target={[0, 0.8, 0]} />
-      <PerspectiveCamera makeDefault position={[6, 4, 8]} fov={50} />
+        {/* Live layers stay mounted (and paused) during replay so playback can resume */}
+        {fullMode ? (
+          <group visible={!replayFrame}>
+            {presets.map((p, idx) => (
+              <group key={idx}>
+                {compositeLayers[idx].layers.map(({ key, additive, alphaMul, depositMass, params }) => (
+                  <Particles key={key} {...params} stage={idx} count={Math.floor(params.count*COMPOSITE_LAYER_SCALE[key])} wind={p.wind} windField={compositeLayers[idx].windField} additive={additive} alphaMul={alphaMul} seed={deriveSeed(seed, idx, key)} onDeposit={depositFor[key]} depositMass={depositMass} recordKey={`${idx}-${key}`} backend={backend} gpuDensity={gpuDensity} shock={shockParam} />
+                ))}
+                <Debris stage={idx} count={Math.floor(p.layers.debris.count*shardScale)} energy={p.blastEnergy} seed={deriveSeed(seed, idx, 'debris')} recordKey={`${idx}-debris`} backend={debrisBackend} rigid={rigidDebris} shock={shockFront} />
+                <Debris stage={idx} count={roofDebris[idx].length} sources={roofDebris[idx]} shape="slab" energy={p.blastEnergy} seed={deriveSeed(seed, idx, 'roof')} recordKey={`${idx}-roof`} backend={debrisBackend} rigid={rigidDebris} shock={shockFront} />
+              </group>
+            ))}
+          </group>
+        ) : (
+          <group visible={!replayFrame}>
+            {particleLayers.map(({ key, additive, alphaMul, depositMass, energyFactor, params }) => (
+              <Particles key={key} {...params} stage={launchIndex} count={layerCounts.launch[key]} {...blendProps(key)} launchEnergy={launchEnergy*energyFactor} launchColors={launchLayers[key].colors} wind={preset.wind} windField={windField} additive={additive} alphaMul={alphaMul} seed={deriveSeed(seed, launchIndex, key)} onDeposit={depositFor[key]} depositMass={depositMass} recordKey={`${launchIndex}-${key}`} backend={backend} gpuDensity={gpuDensity} shock={shockParam} />
+            ))}
+            <Debris stage={presetIndex} count={Math.floor(layers.debris.count*shardScale)} energy={effectiveEnergy} seed={deriveSeed(seed, presetIndex, 'debris')} recordKey={`${presetIndex}-debris`} backend={debrisBackend} rigid={rigidDebris} shock={shockFront} />
+            <Debris stage={presetIndex} count={roofDebris[presetIndex].length} sources={roofDebris[presetIndex]} shape="slab" energy={effectiveEnergy} seed={deriveSeed(seed, presetIndex, 'roof')} recordKey={`${presetIndex}-roof`} backend={debrisBackend} rigid={rigidDebris} shock={shockFront} />
+          </group>
+        )}
+      </RigidWorldContext.Provider>
+
+      {/* After the layers, so samples see this frame's step */}
+      {metricsLog && <MetricsDriver log={metricsLog} wind={preset.wind} stage={fullMode ? null : presetIndex} />}
+
+      {controls && <OrbitControls ref={controlsRef} enablePan enableZoom enableDamping dampingFactor={0.08} target={initialCamera?.target || DEFAULT_CAMERA.target} onEnd={cameraEnd} />}
+      {controls && cameraSync && <CameraSyncDriver sync={cameraSync.sync} id={cameraSync.id} controlsRef={controlsRef} />}
+      {controls && <MapViewDriver view={mapView} controlsRef={controlsRef} />}
+      {controls && <LessonViewDriver step={lesson} controlsRef={controlsRef} />}
+      <PerspectiveCamera makeDefault position={initialCamera?.position || DEFAULT_CAMERA.position} fov={50} far={map ? 10000 : 2000} />
     </>
   )
 }
 
+// Captures every registered layer at the recorder's cadence while time advances
+// (meta.position, when given, is read at capture time for the incident clock)
+function RecorderDriver({ meta }) {
+  const recorder = useRecorder()
+  const clock = useSimClock()
+  const metaRef = useRef(meta)
+  metaRef.current = meta
+  useFrame(() => {
+    if (!recorder || clock.delta <= 0) return
+    const { position, ...rest } = metaRef.current
+    recorder.maybeCapture(clock.time, position ? { ...rest, position: position() } : rest)
+  })
+  return null
+}
+
+// Camera offset from the plume in the regional map view
+const REGION_OFFSET = new THREE.Vector3(0, 420, 320)
+const VIEW_TWEEN_SECONDS = 1.5
+
+// Plume centre on the ground, or the reactor when nothing is airborne
+function plumeFocus(probe, out) {
+  const metrics = probe && measurePlume(probe.layers())
+  if (metrics && metrics.airborne) return out.set(metrics.centroid[0], 0, metrics.centroid[2])
+  return out.set(0, 0, 0)
+}
+
+// Tween of the orbit camera from where it is now to position/target
+function cameraTween(start, controls, position, target) {
+  return { start, fromPosition: controls.object.position.clone(), fromTarget: controls.target.clone(), position, target }
+}
+
+// Eases the camera along a tween at time t; true once it has arrived
+function runCameraTween(tween, t, controls) {
+  const { start, fromPosition, fromTarget, position, target } = tween
+  const k = Math.min(1, (t - start) / VIEW_TWEEN_SECONDS)
+  const e = k * k * (3 - 2 * k)
+  controls.object.position.lerpVectors(fromPosition, position, e)
+  controls.target.lerpVectors(fromTarget, target, e)
+  controls.update()
+  return k >= 1
+}
+
+// Flies between the site view and the regional view on change (leaving map
+// mode flies back to the site); the regional view then glides along with the
+// plume so it stays in frame
+function MapViewDriver({ view, controlsRef }) {
+  const probe = usePlumeProbe()
+  const state = useRef({ view, tween: null, focus: new THREE.Vector3(), measuredAt: -Infinity })
+  const step = useMemo(() => new THREE.Vector3(), [])
+  useFrame((three, dt) => {
+    const controls = controlsRef.current
+    if (!controls) return
+    const s = state.current
+    const t = three.clock.elapsedTime
+    const camera = controls.object
+    if (s.view !== view) {
+      s.view = view
+      const target = view === 'region' ? plumeFocus(probe, s.focus).clone() : new THREE.Vector3(...DEFAULT_CAMERA.target)
+      const position = view === 'region' ? target.clone().add(REGION_OFFSET) : new THREE.Vector3(...DEFAULT_CAMERA.position)
+      s.tween = cameraTween(t, controls, position, target)
+    }
+    if (s.tween) {
+      if (runCameraTween(s.tween, t, controls)) s.tween = null
+      return
+    }
+    if (view !== 'region') return
+    if (t - s.measuredAt > 0.5) {
+      s.measuredAt = t
+      plumeFocus(probe, s.focus)
+    }
+    step.subVectors(s.focus, controls.target).multiplyScalar(Math.min(1, dt * 1.5))
+    step.y = 0
+    camera.position.add(step)
+    controls.target.add(step)
+    controls.update()
+  })
+  return null
+}
+
+// Flies to each lesson step's viewpoint when the step changes; the presenter
+// can still orbit freely once it has arrived. Steps without one leave the
+// camera alone.
+function LessonViewDriver({ step, controlsRef }) {
+  const state = useRef({ step: null, tween: null })
+  useFrame((three) => {
+    const controls = controlsRef.current
+    const s = state.current
+    if (!controls || !step) {
+      s.step = null
+      return
+    }
+    const t = three.clock.elapsedTime
+    if (s.step !== step) {
+      s.step = step
+      s.tween = null
+      if (step.viewpoint) {
+        const { position, target } = step.viewpoint
+        s.tween = cameraTween(t, controls, new THREE.Vector3(...position), new THREE.Vector3(...target))
+      }
+    }
+    if (s.tween && runCameraTween(s.tween, t, controls)) s.tween = null
+  })
+  return null
+}
+
+// Samples the plume probe into the metrics log while time advances
+function MetricsDriver({ log, wind, stage }) {
+  const probe = usePlumeProbe()
+  const clock = useSimClock()
+  const latest = useRef()
+  latest.current = { wind, meta: { stage } }
+  useFrame(() => {
+    if (!probe || clock.delta <= 0) return
+    log.maybeSample(clock.time, probe.layers, latest.current.wind, latest.current.meta)
+  })
+  return null
+}
+
+function ReplayParticles({ snapshot }) {
+  const { fields, style } = snapshot
+  const count = fields.life.length
+  // Sized by count only; the effect below binds each snapshot's arrays
+  const geometry = useMemo(() => {
+    const g = new THREE.BufferGeometry()
+    g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3))
+    g.setAttribute('aColor', new THREE.BufferAttribute(new Float32Array(count * 3), 3))
+    g.setAttribute('aLife', new THREE.BufferAttribute(new Float32Array(count), 1))
+    g.setAttribute('aSize', new THREE.BufferAttribute(new Float32Array(count), 1))
+    return g
+  }, [count])
+  const material = useMemo(() => particleMaterial(ParticleShader.vertex, style.additive, style.alphaMul), [style.additive, style.alphaMul])
+
+  useEffect(() => {
+    const attrs = geometry.attributes
+    bindField(attrs.position, fields.positions)
+    bindField(attrs.aLife, fields.life)
+    bindField(attrs.aColor, fields.colors)
+    bindField(attrs.aSize, fields.size)
+  }, [geometry, fields])
+
+  useEffect(() => () => { geometry.dispose(); material.dispose() }, [geometry, material])
+
+  return (
+    <points geometry={geometry}>
+      <primitive object={material} attach="material" />
+    </points>
+  )
+}
+
+function ReplayDebris({ snapshot }) {
+  const meshRef = useRef()
+  const count = snapshot.fields.scales.length
+  const shape = snapshot.style?.shape || 'shard'
+  useEffect(() => {
+    if (meshRef.current) writeDebrisMatrices(meshRef.current, snapshot.fields, count)
+  }, [snapshot, count])
+  return (
+    <instancedMesh ref={meshRef} args={[null, null, count]} castShadow receiveShadow>
+      <DebrisGeometry shape={shape} />
+      <meshStandardMaterial color={DEBRIS_SHAPES[shape].color} metalness={0.05} roughness={0.95} />
+    </instancedMesh>
+  )
+}
+
+// Draws a recorded frame in place of the live layers
+function ReplayView({ frame }) {
+  return (
+    <group>
+      {Object.entries(frame.layers).map(([key, snapshot]) => (
+        snapshot.kind === 'debris'
+          ? <ReplayDebris key={key} snapshot={snapshot} />
+          : <ReplayParticles key={key} snapshot={snapshot} />
+      ))}
+    </group>
+  )
+}
+
 function supportsWebGL() {
   try {
     const canvas = document.createElement('canvas')
@@ -532,7 +1131,10 @@ class ErrorBoundary extends Component {
     this.state = { hasError: false, error: null }
   }
   static getDerivedStateFromError(error) { return { hasError: true, error } }
-  componentDidCatch(error, info) {}
+  // onError lets the owner swap in another renderer
+  componentDidCatch(error, info) {
+    if (this.props.onError) this.props.onError(error)
+  }
   render() {
     if (this.state.hasError) {
       return (
@@ -545,57 +1147,516 @@ class ErrorBoundary extends Component {
   }
 }
 
-export default function BlastSim({ stage = 0 }) {
+export default function BlastSim({ stage = 0, onActiveStageChange }) {
   const [webglOk, setWebglOk] = useState(true)
+  // Set when the 3D renderer crashed; the 2D view takes over as without WebGL
+  const [rendererError, setRendererError] = useState(null)
   const [explodeTick, setExplodeTick] = useState(0)
-  const [autoPlay, setAutoPlay] = useState(false)
-  const [fullMode, setFullMode] = useState(false)
-  const [localStage, setLocalStage] = useState(stage)
+  // Lesson on screen ('sequence', built in, or the scenario's own) and its
+  // step, or null outside a lesson
+  const [lessonKind, setLessonKind] = useState('sequence')
+  const [lessonStep, setLessonStep] = useState(null)
+  // Stage the sequence lesson launched at; its stage changes blend until
+  // something else changes the stage (null: every stage change relaunches)
+  const [runStart, setRunStart] = useState(null)
+  const endLesson = () => {
+    setLessonStep(null)
+    setRunStart(null)
+  }
+  const { stages: presets, scenario, quiz } = useScenario()
+  // Composite mode, Leva values and the camera round-trip through the URL;
+  // Leva and the camera only read it on load
+  const [searchParams, updateUrl] = useUrlState()
+  const fullMode = readComposite(searchParams)
+  const mapMode = readMapMode(searchParams)
+  const setFullMode = (next) => updateUrl((params) => writeComposite(params, next))
+  // Bumped to relaunch the live Canvas from scratch (see restartStage); a
+  // relaunch picks the camera up where it was left
+  const [launch, setLaunch] = useState(() => ({ count: 0, camera: readCamera(searchParams) }))
+  const launches = launch.count
+  const initialCamera = launch.camera
+  const [initialParams] = useState(() => readSceneParams(searchParams))
+  const saveParams = useCallback((values) => updateUrl((params) => writeSceneParams(params, values)), [updateUrl])
+  const saveCamera = useCallback((camera) => updateUrl((params) => writeCamera(params, camera)), [updateUrl])
+
+  // Playback clock and run recording shared with the Canvas
+  const clock = useMemo(() => createSimClock(), [])
+  const recorder = useMemo(() => createRecorder(), [])
+  // Plume measurements from the live layers; a series restarts with each stage jump
+  const plumeProbe = useMemo(() => createPlumeProbe(), [])
+  const metricsLog = useMemo(() => createMetricsLog(), [])
+  // Latest blast front, shared with the damage readout
+  const blastFront = useMemo(() => createBlastFront(blastTargets()), [])
+  const [paused, setPaused] = useState(false)
+  const [speed, setSpeed] = useState(1)
+  // Recorded frame index being shown, or null while following the live sim
+  const [playhead, setPlayhead] = useState(null)
+  const playheadRef = useRef(playhead)
+  playheadRef.current = playhead
+  const replaying = playhead !== null
+  // The live view holds still while an export renders
+  const [exporting, setExporting] = useState(false)
+
+  useEffect(() => {
+    clock.paused = paused || replaying || exporting
+    clock.speed = speed
+  }, [clock, paused, replaying, exporting, speed])
+
+  // Replay advances through recorded frames by wall time; running past the
+  // end hands control back to the live sim
+  useEffect(() => {
+    if (!replaying || paused) return
+    let i = playheadRef.current
+    let t = recorder.frame(i)?.time ?? 0
+    let last = performance.now()
+    let raf
+    const tick = (now) => {
+      t += ((now - last) / 1000) * speed
+      last = now
+      const frames = recorder.frames
+      while (i < frames.length - 1 && frames[i + 1].time <= t) i++
+      if (i >= frames.length - 1 && t > (frames[i]?.time ?? 0) + recorder.interval) {
+        setPlayhead(null)
+        return
+      }
+      setPlayhead(i)
+      raf = requestAnimationFrame(tick)
+    }
+    raf = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(raf)
+  }, [replaying, paused, speed, recorder])
+
+  const stepFrame = (dir) => {
+    if (replaying) {
+      setPlayhead((i) => Math.max(0, Math.min(recorder.frames.length - 1, i + dir)))
+    } else if (paused && dir > 0) {
+      clock.step(recorder.interval)
+    }
+  }
+
+  const clearRecording = () => {
+    recorder.clear()
+    setPlayhead(null)
+  }
 
   useEffect(() => { setWebglOk(supportsWebGL()) }, [])
+  const onRendererError = useCallback((error) => {
+    setRendererError(error)
+    setWebglOk(false)
+  }, [])
+
+  const { blend, blendTime } = useControls('Sequence', {
+    blend: { value: true, label: 'blend stages' },
+    blendTime: { value: 1.5, min: 0.1, max: 5, step: 0.1, label: 'blend (s)', render: (get) => get('Sequence.blend') },
+  })
 
-  useEffect(() => { if (!autoPlay) setLocalStage(stage) }, [stage, autoPlay])
+  // Master clock: sequence position (sim seconds since the first stage) advances
+  // with the sim clock, so pause, speed and frame-stepping all carry over; the
+  // incident timeline maps it to stages and real timestamps
+  const timeline = useMemo(() => createIncidentTimeline(presets), [presets])
+  const seekRef = useRef({ position: 0, clockTime: 0 })
+  const sequencePosition = useCallback(() => seekRef.current.position + (clock.time - seekRef.current.clockTime), [clock])
+  const seekSequence = useCallback((position) => { seekRef.current = { position, clockTime: clock.time } }, [clock])
 
+  // Stage of the lesson step on screen, for telling its own stage changes
+  // from jumps elsewhere
+  const lessonStageRef = useRef(null)
+
+  // A jump from outside ends the lesson and restarts the master clock at that
+  // stage, unless the sequence is already there (the sequence lesson moving on)
   useEffect(() => {
-    if (!autoPlay) return
-    setLocalStage(0)
-    let idx = 0
-    const steps = [1200, 1200, 800, 1200, 1200, 2000]
-    const timer = setInterval(() => {
-      idx += 1
-      if (idx >= STAGE_PRESETS.length) { clearInterval(timer); setAutoPlay(false); return }
-      setLocalStage(idx)
-    }, steps[Math.min(idx, steps.length-1)])
-    return () => clearInterval(timer)
-  }, [autoPlay])
-
-  const displayStage = autoPlay ? localStage : stage
-  const preset = STAGE_PRESETS[Math.min(STAGE_PRESETS.length - 1, Math.max(0, fullMode ? 5 : displayStage))]
+    if (lessonStageRef.current !== null && lessonStageRef.current !== stage) {
+      setLessonStep(null)
+      setRunStart(null)
+    }
+    if (timeline.stageAt(sequencePosition()) === stage) return
+    seekSequence(timeline.startOf(stage))
+    metricsLog.clear()
+    setRunStart(null)
+  }, [stage, timeline, sequencePosition, seekSequence, metricsLog])
+
+  // The updater changes identity with every URL write (camera, Leva), which
+  // mustn't restart a lesson step
+  const updateUrlRef = useRef(updateUrl)
+  updateUrlRef.current = updateUrl
+
+  const replayFrame = replaying ? recorder.frame(playhead) : null
+  // While replaying, the title follows the recorded run rather than the live one
+  const titleMeta = replayFrame ? replayFrame.meta : { stage, fullMode }
+  const preset = presets[Math.min(presets.length - 1, Math.max(0, titleMeta.fullMode ? presets.length - 1 : titleMeta.stage))]
+
+  useEffect(() => {
+    if (onActiveStageChange) onActiveStageChange(titleMeta.fullMode ? null : titleMeta.stage)
+  }, [onActiveStageChange, titleMeta.fullMode, titleMeta.stage])
+
+  // Polled by the overlay every frame, so it goes through refs rather than state
+  const clockStateRef = useRef()
+  clockStateRef.current = { replayFrame, playing: lessonKind === 'sequence' && lessonStep !== null, stage }
+  const readIncidentClock = useCallback(() => {
+    const { replayFrame: frame, playing, stage: shown } = clockStateRef.current
+    if (frame) return frame.meta.position == null ? null : timeline.labelAt(frame.meta.position)
+    // Outside the sequence a single stage holds at its last moment
+    const position = sequencePosition()
+    return timeline.labelAt(playing ? position : Math.min(position, timeline.endOf(shown)))
+  }, [timeline, sequencePosition])
+
+  // Ground fallout map, fed by every particle layer
+  const deposition = useMemo(() => createDepositionGrid(), [])
+  // Isotope activity carried by the same landings (illustrative dose layer)
+  const activity = useMemo(() => createActivityGrid({ extent: deposition.extent }), [deposition])
+  const { showFallout, accumulate } = useControls('Fallout', {
+    showFallout: { value: true, label: 'show map' },
+    accumulate: { value: false, label: 'across stages' },
+    reset: button(() => { deposition.reset(); activity.reset() }),
+  })
+  // The GPU backend only reports landings from periodic readbacks, too coarse
+  // for the dose field, so the layer is offered on the CPU backends only
+  const { showDose: doseSetting, daysPerSecond } = useControls('Dose (illustrative)', {
+    showDose: { value: false, label: 'show isolines', render: (get) => get('backend') !== 'gpu' },
+    // Incident time compression for decay; I-131 halves every ~8 days
+    daysPerSecond: { value: 1, min: 0, max: 30, step: 0.5, label: 'days / sim s' },
+  })
+  const showDose = doseSetting && readSceneParams(searchParams).backend !== 'gpu'
+  useEffect(() => {
+    if (accumulate) return
+    deposition.reset()
+    activity.reset()
+  }, [stage, fullMode, accumulate, deposition, activity])
+
+  const renderExportScene = useCallback((props) => (
+    <Scene presets={presets} initialParams={initialParams} showDeposition={showFallout} {...props} />
+  ), [presets, initialParams, showFallout])
+
+  // Offline regional map, fetched the first time map mode is switched on
+  const [regionMap, setRegionMap] = useState({ map: null, error: null })
+  const [mapView, setMapView] = useState('site')
+  useEffect(() => {
+    if (!mapMode || regionMap.map) return
+    let cancelled = false
+    fetchRegionMap()
+      .then((map) => { if (!cancelled) setRegionMap({ map, error: null }) })
+      .catch((error) => { if (!cancelled) setRegionMap({ map: null, error }) })
+    return () => { cancelled = true }
+  }, [mapMode, regionMap.map])
+  useEffect(() => { if (!mapMode) setMapView('site') }, [mapMode])
+
+  // Split-view comparison; holds the starting values for both sides while open
+  const [compare, setCompare] = useState(null)
+  const toggleCompare = () => {
+    if (compare) {
+      setCompare(null)
+      return
+    }
+    // Comparison Canvases don't record, so the transport bar only keeps its clock controls
+    clearRecording()
+    endLesson()
+    setReactorMode(false)
+    setFullMode(false)
+    const camera = readCamera(searchParams)
+    setCompare({
+      ...readSceneParams(searchParams),
+      stage: stage,
+      camera: { position: camera.position || DEFAULT_CAMERA.position, target: camera.target || DEFAULT_CAMERA.target },
+    })
+  }
+  const renderCompareScene = useCallback((props) => (
+    <Scene presets={presets} initialParams={initialParams} {...props} />
+  ), [presets, initialParams])
+
+  // Interactive reactor model in place of the hand-set pre-explosion stages:
+  // while it runs, its phase picks the stage and the peak power of its
+  // excursion sets the energy of the explosion it hands over to
+  const reactor = useMemo(() => createReactorModel(), [])
+  const [reactorMode, setReactorMode] = useState(false)
+  const [reactorPeak, setReactorPeak] = useState(null)
+  // Phase the stage was last set from, and the panel's refresh while it's open
+  const reactorPhase = useRef(null)
+  const reactorListeners = useMemo(() => new Set(), [])
+  const followReactorPhase = useCallback(() => {
+    if (reactor.phase === reactorPhase.current) return
+    reactorPhase.current = reactor.phase
+    setReactorPeak(reactor.failed ? reactor.peakPower : null)
+    const next = Math.min(presets.length - 1, REACTOR_PHASE_STAGES[reactor.phase])
+    updateUrlRef.current((params) => writeStage(params, next))
+  }, [reactor, presets.length])
+  // Called from the frame loop whenever the model moved
+  const onReactorAdvance = useCallback(() => {
+    followReactorPhase()
+    for (const listener of reactorListeners) listener()
+  }, [followReactorPhase, reactorListeners])
+  const listenToReactor = useCallback((listener) => {
+    reactorListeners.add(listener)
+    return () => reactorListeners.delete(listener)
+  }, [reactorListeners])
+  const toggleReactor = () => {
+    if (!reactorMode) {
+      reactor.reset()
+      reactorPhase.current = null
+      followReactorPhase()
+      clearRecording()
+      metricsLog.clear()
+      endLesson()
+      setCompare(null)
+      setFullMode(false)
+    }
+    setReactorMode(!reactorMode)
+  }
+  // Lessons: the built-in sequence, which plays every stage in order and
+  // blends between them, or the scenario file's own script, whose steps
+  // relaunch their stage. Steps set the stage through the URL like the
+  // timeline does, and timed steps count sim seconds so pausing holds them.
+  const lessons = useMemo(() => ({ sequence: sequenceLessonFor(presets), scenario: scenario?.lesson ?? null }), [presets, scenario])
+  const lessonSteps = useMemo(() => (lessons[lessonKind] ? lessonStepsFor(lessons[lessonKind], presets) : null), [lessons, lessonKind, presets])
+  const lesson = lessonSteps && lessonStep !== null ? lessonSteps[Math.min(lessonStep, lessonSteps.length - 1)] : null
+  lessonStageRef.current = lesson ? lesson.stage : null
+  const lessonStartRef = useRef(0)
+  // Set when a timed step moved on by itself rather than the presenter
+  const lessonAdvancedRef = useRef(false)
+  useEffect(() => { setLessonStep(null) }, [lessons])
+  const startLesson = (kind) => {
+    clearRecording()
+    metricsLog.clear()
+    setCompare(null)
+    setReactorMode(false)
+    setFullMode(false)
+    if (kind !== 'sequence') setMapView('site')
+    lessonAdvancedRef.current = false
+    setLessonKind(kind)
+    setLessonStep(0)
+  }
+  const stepLesson = useCallback((dir) => {
+    setLessonStep((i) => (i === null ? i : Math.max(0, Math.min(lessonSteps.length - 1, i + dir))))
+  }, [lessonSteps])
+
+  const playingSequence = lessonKind === 'sequence'
+  useEffect(() => {
+    if (!lesson) return
+    lessonStartRef.current = clock.time
+    const advanced = lessonAdvancedRef.current
+    lessonAdvancedRef.current = false
+    if (!playingSequence) {
+      setRunStart(null)
+    } else if (!advanced) {
+      // Starting or jumping relaunches the sequence at the step's stage; from
+      // there it blends on, the master clock having reached each next stage
+      // by the time its step comes up
+      seekSequence(timeline.startOf(lesson.stage))
+      metricsLog.clear()
+      setRunStart(lesson.stage)
+    }
+    updateUrlRef.current((params) => writeStage(params, lesson.stage))
+    if (!lesson.advance) return
+    let raf
+    const tick = () => {
+      if (clock.time - lessonStartRef.current >= lesson.advance) {
+        lessonAdvancedRef.current = true
+        stepLesson(1)
+        return
+      }
+      raf = requestAnimationFrame(tick)
+    }
+    raf = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(raf)
+  }, [lesson, playingSequence, clock, stepLesson, timeline, seekSequence, metricsLog])
+  const readLessonProgress = useCallback(() => (lesson?.advance ? (clock.time - lessonStartRef.current) / lesson.advance : null), [lesson, clock])
+
+  // Presenter keys (clickers send Page Up / Page Down)
+  const inLesson = lessonStep !== null
+  const inScenarioLesson = inLesson && !playingSequence
+  useEffect(() => {
+    if (!inLesson) return
+    const onKey = (e) => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return
+      if (e.key === 'ArrowRight' || e.key === 'PageDown') stepLesson(1)
+      else if (e.key === 'ArrowLeft' || e.key === 'PageUp') stepLesson(-1)
+      else if (e.key === 'Escape') {
+        setLessonStep(null)
+        setRunStart(null)
+      } else return
+      e.preventDefault()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [inLesson, stepLesson])
+
+  // Relaunches a stage from its first frame by remounting the Canvas (as
+  // CompareView's restart does), so quiz predictions measure a fresh run
+  const restartStage = (idx) => {
+    clearRecording()
+    endLesson()
+    setCompare(null)
+    setReactorMode(false)
+    setFullMode(false)
+    updateUrl((params) => writeStage(params, idx))
+    seekSequence(timeline.startOf(idx))
+    metricsLog.clear()
+    setLaunch(({ count }) => ({ count: count + 1, camera: readCamera(new URLSearchParams(window.location.search)) }))
+  }
+
+  // Quiz on the stage on screen, opened from the timeline; answers persist in localStorage
+  const quizOpen = readQuizOpen(searchParams) && !!quiz
+  const quizResults = useMemo(() => (quiz ? createQuizResults(quiz) : null), [quiz])
+
+  // Saves the stage, scene parameters, seed and metrics so far (see lib/runs);
+  // while the backend is unreachable the run waits in the outbox
+  const api = useApi()
+  const toast = useToast()
+  const saveRun = async () => {
+    const params = readSceneParams(new URLSearchParams(window.location.search))
+    const run = createRun({ scenario, stage: stage, preset: presets[stage], params, samples: metricsLog.samples })
+    try {
+      const { queued } = await api.saveRun(run)
+      toast(queued
+        ? { title: 'Run saved offline', description: `${run.name}\nIt will be uploaded once the backend answers again.` }
+        : { tone: 'success', title: 'Run saved', description: run.name })
+    } catch (e) {
+      toast({ tone: 'error', title: 'Could not save the run', description: e.message })
+    }
+  }
+
+  // The 2D fallback reads the scene parameters from the URL, as Leva does on load
+  const fallbackParams = useMemo(() => readSceneParams(searchParams), [searchParams])
+  const jumpStage = (idx) => {
+    endLesson()
+    updateUrl((params) => writeStage(params, idx), { push: true })
+  }
+
+  const scenePresets = useMemo(() => {
+    if (!reactorMode || reactorPeak == null) return presets
+    const handover = Math.min(presets.length - 1, REACTOR_PHASE_STAGES.failed)
+    return presets.map((p, i) => (i === handover ? { ...p, blastEnergy: blastEnergyForPeak(reactorPeak) } : p))
+  }, [presets, reactorMode, reactorPeak])
 
   return (
-    <div className="relative w-full h-[560px] rounded-2xl overflow-hidden border border-slate-700 bg-slate-900">
-      <Leva collapsed />
+    <div className="space-y-3">
+      <div className="relative w-full h-[560px] rounded-2xl overflow-hidden border border-slate-700 bg-slate-900">
+        <Leva collapsed />
 
-      <div className="pointer-events-none absolute top-3 left-3 z-10 bg-slate-900/60 backdrop-blur-sm border border-slate-700 text-white text-xs px-2 py-1 rounded">
-        {fullMode ? 'Composite: full sequence' : preset.title}
-      </div>
+        {!compare && (
+          <div className="pointer-events-none absolute top-3 left-3 z-10 bg-slate-900/60 backdrop-blur-sm border border-slate-700 text-white text-xs px-2 py-1 rounded">
+            {titleMeta.fullMode ? 'Composite: full sequence' : preset.title}
+            {replayFrame && <span className="ml-2 text-sky-300">Replay</span>}
+          </div>
+        )}
+        {!compare && !titleMeta.fullMode && <IncidentClock read={readIncidentClock} />}
 
-      <div className="absolute top-3 right-3 z-10 flex gap-2">
-        <button onClick={() => { setFullMode(false); setAutoPlay(true) }} className="px-3 py-1 rounded bg-emerald-500 hover:bg-emerald-400 text-black text-xs font-semibold shadow">Play sequence</button>
-        <button onClick={() => { setAutoPlay(false); setFullMode((v)=>!v); setExplodeTick((t)=>t+1) }} className="px-3 py-1 rounded bg-sky-400 hover:bg-sky-300 text-black text-xs font-semibold shadow">{fullMode ? 'Exit composite' : 'Play full blast'}</button>
-      </div>
+        <div className="absolute top-3 right-3 z-10 flex gap-2">
+          <button onClick={() => startLesson('sequence')} className="px-3 py-1 rounded bg-emerald-500 hover:bg-emerald-400 text-black text-xs font-semibold shadow">Play sequence</button>
+          {webglOk && <button onClick={() => { metricsLog.clear(); endLesson(); setCompare(null); setReactorMode(false); setFullMode(!fullMode); setExplodeTick((t)=>t+1) }} className="px-3 py-1 rounded bg-sky-400 hover:bg-sky-300 text-black text-xs font-semibold shadow">{fullMode ? 'Exit composite' : 'Play full blast'}</button>}
+          {webglOk && (
+            <button onClick={toggleCompare} aria-pressed={!!compare} className={`flex items-center gap-1 px-3 py-1 rounded text-xs font-semibold shadow ${compare ? 'bg-amber-300 hover:bg-amber-200 text-black' : 'bg-slate-800/80 hover:bg-slate-700 border border-slate-600 text-slate-100'}`}>
+              <Columns2 className="w-3.5 h-3.5" /> {compare ? 'Exit compare' : 'Compare'}
+            </button>
+          )}
+          {webglOk && (
+            <button onClick={() => updateUrl((params) => writeMapMode(params, !mapMode))} aria-pressed={mapMode} className={`flex items-center gap-1 px-3 py-1 rounded text-xs font-semibold shadow ${mapMode ? 'bg-amber-300 hover:bg-amber-200 text-black' : 'bg-slate-800/80 hover:bg-slate-700 border border-slate-600 text-slate-100'}`}>
+              <MapIcon className="w-3.5 h-3.5" /> Map
+            </button>
+          )}
+          {webglOk && (
+            <button onClick={toggleReactor} aria-pressed={reactorMode} className={`flex items-center gap-1 px-3 py-1 rounded text-xs font-semibold shadow ${reactorMode ? 'bg-amber-300 hover:bg-amber-200 text-black' : 'bg-slate-800/80 hover:bg-slate-700 border border-slate-600 text-slate-100'}`}>
+              <Atom className="w-3.5 h-3.5" /> Reactor
+            </button>
+          )}
+          {webglOk && lessons.scenario && (
+            <button onClick={inScenarioLesson ? endLesson : () => startLesson('scenario')} aria-pressed={inScenarioLesson} className={`flex items-center gap-1 px-3 py-1 rounded text-xs font-semibold shadow ${inScenarioLesson ? 'bg-amber-300 hover:bg-amber-200 text-black' : 'bg-slate-800/80 hover:bg-slate-700 border border-slate-600 text-slate-100'}`}>
+              <GraduationCap className="w-3.5 h-3.5" /> Lesson
+            </button>
+          )}
+          {webglOk && <ExportDialog stages={presets.map((p) => p.title)} currentStage={stage} renderScene={renderExportScene} onExportingChange={setExporting} />}
+        </div>
+
+        {showDose && webglOk && !compare && <DoseLegend grid={activity} />}
+        {mapMode && webglOk && !compare && (
+          <div className="absolute top-12 right-3 z-10 w-56 space-y-1 bg-slate-900/70 backdrop-blur-sm border border-slate-700 rounded p-2 text-[10px] text-slate-300">
+            <div className="flex items-center gap-1">
+              {[['site', 'Site'], ['region', 'Region']].map(([value, label]) => (
+                <button key={value} onClick={() => setMapView(value)} aria-pressed={mapView === value} className={`px-2 py-0.5 rounded ${mapView === value ? 'bg-sky-400 text-black font-semibold' : 'hover:bg-slate-700'}`}>{label}</button>
+              ))}
+              {regionMap.map && <span className="ml-auto text-slate-400">1 unit = {regionMap.map.metersPerUnit} m</span>}
+            </div>
+            {regionMap.error && <div role="alert" className="text-rose-300">{regionMap.error.message}</div>}
+            {regionMap.map && <div className="text-slate-500">{regionMap.map.attribution}</div>}
+          </div>
+        )}
+        {webglOk && !compare && <BlastDamagePanel front={blastFront} />}
+        {lesson && webglOk && !compare && (
+          <LessonPanel
+            title={lessons[lessonKind].title}
+            step={lesson}
+            index={lessonStep}
+            count={lessonSteps.length}
+            readProgress={readLessonProgress}
+            onPrev={() => stepLesson(-1)}
+            onNext={() => stepLesson(1)}
+            onExit={endLesson}
+          />
+        )}
+        {showFallout && webglOk && !compare && !lesson && <DepositionLegend grid={deposition} accumulate={accumulate} />}
 
-      {!webglOk ? (
-        <div className="absolute inset-0 flex items-center justify-center text-slate-200">WebGL not supported on this device/browser.</div>
-      ) : (
-        <ErrorBoundary>
-          <Suspense fallback={<div className="absolute inset-0 flex items-center justify-center text-slate-200">Loading 3D…</div>}>
-            <Canvas shadows dpr={[1, 2]}>
-              <Scene stage={displayStage} fullMode={fullMode} onExplode={() => setExplodeTick((t)=>t+1)} explodeTick={explodeTick} />
-            </Canvas>
-          </Suspense>
-        </ErrorBoundary>
+        {webglOk && (
+          <TransportBar
+            paused={paused}
+            speed={speed}
+            playhead={playhead}
+            recorder={recorder}
+            clock={clock}
+            replayTime={replayFrame ? replayFrame.time : null}
+            onTogglePause={() => setPaused((v) => !v)}
+            onStep={stepFrame}
+            onSeek={setPlayhead}
+            onSpeed={setSpeed}
+            onLive={() => setPlayhead(null)}
+            onClear={clearRecording}
+          />
+        )}
+
+        {!webglOk ? (
+          <FallbackView
+            key={launches}
+            presets={presets}
+            stage={stage}
+            params={fallbackParams}
+            clock={clock}
+            metricsLog={metricsLog}
+            paused={paused}
+            notice={rendererError ? `The 3D renderer failed (${rendererError.message || rendererError}); showing a 2D side view instead.` : 'WebGL is not available in this browser; showing a 2D side view of the same simulation.'}
+            onTogglePause={() => setPaused((v) => !v)}
+            onJump={jumpStage}
+            onRestart={() => restartStage(stage)}
+          />
+        ) : (
+          <ErrorBoundary onError={onRendererError}>
+            <Suspense fallback={<div className="absolute inset-0 flex items-center justify-center text-slate-200">Loading 3D…</div>}>
+              {compare ? (
+                <CompareView renderScene={renderCompareScene} clock={clock} initial={compare} initialCamera={compare.camera} />
+              ) : (
+                <Canvas key={launches} shadows dpr={[1, 2]}>
+                  <SimClockContext.Provider value={clock}>
+                    <RecorderContext.Provider value={recorder}>
+                      <PlumeProbeContext.Provider value={plumeProbe}>
+                        <Scene presets={scenePresets} stage={stage} fullMode={fullMode} onExplode={() => setExplodeTick((t)=>t+1)} explodeTick={explodeTick} initialParams={initialParams} initialCamera={initialCamera} onParamsChange={saveParams} onCameraChange={saveCamera} deposition={deposition} showDeposition={showFallout} activity={activity} showDose={showDose} daysPerSecond={daysPerSecond} replayFrame={replayFrame} blendTime={blendTime} blendFrom={blend ? runStart : null} sequencePosition={sequencePosition} metricsLog={metricsLog} map={mapMode ? regionMap.map : null} mapView={mapView} blast={blastFront} reactor={reactorMode ? reactor : null} onReactorAdvance={onReactorAdvance} lesson={lesson} />
+                      </PlumeProbeContext.Provider>
+                    </RecorderContext.Provider>
+                  </SimClockContext.Provider>
+                </Canvas>
+              )}
+            </Suspense>
+          </ErrorBoundary>
+        )}
+      </div>
+      {quizOpen && !compare && (
+        <QuizPanel
+          quiz={quiz}
+          results={quizResults}
+          stageId={presets[stage]?.id}
+          log={metricsLog}
+          onRestart={() => restartStage(stage)}
+          onClose={() => updateUrl((params) => writeQuizOpen(params, false))}
+        />
       )}
+      {reactorMode && !compare && <ReactorPanel model={reactor} listen={listenToReactor} onChange={followReactorPhase} />}
+      {!compare && <MetricsPanel log={metricsLog} filename={`plume-metrics-${scenario?.id || 'scenario'}.csv`} onSave={saveRun} />}
     </div>
   )
 }
@@ -0,0 +1,32 @@
+import { useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+
+const moved = (a, b) => Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]) + Math.abs(a[2] - b[2]) > 1e-5
+
+// Keeps a Canvas's camera on a shared pose from lib/cameraSync. Mount inside
+// the Canvas next to its OrbitControls (`id` tells the sides apart).
+export default function CameraSyncDriver({ sync, id, controlsRef }) {
+  const seen = useRef({ version: -1, position: [0, 0, 0], target: [0, 0, 0] })
+  useFrame(() => {
+    const controls = controlsRef.current
+    if (!controls) return
+    const camera = controls.object
+    const last = seen.current
+    const position = camera.position.toArray()
+    const target = controls.target.toArray()
+    if (last.version >= 0 && (moved(position, last.position) || moved(target, last.target))) {
+      sync.position = position
+      sync.target = target
+      sync.source = id
+      sync.version++
+    } else if (sync.version !== last.version && sync.source !== id) {
+      camera.position.fromArray(sync.position)
+      controls.target.fromArray(sync.target)
+      controls.update()
+    }
+    last.version = sync.version
+    last.position = camera.position.toArray()
+    last.target = controls.target.toArray()
+  })
+  return null
+}
@@ -0,0 +1,143 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { Canvas } from '@react-three/fiber'
+import { RotateCcw } from 'lucide-react'
+import { SimClockContext } from '../hooks/useSimClock'
+import { PlumeProbeContext } from '../hooks/usePlumeProbe'
+import { createCameraSync } from '../lib/cameraSync'
+import useScenario from '../hooks/useScenario'
+import { createPlumeProbe, measurePlume } from '../lib/plumeMetrics'
+
+const SIDE_LABELS = ['A', 'B']
+
+function Slider({ label, value, min, max, step, format, onChange }) {
+  return (
+    <label className="flex items-center gap-2">
+      <span className="w-12 text-slate-400">{label}</span>
+      <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(Number(e.target.value))} className="w-24 accent-sky-400" />
+      <span className="w-10 tabular-nums text-right">{format(value)}</span>
+    </label>
+  )
+}
+
+// Per-side stage and Leva overrides (energy scale, drag offset)
+function SideControls({ label, side, presets, onChange }) {
+  return (
+    <div className="absolute top-3 left-3 z-10 space-y-1 bg-slate-900/70 backdrop-blur-sm border border-slate-700 rounded p-2 text-[10px] text-slate-300">
+      <div className="flex items-center gap-2">
+        <span className="w-5 h-5 flex items-center justify-center rounded bg-sky-400 text-black text-xs font-bold">{label}</span>
+        <select
+          value={side.stage}
+          onChange={(e) => onChange({ stage: Number(e.target.value) })}
+          className="bg-slate-800 border border-slate-700 rounded px-1 py-0.5 text-xs text-slate-100"
+          aria-label={`Side ${label} stage`}
+        >
+          {presets.map((p, idx) => <option key={p.id} value={idx}>{p.title}</option>)}
+        </select>
+      </div>
+      <Slider label="energy" value={side.energyScale} min={0.25} max={2} step={0.05} format={(v) => `${v.toFixed(2)}×`} onChange={(energyScale) => onChange({ energyScale })} />
+      <Slider label="drag" value={side.dragOffset} min={-0.02} max={0.05} step={0.002} format={(v) => `${v >= 0 ? '+' : ''}${v.toFixed(3)}`} onChange={(dragOffset) => onChange({ dragOffset })} />
+    </div>
+  )
+}
+
+const formatDelta = (a, b) => {
+  const d = b - a
+  return `${d >= 0 ? '+' : '−'}${Math.abs(d).toFixed(1)}`
+}
+
+function DifferenceReadout({ metrics, onRestart }) {
+  const [a, b] = metrics
+  const rows = [
+    ['Plume top', 'topHeight'],
+    ['Downwind reach', 'reach'],
+    ['Centroid height', 'centroidHeight'],
+  ]
+  return (
+    <div className="absolute bottom-3 left-3 z-10 bg-slate-900/70 backdrop-blur-sm border border-slate-700 rounded p-2 text-[10px] text-slate-300">
+      <table className="tabular-nums">
+        <thead>
+          <tr className="text-slate-400">
+            <th className="text-left font-normal pr-3" />
+            <th className="text-right font-normal px-2">A</th>
+            <th className="text-right font-normal px-2">B</th>
+            <th className="text-right font-normal pl-2">B − A</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([title, key]) => (
+            <tr key={key}>
+              <td className="text-white pr-3">{title}</td>
+              <td className="text-right px-2">{a ? a[key].toFixed(1) : '–'}</td>
+              <td className="text-right px-2">{b ? b[key].toFixed(1) : '–'}</td>
+              <td className="text-right pl-2 text-amber-200">{a && b ? formatDelta(a[key], b[key]) : '–'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-1 flex items-center justify-between gap-3">
+        <span className="text-slate-500">Scene units, 95th percentile of airborne particles; reach along each side's wind</span>
+        <button onClick={onRestart} className="flex items-center gap-1 px-1.5 py-0.5 rounded hover:bg-slate-700 text-slate-200">
+          <RotateCcw className="w-3 h-3" /> Restart both
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// Split view: two Scenes on one shared clock and camera, each with its own
+// stage and parameter overrides. `initial` seeds both sides; B starts with a
+// little more drag so the first comparison is already a "what if".
+export default function CompareView({ renderScene, clock, initial, initialCamera }) {
+  const { stages: presets } = useScenario()
+  const [sides, setSides] = useState(() => [
+    { stage: initial.stage, energyScale: initial.energyScale, dragOffset: initial.dragOffset },
+    { stage: initial.stage, energyScale: initial.energyScale, dragOffset: Math.min(0.05, initial.dragOffset + 0.02) },
+  ])
+  const updateSide = (i, patch) => setSides((all) => all.map((s, k) => (k === i ? { ...s, ...patch } : s)))
+  // Restarting remounts both Canvases so the sides relaunch on the same frame
+  const [restarts, setRestarts] = useState(0)
+
+  const sync = useMemo(() => createCameraSync(initialCamera), [])
+  const probes = useMemo(() => [createPlumeProbe(), createPlumeProbe()], [])
+  const [metrics, setMetrics] = useState([null, null])
+  const sidesRef = useRef(sides)
+  sidesRef.current = sides
+  const presetsRef = useRef(presets)
+  presetsRef.current = presets
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const list = presetsRef.current
+      setMetrics(probes.map((probe, i) => {
+        const preset = list[Math.min(list.length - 1, sidesRef.current[i].stage)]
+        return measurePlume(probe.layers(), preset.wind)
+      }))
+    }, 250)
+    return () => clearInterval(timer)
+  }, [probes])
+
+  return (
+    <div className="absolute inset-0 grid grid-cols-2 gap-px bg-slate-700">
+      {sides.map((side, i) => (
+        <div key={i} className="relative bg-slate-900">
+          <SideControls label={SIDE_LABELS[i]} side={side} presets={presets} onChange={(patch) => updateSide(i, patch)} />
+          <Canvas key={restarts} shadows dpr={[1, 2]}>
+            <SimClockContext.Provider value={clock}>
+              <PlumeProbeContext.Provider value={probes[i]}>
+                {renderScene({
+                  forcePresetIndex: side.stage,
+                  overrides: { energyScale: side.energyScale, dragOffset: side.dragOffset },
+                  // Only one side advances the shared clock
+                  driveClock: i === 0,
+                  cameraSync: { sync, id: i },
+                  initialCamera: { position: sync.position, target: sync.target },
+                })}
+              </PlumeProbeContext.Provider>
+            </SimClockContext.Provider>
+          </Canvas>
+        </div>
+      ))}
+      <DifferenceReadout metrics={metrics} onRestart={() => setRestarts((n) => n + 1)} />
+    </div>
+  )
+}
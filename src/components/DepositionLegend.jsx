@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react'
+import { depositionGradientCss } from '../lib/deposition'
+
+// Colour scale for the fallout heatmap; values are particle-mass units on a log scale.
+// Polls the grid itself so its totals don't re-render the whole simulation.
+export default function DepositionLegend({ grid, accumulate = false }) {
+  const [stats, setStats] = useState({ max: grid.max, total: grid.total })
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setStats((last) => (last.max === grid.max && last.total === grid.total ? last : { max: grid.max, total: grid.total }))
+    }, 500)
+    return () => clearInterval(timer)
+  }, [grid])
+
+  return (
+    <div className="pointer-events-none absolute bottom-3 left-3 z-10 w-48 bg-slate-900/70 backdrop-blur-sm border border-slate-700 rounded p-2 text-[10px] text-slate-300">
+      <div className="flex items-center justify-between text-white text-xs font-semibold mb-1">
+        <span>Ground deposition</span>
+        {accumulate && <span className="text-[10px] text-amber-300 font-normal">accumulating</span>}
+      </div>
+      <div className="h-2 rounded" style={{ background: depositionGradientCss() }} />
+      <div className="flex justify-between mt-1">
+        <span>0</span>
+        <span>log scale</span>
+        <span>{stats.max.toFixed(1)}</span>
+      </div>
+      <div className="mt-1 text-slate-400">Total deposited: {stats.total.toFixed(0)}</div>
+    </div>
+  )
+}
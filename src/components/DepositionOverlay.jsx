@@ -0,0 +1,39 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+
+// Heatmap of accumulated ground fallout, drawn as a textured quad just above the ground
+export default function DepositionOverlay({ grid, visible = true }) {
+  const texture = useMemo(() => {
+    const data = new Uint8Array(grid.resolution * grid.resolution * 4)
+    const tex = new THREE.DataTexture(data, grid.resolution, grid.resolution, THREE.RGBAFormat)
+    tex.colorSpace = THREE.SRGBColorSpace
+    tex.magFilter = THREE.LinearFilter
+    // Grid row 0 is the -z edge, which is the top of the ground-aligned plane
+    tex.repeat.set(1, -1)
+    tex.offset.set(0, 1)
+    tex.needsUpdate = true
+    return tex
+  }, [grid])
+
+  useEffect(() => () => texture.dispose(), [texture])
+
+  const uploaded = useRef({ version: -1, at: 0 })
+
+  useFrame((state) => {
+    const last = uploaded.current
+    const t = state.clock.elapsedTime
+    // Re-colouring the whole grid is cheap but not free; 4 Hz is plenty for fallout
+    if (last.version === grid.version || (t - last.at < 0.25 && grid.max > 0)) return
+    grid.writeRGBA(texture.image.data)
+    texture.needsUpdate = true
+    uploaded.current = { version: grid.version, at: t }
+  })
+
+  return (
+    <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, 0.013, 0]} visible={visible} renderOrder={1}>
+      <planeGeometry args={[grid.extent, grid.extent]} />
+      <meshBasicMaterial map={texture} transparent depthWrite={false} toneMapped={false} />
+    </mesh>
+  )
+}
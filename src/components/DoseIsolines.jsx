@@ -0,0 +1,41 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import useSimClock from '../hooks/useSimClock'
+import { DOSE_LEVELS, DOSE_LEVEL_COLORS } from '../lib/doseField'
+
+// Decays the ground activity with the sim clock (daysPerSecond incident days
+// per simulated second) and draws dose-rate isolines just above the ground.
+// Decay keeps running while hidden.
+export default function DoseIsolines({ grid, daysPerSecond = 1, visible = true }) {
+  const clock = useSimClock()
+  const geometry = useMemo(() => new THREE.BufferGeometry(), [])
+  const material = useMemo(() => new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.9, depthWrite: false }), [])
+  useEffect(() => () => { geometry.dispose(); material.dispose() }, [geometry, material])
+
+  const colors = useMemo(() => DOSE_LEVEL_COLORS.map((c) => new THREE.Color(c)), [])
+  const built = useRef({ version: -1, at: 0 })
+
+  useFrame((state) => {
+    if (clock.delta > 0) grid.decay(clock.delta * daysPerSecond)
+    const last = built.current
+    const t = state.clock.elapsedTime
+    // Contouring is cheap at this resolution, but 2 Hz is plenty
+    if (!visible || last.version === grid.version || t - last.at < 0.5) return
+    const positions = []
+    const vertexColors = []
+    for (const { level, segments } of grid.isolines()) {
+      const c = colors[DOSE_LEVELS.indexOf(level)]
+      for (let i = 0; i < segments.length; i += 2) {
+        positions.push(segments[i], 0.03, segments[i + 1])
+        vertexColors.push(c.r, c.g, c.b)
+      }
+    }
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(vertexColors, 3))
+    geometry.computeBoundingSphere()
+    built.current = { version: grid.version, at: t }
+  })
+
+  return <lineSegments geometry={geometry} material={material} visible={visible} renderOrder={2} />
+}
@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react'
+import { ISOTOPES, LAYER_ISOTOPE_MIX } from '../lib/isotopes'
+import { DOSE_LEVELS, DOSE_LEVEL_COLORS } from '../lib/doseField'
+
+const formatDays = (days) => (days < 2 ? `${(days * 24).toFixed(1)} h` : `${days.toFixed(1)} d`)
+
+// Isoline key, elapsed incident time and remaining activity per isotope.
+// Everything here is illustrative: arbitrary units, rough shares, no shielding,
+// and only landed fallout counts.
+export default function DoseLegend({ grid }) {
+  const [state, setState] = useState({ days: 0, maxDose: 0, totals: [] })
+
+  useEffect(() => {
+    const timer = setInterval(() => setState({ days: grid.days, maxDose: grid.maxDose, totals: grid.totals.slice() }), 500)
+    return () => clearInterval(timer)
+  }, [grid])
+
+  const total = state.totals.reduce((a, b) => a + b, 0)
+  return (
+    <div className="pointer-events-none absolute top-20 left-3 z-10 w-48 bg-slate-900/70 backdrop-blur-sm border border-amber-500/40 rounded p-2 text-[10px] text-slate-300">
+      <div className="text-white text-xs font-semibold">Dose rate isolines</div>
+      <div className="text-amber-300 font-semibold uppercase tracking-wide">Illustrative only</div>
+      <div className="mt-1 flex flex-wrap gap-x-2 gap-y-0.5">
+        {DOSE_LEVELS.map((level, i) => (
+          <span key={level} className={`flex items-center gap-1 ${level <= state.maxDose ? '' : 'opacity-40'}`}>
+            <span className="w-2.5 h-0.5" style={{ background: DOSE_LEVEL_COLORS[i] }} />{level}
+          </span>
+        ))}
+      </div>
+      <div className="mt-1 text-slate-400">{formatDays(state.days)} after release · arbitrary units</div>
+      <table className="mt-1 w-full tabular-nums">
+        <tbody>
+          {ISOTOPES.map((iso, k) => (
+            <tr key={iso.id}>
+              <td style={{ color: iso.color }}>{iso.id}</td>
+              <td className="text-right text-slate-400">t½ {iso.halfLifeDays < 365 ? `${iso.halfLifeDays} d` : `${(iso.halfLifeDays / 365.25).toFixed(1)} y`}</td>
+              <td className="text-right">{total > 0 ? `${Math.round((state.totals[k] / total) * 100)}%` : '–'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-1 text-slate-500">
+        Share of remaining activity; fresh fallout starts near {Math.round(LAYER_ISOTOPE_MIX.smoke[0] * 100)}% I-131. Not a radiological assessment.
+      </div>
+      <div className="mt-1 text-slate-500">Counts fallout once it lands; material still in the plume adds nothing until it comes down.</div>
+    </div>
+  )
+}
@@ -0,0 +1,229 @@
+import { memo, useCallback, useEffect, useMemo, useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { Canvas, useFrame, useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+import { Download, X } from 'lucide-react'
+import { createSimClock, SimClockContext } from '../hooks/useSimClock'
+import { RecorderContext } from '../hooks/useRecorder'
+import { createDepositionGrid } from '../lib/deposition'
+import { CAMERA_PATHS, cameraPathAt } from '../lib/cameraPaths'
+import {
+  EXPORT_RESOLUTIONS,
+  createPngSequenceSink,
+  createWebmSink,
+  planExportFrames,
+  webmSupported,
+} from '../lib/frameExport'
+import { downloadBlob } from '../lib/download'
+
+const field = 'w-full bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-100'
+const lookTarget = new THREE.Vector3()
+
+// Let React commit a stage change and the sim effects relaunch before rendering
+const settle = () => new Promise((r) => requestAnimationFrame(() => requestAnimationFrame(r)))
+
+// Lives inside the export Canvas: exposes manual rendering and flies the camera
+function ExportDriver({ onReady, cameraPath, duration }) {
+  const { advance, gl } = useThree()
+  useEffect(() => {
+    onReady({ canvas: gl.domElement, renderAt: (t) => advance(t, false) })
+  }, [advance, gl, onReady])
+  useFrame((state) => {
+    cameraPathAt(cameraPath, state.clock.elapsedTime / duration, state.camera.position, lookTarget)
+    state.camera.lookAt(lookTarget)
+  })
+  return null
+}
+
+// Offscreen Canvas with its own clock that renders the plan frame by frame
+const ExportRenderer = memo(function ExportRenderer({ settings, renderScene, onProgress, onDone, onError }) {
+  const { format, resolution, fps, cameraPath, fromStage, toStage, secondsPerStage } = settings
+  const [width, height] = EXPORT_RESOLUTIONS[resolution]
+  const frames = useMemo(() => planExportFrames({ fromStage, toStage, secondsPerStage, fps }), [fromStage, toStage, secondsPerStage, fps])
+  const duration = frames.length / fps
+  const clock = useMemo(() => createSimClock(), [])
+  const deposition = useMemo(() => createDepositionGrid(), [])
+  const [stage, setStage] = useState(frames[0].stage)
+  const [api, setApi] = useState(null)
+
+  useEffect(() => {
+    if (!api) return
+    let cancelled = false
+    const sink = format === 'webm'
+      ? createWebmSink(api.canvas, { fps })
+      : createPngSequenceSink({ prefix: `stage${fromStage}-${toStage}` })
+    const run = async () => {
+      let current = frames[0].stage
+      await settle()
+      for (const frame of frames) {
+        if (cancelled) return
+        if (frame.stage !== current) {
+          current = frame.stage
+          setStage(current)
+          await settle()
+          if (cancelled) return
+        }
+        api.renderAt(frame.time)
+        await sink.addFrame(api.canvas, frame.index)
+        onProgress((frame.index + 1) / frames.length)
+      }
+      const blob = await sink.finish()
+      if (!cancelled) onDone(blob, sink.extension)
+    }
+    run().catch((e) => { if (!cancelled) onError(e) })
+    return () => {
+      cancelled = true
+      sink.cancel()
+    }
+  }, [api, frames, format, fps, fromStage, toStage, onProgress, onDone, onError])
+
+  return (
+    <div aria-hidden style={{ position: 'fixed', left: -100000, top: 0, width, height }}>
+      <Canvas shadows frameloop="never" dpr={1} gl={{ preserveDrawingBuffer: true }}>
+        <SimClockContext.Provider value={clock}>
+          <RecorderContext.Provider value={null}>
+            {renderScene({ stage, deposition, backendOverride: 'main', controls: false })}
+            <ExportDriver onReady={setApi} cameraPath={cameraPath} duration={duration} />
+          </RecorderContext.Provider>
+        </SimClockContext.Provider>
+      </Canvas>
+    </div>
+  )
+})
+
+// Export settings and progress. renderScene(props) returns the Scene used on
+// screen, so exported frames match the interactive view and its Leva values.
+export default function ExportDialog({ stages, currentStage = 0, renderScene, onExportingChange }) {
+  const [open, setOpen] = useState(false)
+  const [settings, setSettings] = useState({
+    format: 'png',
+    resolution: '1080p',
+    fps: 30,
+    cameraPath: 'static',
+    fromStage: currentStage,
+    toStage: currentStage,
+    secondsPerStage: 4,
+  })
+  const [job, setJob] = useState(null)
+  const [progress, setProgress] = useState(0)
+  const [error, setError] = useState(null)
+  const exporting = job !== null
+
+  useEffect(() => { if (onExportingChange) onExportingChange(exporting) }, [exporting, onExportingChange])
+
+  const openChange = (next) => {
+    if (exporting) return
+    // Default the range to whatever stage is on screen
+    if (next) setSettings((s) => ({ ...s, fromStage: currentStage, toStage: currentStage }))
+    setOpen(next)
+  }
+  const update = (key, value) => setSettings((s) => ({ ...s, [key]: value }))
+  const frameCount = planExportFrames(settings).length
+
+  const start = () => {
+    setError(null)
+    setProgress(0)
+    setJob({ ...settings })
+  }
+  const finish = useCallback((blob, extension) => {
+    downloadBlob(blob, `blast-stages-${job.fromStage}-${job.toStage}.${extension}`)
+    setJob(null)
+  }, [job])
+  const fail = useCallback((e) => {
+    setError(e.message || String(e))
+    setJob(null)
+  }, [])
+
+  return (
+    <Dialog.Root open={open} onOpenChange={openChange}>
+      <Dialog.Trigger asChild>
+        <button className="flex items-center gap-1 px-3 py-1 rounded bg-slate-200 hover:bg-white text-black text-xs font-semibold shadow">
+          <Download className="w-3.5 h-3.5" /> Export
+        </button>
+      </Dialog.Trigger>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/60" />
+        <Dialog.Content className="fixed z-50 left-1/2 top-1/2 w-[min(92vw,420px)] -translate-x-1/2 -translate-y-1/2 rounded-xl border border-slate-700 bg-slate-900 p-4 text-sm text-slate-300 shadow-xl">
+          <div className="flex items-center justify-between mb-3">
+            <Dialog.Title className="text-white font-semibold">Export frames</Dialog.Title>
+            <Dialog.Close asChild>
+              <button disabled={exporting} className="p-1 rounded hover:bg-slate-800 disabled:opacity-40" aria-label="Close"><X className="w-4 h-4" /></button>
+            </Dialog.Close>
+          </div>
+          <Dialog.Description className="text-xs text-slate-400 mb-3">
+            Renders the scene offline at a fixed timestep, independent of the on-screen frame rate.
+          </Dialog.Description>
+
+          <fieldset disabled={exporting} className="grid grid-cols-2 gap-3 text-xs">
+            <label className="space-y-1">
+              <span>Format</span>
+              <select className={field} value={settings.format} onChange={(e) => update('format', e.target.value)}>
+                <option value="png">PNG sequence (.zip)</option>
+                <option value="webm" disabled={!webmSupported()}>WebM video</option>
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span>Resolution</span>
+              <select className={field} value={settings.resolution} onChange={(e) => update('resolution', e.target.value)}>
+                {Object.entries(EXPORT_RESOLUTIONS).map(([key, [w, h]]) => <option key={key} value={key}>{w}×{h}</option>)}
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span>Frame rate</span>
+              <select className={field} value={settings.fps} onChange={(e) => update('fps', Number(e.target.value))}>
+                {[24, 30, 60].map((f) => <option key={f} value={f}>{f} fps</option>)}
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span>Camera path</span>
+              <select className={field} value={settings.cameraPath} onChange={(e) => update('cameraPath', e.target.value)}>
+                {Object.entries(CAMERA_PATHS).map(([key, p]) => <option key={key} value={key}>{p.label}</option>)}
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span>From stage</span>
+              <select className={field} value={settings.fromStage} onChange={(e) => update('fromStage', Number(e.target.value))}>
+                {stages.map((title, i) => <option key={i} value={i}>{i + 1}. {title}</option>)}
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span>To stage</span>
+              <select className={field} value={settings.toStage} onChange={(e) => update('toStage', Number(e.target.value))}>
+                {stages.map((title, i) => <option key={i} value={i}>{i + 1}. {title}</option>)}
+              </select>
+            </label>
+            <label className="space-y-1 col-span-2">
+              <span>Seconds per stage</span>
+              <input type="number" min={0.5} max={60} step={0.5} className={field} value={settings.secondsPerStage} onChange={(e) => update('secondsPerStage', Math.max(0.5, Number(e.target.value) || 0.5))} />
+            </label>
+          </fieldset>
+
+          <div className="mt-3 text-[11px] text-slate-400">
+            {frameCount} frames · {(frameCount / settings.fps).toFixed(1)} s
+            {settings.format === 'webm' && ' · encoded in real time; use PNG for frame-exact output'}
+          </div>
+
+          {exporting && (
+            <div className="mt-3">
+              <div className="h-1.5 rounded bg-slate-800 overflow-hidden">
+                <div className="h-full bg-sky-400" style={{ width: `${(progress * 100).toFixed(1)}%` }} />
+              </div>
+              <div className="mt-1 text-[11px]">Rendering… {(progress * 100).toFixed(0)}%</div>
+            </div>
+          )}
+          {error && <div className="mt-3 text-[11px] text-rose-400">Export failed: {error}</div>}
+
+          <div className="mt-4 flex justify-end gap-2">
+            {exporting ? (
+              <button onClick={() => setJob(null)} className="px-3 py-1 rounded bg-slate-700 hover:bg-slate-600 text-white text-xs">Cancel</button>
+            ) : (
+              <button onClick={start} className="px-3 py-1 rounded bg-sky-400 hover:bg-sky-300 text-black text-xs font-semibold">Start export</button>
+            )}
+          </div>
+
+          {exporting && <ExportRenderer settings={job} renderScene={renderScene} onProgress={setProgress} onDone={finish} onError={fail} />}
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
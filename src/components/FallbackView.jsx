@@ -0,0 +1,236 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { ChevronLeft, ChevronRight, MessageSquareText, Pause, Play, RotateCcw } from 'lucide-react'
+import { createFixedStepper, substepsFor } from '../lib/integrator'
+import { createSideViewSims, describePlume, describeStage, sideViewBuilding } from '../lib/sideView'
+
+const iconButton = 'flex items-center gap-0.5 p-1 rounded hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent'
+
+// Narrowest view in scene units; it widens as the plume grows, never shrinks mid-stage
+const MIN_EXTENT = 10
+// Space under the ground line for the narration and controls, in CSS pixels
+const PANEL_HEIGHT = 140
+// The plume is described this long after a stage starts, then this often
+const FIRST_DESCRIPTION = 2
+const DESCRIPTION_INTERVAL = 10
+// Mixed into smoke and fireball colours, as the 3D point shader does
+const SHADE = [0.08, 0.09, 0.12]
+
+const BUILDING = sideViewBuilding()
+
+const toSrgb = (c) => Math.round(255 * Math.min(1, c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055))
+
+// CSS colour per particle, fixed at launch
+function particleStyles(sim) {
+  const out = new Array(sim.count)
+  for (let i = 0; i < sim.count; i++) {
+    const rgb = [0, 1, 2].map((k) => toSrgb(SHADE[k] + (sim.colors[i * 3 + k] - SHADE[k]) * 0.75))
+    out[i] = `rgb(${rgb[0]},${rgb[1]},${rgb[2]})`
+  }
+  return out
+}
+
+function drawScene(ctx, width, height, { sims, styles, preset, extent }) {
+  const groundY = height - PANEL_HEIGHT
+  const scale = width / extent
+  // The reactor sits a third of the way in; the wind mostly carries east
+  const originX = width * 0.3
+  const sx = (x) => originX + x * scale
+  const sy = (y) => groundY - y * scale
+
+  ctx.globalCompositeOperation = 'source-over'
+  ctx.globalAlpha = 1
+  ctx.fillStyle = '#0b1220'
+  ctx.fillRect(0, 0, width, height)
+
+  // Height marks every 5 units
+  ctx.strokeStyle = '#1e293b'
+  ctx.fillStyle = '#475569'
+  ctx.font = '10px sans-serif'
+  ctx.lineWidth = 1
+  for (let y = 5; sy(y) > 0; y += 5) {
+    ctx.beginPath()
+    ctx.moveTo(0, sy(y))
+    ctx.lineTo(width, sy(y))
+    ctx.stroke()
+    ctx.fillText(`${y}`, 4, sy(y) - 2)
+  }
+
+  // Stack behind the hall, then the building blocks
+  const { stack, core, blocks } = BUILDING
+  ctx.fillStyle = '#1f2937'
+  ctx.fillRect(sx(stack.x - stack.radius), sy(stack.height), stack.radius * 2 * scale, stack.height * scale)
+  const roofGone = preset.damage.roof
+  for (const b of blocks) {
+    ctx.fillStyle = b.part === 'hall' ? '#334155' : '#293548'
+    ctx.fillRect(sx(b.x0), sy(b.height), (b.x1 - b.x0) * scale, b.height * scale)
+    if (b.part === 'hall' && roofGone > 0) {
+      // Broken roof opens from the middle out
+      const gap = (b.x1 - b.x0) * roofGone
+      ctx.fillStyle = '#0b1220'
+      ctx.fillRect(sx(-gap / 2), sy(b.height), gap * scale, 0.12 * scale)
+    }
+  }
+  const glow = preset.heat * (0.3 + 0.7 * preset.damage.coreExposure)
+  if (glow > 0.05) {
+    const r = core.radius * scale * 1.6
+    const gradient = ctx.createRadialGradient(sx(0), sy(core.y), 0, sx(0), sy(core.y), r)
+    gradient.addColorStop(0, `rgba(255,140,60,${Math.min(0.9, glow / 3)})`)
+    gradient.addColorStop(1, 'rgba(255,140,60,0)')
+    ctx.fillStyle = gradient
+    ctx.fillRect(sx(0) - r, sy(core.y) - r, r * 2, r * 2)
+  }
+
+  // Particles, projected onto the east-west plane
+  sims.particles.forEach(({ layer, sim }, l) => {
+    ctx.globalCompositeOperation = layer.additive ? 'lighter' : 'source-over'
+    const { positions, life, size } = sim
+    const colors = styles[l]
+    for (let i = 0; i < sim.count; i++) {
+      const alive = life[i]
+      if (alive <= 0) continue
+      const x = sx(positions[i * 3])
+      const y = sy(positions[i * 3 + 1])
+      if (x < -10 || x > width + 10 || y < -10 || y > groundY + 2) continue
+      const r = Math.max(0.8, size[i] * 0.05 * (0.75 + 0.25 * alive))
+      ctx.globalAlpha = layer.alpha * Math.min(1, alive * 1.5) * (layer.additive ? 0.6 : 0.35)
+      ctx.fillStyle = colors[i]
+      ctx.fillRect(x - r, y - r, r * 2, r * 2)
+    }
+  })
+
+  ctx.globalCompositeOperation = 'source-over'
+  ctx.globalAlpha = 1
+  if (sims.debris) {
+    ctx.fillStyle = '#cbd5e1'
+    const p = sims.debris.positions
+    for (let i = 0; i < p.length; i += 3) ctx.fillRect(sx(p[i]) - 1.5, sy(p[i + 1]) - 1.5, 3, 3)
+  }
+
+  // Ground and compass ends
+  ctx.fillStyle = '#111827'
+  ctx.fillRect(0, groundY, width, height - groundY)
+  ctx.strokeStyle = '#64748b'
+  ctx.beginPath()
+  ctx.moveTo(0, groundY)
+  ctx.lineTo(width, groundY)
+  ctx.stroke()
+  ctx.fillStyle = '#94a3b8'
+  ctx.fillText('West', 6, groundY + 12)
+  ctx.textAlign = 'right'
+  ctx.fillText('East', width - 6, groundY + 12)
+  ctx.textAlign = 'left'
+}
+
+// 2D side view of the simulation for browsers without WebGL (or after the 3D
+// renderer crashed): the same particle and debris models stepped on the main
+// thread, drawn on a canvas. It drives the shared sim clock itself and feeds
+// the plume metrics log, and narrates each stage and the plume's height and
+// direction into a live region. Stage controls are plain buttons; the view
+// also takes ← → (stage), Space (pause), R (restart) and D (describe).
+export default function FallbackView({ presets, stage, params, clock, metricsLog, paused, notice, onTogglePause, onJump, onRestart }) {
+  const canvasRef = useRef()
+  const preset = presets[stage]
+  const { energyScale, dragOffset, seed } = params
+  const sims = useMemo(() => createSideViewSims(preset, stage, { energyScale, dragOffset, seed }), [preset, stage, energyScale, dragOffset, seed])
+  const styles = useMemo(() => sims.particles.map(({ sim }) => particleStyles(sim)), [sims])
+  const [message, setMessage] = useState('')
+
+  const describe = useCallback(() => {
+    setMessage(describePlume(metricsLog.samples[metricsLog.samples.length - 1]))
+  }, [metricsLog])
+
+  useEffect(() => {
+    setMessage(describeStage(preset, stage, presets.length))
+  }, [preset, stage, presets.length])
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const ctx = canvas.getContext('2d')
+    const stepper = createFixedStepper()
+    const substeps = substepsFor(preset.blastEnergy * energyScale)
+    let extent = MIN_EXTENT
+    let elapsed = 0
+    let nextDescription = FIRST_DESCRIPTION
+    let last = performance.now()
+    let raf
+    const tick = (now) => {
+      const delta = clock.advance(Math.min(0.1, (now - last) / 1000))
+      last = now
+      if (delta > 0) {
+        stepper.advance(delta, (h) => sims.step(h), substeps)
+        elapsed += delta
+        metricsLog.maybeSample(clock.time, sims.plumeLayers, preset.wind, { stage })
+      }
+      if (elapsed >= nextDescription) {
+        nextDescription += DESCRIPTION_INTERVAL
+        describe()
+      }
+
+      const dpr = window.devicePixelRatio || 1
+      const width = canvas.clientWidth
+      const height = canvas.clientHeight
+      if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+        canvas.width = Math.round(width * dpr)
+        canvas.height = Math.round(height * dpr)
+      }
+      // Widen to keep the plume's reach and top in view
+      const sample = metricsLog.samples[metricsLog.samples.length - 1]
+      if (sample && width > 0) {
+        const needed = Math.max(sample.reach / 0.6, (sample.topHeight * width) / Math.max(1, (height - PANEL_HEIGHT) * 0.85))
+        extent = Math.max(extent, Math.min(needed, extent + delta * 20))
+      }
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+      drawScene(ctx, width, height, { sims, styles, preset, extent })
+      raf = requestAnimationFrame(tick)
+    }
+    raf = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(raf)
+  }, [sims, styles, preset, stage, energyScale, clock, metricsLog, describe])
+
+  const go = (idx) => onJump(Math.max(0, Math.min(presets.length - 1, idx)))
+  const onKeyDown = (e) => {
+    if (e.altKey || e.ctrlKey || e.metaKey || e.target.closest('select')) return
+    const actions = {
+      ArrowLeft: () => go(stage - 1),
+      ArrowRight: () => go(stage + 1),
+      ' ': onTogglePause,
+      r: onRestart,
+      d: describe,
+    }
+    const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key]
+    if (!action || (e.key === ' ' && e.target.closest('button'))) return
+    e.preventDefault()
+    action()
+  }
+
+  return (
+    <div role="region" aria-label="Blast simulation, 2D side view" tabIndex={0} onKeyDown={onKeyDown} className="absolute inset-0 outline-none focus-visible:ring-2 focus-visible:ring-sky-400">
+      <canvas ref={canvasRef} className="absolute inset-0 w-full h-full" role="img" aria-label={`Side view from the south of ${preset.title}: particles rising from the reactor and drifting with the wind.`} />
+      <div className="absolute bottom-3 left-3 right-3 z-10 space-y-1.5 bg-slate-900/80 backdrop-blur-sm border border-slate-700 rounded p-2 text-xs text-slate-300">
+        {notice && <div className="text-[10px] text-amber-200">{notice}</div>}
+        <div role="status" aria-live="polite" aria-atomic="true" className="min-h-[3.75em] leading-snug line-clamp-3">{message}</div>
+        <div className="flex flex-wrap items-center gap-1" role="toolbar" aria-label="Stage controls">
+          <button className={iconButton} onClick={() => go(stage - 1)} disabled={stage === 0} aria-keyshortcuts="ArrowLeft">
+            <ChevronLeft className="w-3.5 h-3.5" /> Previous
+          </button>
+          <select value={stage} onChange={(e) => go(Number(e.target.value))} aria-label="Stage" className="bg-slate-900 border border-slate-700 rounded px-1 py-0.5 text-slate-100 max-w-[14rem]">
+            {presets.map((p, i) => <option key={p.id} value={i}>{i + 1}. {p.title}</option>)}
+          </select>
+          <button className={iconButton} onClick={() => go(stage + 1)} disabled={stage >= presets.length - 1} aria-keyshortcuts="ArrowRight">
+            Next <ChevronRight className="w-3.5 h-3.5" />
+          </button>
+          <button className={iconButton} onClick={onTogglePause} aria-keyshortcuts="Space">
+            {paused ? <><Play className="w-3.5 h-3.5" /> Play</> : <><Pause className="w-3.5 h-3.5" /> Pause</>}
+          </button>
+          <button className={iconButton} onClick={onRestart} aria-keyshortcuts="R">
+            <RotateCcw className="w-3.5 h-3.5" /> Restart stage
+          </button>
+          <button className={iconButton} onClick={describe} aria-keyshortcuts="D">
+            <MessageSquareText className="w-3.5 h-3.5" /> Describe plume
+          </button>
+          <span className="ml-auto text-[10px] text-slate-500">← → stage · Space pause · R restart · D describe</span>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react'
+
+// Running incident wall-clock; `read()` is polled every animation frame and
+// written straight to the DOM so the sim doesn't re-render at 60 Hz
+export default function IncidentClock({ read }) {
+  const textRef = useRef()
+  const readRef = useRef(read)
+  readRef.current = read
+
+  useEffect(() => {
+    let raf
+    const tick = () => {
+      const label = readRef.current()
+      if (textRef.current) textRef.current.textContent = label ?? '--:--:--.-'
+      raf = requestAnimationFrame(tick)
+    }
+    raf = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(raf)
+  }, [])
+
+  return (
+    <div className="pointer-events-none absolute top-11 left-3 z-10 bg-slate-900/60 backdrop-blur-sm border border-slate-700 rounded px-2 py-1 text-[10px] text-slate-400">
+      Incident time <span ref={textRef} className="ml-1 font-mono text-xs text-amber-200 tabular-nums" />
+    </div>
+  )
+}
@@ -0,0 +1,19 @@
+import { Html } from '@react-three/drei'
+
+// Labels pinned to points of the scene for the current lesson step (see
+// lib/lesson), each with a short leader up from its anchor
+export default function LessonAnnotations({ items }) {
+  return (
+    <group>
+      {items.map(({ label, position }) => (
+        <Html key={label} position={position} className="pointer-events-none">
+          <div className="-translate-x-1/2 -translate-y-full flex flex-col items-center">
+            <div className="whitespace-nowrap rounded border border-sky-400/60 bg-slate-900/80 px-1.5 py-0.5 text-[10px] text-sky-100">{label}</div>
+            <div className="h-4 w-px bg-sky-400/70" />
+            <div className="h-1.5 w-1.5 rounded-full bg-sky-300 ring-1 ring-black/60" />
+          </div>
+        </Html>
+      ))}
+    </group>
+  )
+}
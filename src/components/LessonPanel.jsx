@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react'
+import { ChevronLeft, ChevronRight, X } from 'lucide-react'
+
+const iconButton = 'p-1 rounded hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent'
+
+// Narration card for the current lesson step. On timed steps readProgress()
+// (0..1) is polled every animation frame for the auto-advance bar.
+export default function LessonPanel({ title, step, index, count, readProgress, onPrev, onNext, onExit }) {
+  const barRef = useRef()
+  const readRef = useRef(readProgress)
+  readRef.current = readProgress
+
+  const timed = !!step.advance
+  useEffect(() => {
+    if (!timed) return
+    let raf
+    const tick = () => {
+      const progress = readRef.current()
+      if (barRef.current) barRef.current.style.width = `${Math.round(Math.min(1, progress ?? 0) * 100)}%`
+      raf = requestAnimationFrame(tick)
+    }
+    raf = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(raf)
+  }, [timed])
+
+  return (
+    <div role="region" aria-label="Lesson" className="absolute bottom-3 left-3 z-10 w-80 bg-slate-900/80 backdrop-blur-sm border border-slate-700 rounded p-2 text-xs text-slate-300">
+      <div className="flex items-center gap-2 text-[10px] text-slate-400">
+        <span className="truncate">{title}</span>
+        <span className="ml-auto tabular-nums">{index + 1} / {count}</span>
+        <button className={iconButton} onClick={onExit} title="End lesson (Esc)" aria-label="End lesson">
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+      <div aria-live="polite">
+        <div className="text-white text-sm font-semibold">{step.title}</div>
+        <p className="mt-1 leading-snug">{step.text}</p>
+      </div>
+      <div className="mt-2 h-0.5 rounded bg-slate-700 overflow-hidden">
+        {timed && <div ref={barRef} className="h-full bg-sky-400" style={{ width: 0 }} />}
+      </div>
+      <div className="mt-1 flex items-center justify-between text-[10px] text-slate-500">
+        <button className={`${iconButton} flex items-center gap-0.5 text-slate-300`} onClick={onPrev} disabled={index === 0}>
+          <ChevronLeft className="w-3.5 h-3.5" /> Back
+        </button>
+        <span>← → or Page Up / Down</span>
+        <button className={`${iconButton} flex items-center gap-0.5 text-slate-300`} onClick={onNext} disabled={index >= count - 1}>
+          Next <ChevronRight className="w-3.5 h-3.5" />
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,104 @@
+import { useEffect, useMemo, useState } from 'react'
+import { Html } from '@react-three/drei'
+import * as THREE from 'three'
+
+const PLACE_STYLES = {
+  site: 'bg-rose-500',
+  town: 'bg-slate-100',
+  water: 'bg-sky-400',
+  landmark: 'bg-amber-300',
+}
+
+// Fill or stroke colour per feature kind; unknown kinds draw as landmarks
+const FEATURE_COLORS = {
+  water: '#38bdf8',
+  river: '#38bdf8',
+  urban: '#e2e8f0',
+  industrial: '#f43f5e',
+  landmark: '#fcd34d',
+}
+
+// Flat meshes for polygon features and lines for the rest, just above the basemap
+function featureObject({ kind, polygon, line }) {
+  const color = FEATURE_COLORS[kind] || FEATURE_COLORS.landmark
+  if (polygon) {
+    // Shape space is (x, -z) so the mesh lies flat once rotated onto the ground
+    const shape = new THREE.Shape(polygon.map(([x, z]) => new THREE.Vector2(x, -z)))
+    const mesh = new THREE.Mesh(new THREE.ShapeGeometry(shape), new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.35, depthWrite: false }))
+    mesh.rotation.x = -Math.PI / 2
+    mesh.position.y = 0.02
+    return mesh
+  }
+  const points = line.map(([x, z]) => new THREE.Vector3(x, 0.03, z))
+  return new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.8 }))
+}
+
+// Basemap plane, outlined features, distance rings and labelled places from a
+// projected region map (see lib/geoMap), in scene units around the reactor
+export default function MapLayer({ map }) {
+  const [texture, setTexture] = useState(null)
+
+  useEffect(() => {
+    let disposed = false
+    let loaded = null
+    new THREE.TextureLoader().load(map.basemap.url, (tex) => {
+      if (disposed) {
+        tex.dispose()
+        return
+      }
+      tex.colorSpace = THREE.SRGBColorSpace
+      tex.anisotropy = 8
+      loaded = tex
+      setTexture(tex)
+    })
+    return () => {
+      disposed = true
+      if (loaded) loaded.dispose()
+      setTexture(null)
+    }
+  }, [map])
+
+  const rings = useMemo(() => map.rings.map(({ km, radius }) => {
+    const points = []
+    for (let i = 0; i < 128; i++) {
+      const a = (i / 128) * Math.PI * 2
+      points.push(new THREE.Vector3(Math.cos(a) * radius, 0.05, Math.sin(a) * radius))
+    }
+    const line = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color: '#fbbf24', transparent: true, opacity: 0.7 }))
+    return { km, radius, line }
+  }), [map])
+
+  useEffect(() => () => rings.forEach(({ line }) => { line.geometry.dispose(); line.material.dispose() }), [rings])
+
+  const features = useMemo(() => map.features.map((f) => ({ id: f.id, object: featureObject(f) })), [map])
+  useEffect(() => () => features.forEach(({ object }) => { object.geometry.dispose(); object.material.dispose() }), [features])
+
+  return (
+    <group>
+      <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.005, 0]} receiveShadow>
+        <planeGeometry args={[map.basemap.size, map.basemap.size]} />
+        {texture ? <meshStandardMaterial key="map" map={texture} roughness={1} /> : <meshStandardMaterial key="plain" color="#1a2a1e" roughness={1} />}
+      </mesh>
+
+      {features.map(({ id, object }) => <primitive key={id} object={object} />)}
+
+      {rings.map(({ km, radius, line }) => (
+        <group key={km}>
+          <primitive object={line} />
+          <Html position={[0, 0.1, -radius]} center className="pointer-events-none">
+            <div className="whitespace-nowrap rounded bg-slate-900/70 px-1 text-[10px] text-amber-300">{km} km</div>
+          </Html>
+        </group>
+      ))}
+
+      {map.places.map((place) => (
+        <Html key={place.id} position={[place.position[0], 0.2, place.position[1]]} center className="pointer-events-none">
+          <div className="flex items-center gap-1 whitespace-nowrap text-[10px] text-white drop-shadow">
+            <span className={`w-2 h-2 rounded-full ring-1 ring-black/60 ${PLACE_STYLES[place.kind] || PLACE_STYLES.landmark}`} />
+            {place.name}
+          </div>
+        </Html>
+      ))}
+    </group>
+  )
+}
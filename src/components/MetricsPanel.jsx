@@ -0,0 +1,95 @@
+import { useEffect, useState } from 'react'
+import { Download, Save, Trash2 } from 'lucide-react'
+import { metricsToCsv } from '../lib/plumeMetrics'
+import { downloadBlob } from '../lib/download'
+
+// Each chart: [title, series [key, colour], format for the latest value]
+const CHARTS = [
+  ['Plume top / centroid height', [['topHeight', '#fbbf24'], ['centroidHeight', '#38bdf8']], (s) => `${s.topHeight.toFixed(1)} / ${s.centroidHeight.toFixed(1)}`],
+  ['Downwind centroid distance', [['downwindDistance', '#34d399']], (s) => s.downwindDistance.toFixed(1)],
+  ['Lateral spread (σ)', [['lateralSpread', '#a78bfa']], (s) => s.lateralSpread.toFixed(2)],
+  ['Airborne vs deposited', [['airborneFraction', '#f472b6']], (s) => `${Math.round(s.airborneFraction * 100)}% / ${Math.round(s.depositedFraction * 100)}%`],
+  ['Mean temperature (relative)', [['meanTemperature', '#fb923c']], (s) => (s.meanTemperature == null ? '–' : s.meanTemperature.toFixed(2))],
+  ['Debris max range', [['debrisRange', '#e5e7eb']], (s) => s.debrisRange.toFixed(1)],
+]
+
+const WIDTH = 160
+const HEIGHT = 40
+
+// One shared y-range per chart so overlaid series stay comparable
+function Sparkline({ samples, series }) {
+  let lo = Infinity, hi = -Infinity
+  for (const s of samples) {
+    for (const [key] of series) {
+      const v = s[key]
+      if (v == null) continue
+      if (v < lo) lo = v
+      if (v > hi) hi = v
+    }
+  }
+  if (!Number.isFinite(lo)) return <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-10" />
+  if (hi - lo < 1e-6) { lo -= 0.5; hi += 0.5 }
+  const t0 = samples[0].time
+  const span = Math.max(1e-6, samples[samples.length - 1].time - t0)
+  const points = (key) => samples
+    .filter((s) => s[key] != null)
+    .map((s) => `${(((s.time - t0) / span) * WIDTH).toFixed(1)},${(HEIGHT - 2 - ((s[key] - lo) / (hi - lo)) * (HEIGHT - 4)).toFixed(1)}`)
+    .join(' ')
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" className="w-full h-10">
+      {series.map(([key, color]) => <polyline key={key} points={points(key)} fill="none" stroke={color} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />)}
+    </svg>
+  )
+}
+
+// Live charts of the plume metrics log (see lib/plumeMetrics), with CSV export;
+// onSave, when given, stores the run on the backend (see lib/runs)
+export default function MetricsPanel({ log, filename = 'plume-metrics.csv', onSave }) {
+  const [samples, setSamples] = useState(log.samples)
+
+  useEffect(() => {
+    let version = -1
+    const timer = setInterval(() => {
+      if (log.version === version) return
+      version = log.version
+      setSamples(log.samples.slice())
+    }, 250)
+    return () => clearInterval(timer)
+  }, [log])
+
+  const latest = samples[samples.length - 1]
+  const exportCsv = () => downloadBlob(new Blob([metricsToCsv(log.samples)], { type: 'text/csv' }), filename)
+
+  return (
+    <div className="rounded-2xl border border-slate-700 bg-slate-800/60 p-3 text-xs text-slate-300">
+      <div className="flex items-center gap-2 mb-2">
+        <span className="font-semibold text-white">Plume metrics</span>
+        <span className="text-slate-500">
+          {latest ? `${latest.time.toFixed(1)} s · ${samples.length} samples · scene units` : 'Waiting for particle data (the GPU backend keeps particles on the GPU)'}
+        </span>
+        <button onClick={exportCsv} disabled={!samples.length} className="ml-auto flex items-center gap-1 px-2 py-0.5 rounded hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent">
+          <Download className="w-3.5 h-3.5" /> CSV
+        </button>
+        {onSave && (
+          <button onClick={onSave} disabled={!samples.length} className="flex items-center gap-1 px-2 py-0.5 rounded hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent" title="Save the stage, parameters, seed and these metrics">
+            <Save className="w-3.5 h-3.5" /> Save run
+          </button>
+        )}
+        <button onClick={log.clear} disabled={!samples.length} className="p-1 rounded hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent" title="Clear metrics" aria-label="Clear metrics">
+          <Trash2 className="w-3.5 h-3.5" />
+        </button>
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+        {CHARTS.map(([title, series, format]) => (
+          <div key={title} className="rounded border border-slate-700 bg-slate-900/60 p-2">
+            <div className="flex items-baseline justify-between gap-2">
+              <span className="text-[10px] text-slate-400 truncate">{title}</span>
+              <span className="tabular-nums text-slate-100">{latest ? format(latest) : '–'}</span>
+            </div>
+            <Sparkline samples={samples} series={series} />
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
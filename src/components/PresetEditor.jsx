@@ -0,0 +1,351 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import * as Tabs from '@radix-ui/react-tabs'
+import { Download, Redo2, RotateCcw, SlidersHorizontal, Trash2, Undo2, Upload, X } from 'lucide-react'
+import useScenario from '../hooks/useScenario'
+import useHistory from '../hooks/useHistory'
+import { DEFAULT_DAMAGE, DEFAULT_LAYERS, PHYSICS_FIELDS, parseScenario, validateScenario } from '../lib/scenario'
+import { deleteVariant, listVariants, loadVariant, saveVariant } from '../lib/presetVariants'
+import { downloadJson } from '../lib/download'
+
+const input = 'bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-100'
+const iconButton = 'p-1 rounded hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent'
+
+const PHYSICS_LABELS = {
+  blastEnergy: 'Blast energy',
+  drag: 'Drag',
+  buoyancy: 'Buoyancy',
+  anisotropyUp: 'Upward anisotropy',
+  anisotropyXZ: 'Horizontal anisotropy',
+  verticalBias: 'Vertical bias',
+  thermalDecay: 'Thermal decay',
+  count: 'Particle count',
+  heat: 'Core heat',
+}
+const PHYSICS_STEPS = { drag: 0.001, count: 50, verticalBias: 0.01 }
+
+const DAMAGE_LABELS = {
+  lid: 'Lid displaced',
+  roof: 'Roof destroyed',
+  coreExposure: 'Core exposed',
+}
+
+// Immutable set of a nested value; path is a list of keys/indices
+function setIn(obj, [key, ...rest], value) {
+  const copy = Array.isArray(obj) ? [...obj] : { ...obj }
+  copy[key] = rest.length ? setIn(obj?.[key] ?? (typeof rest[0] === 'number' ? [] : {}), rest, value) : value
+  return copy
+}
+
+function NumberField({ label, value, min, max, step, onChange }) {
+  return (
+    <label className="grid grid-cols-[8rem_1fr_4.5rem] items-center gap-2">
+      <span className="text-slate-400">{label}</span>
+      <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(Number(e.target.value))} className="accent-sky-400" />
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => { if (e.target.value !== '' && Number.isFinite(Number(e.target.value))) onChange(Number(e.target.value)) }}
+        className={`${input} w-full py-0.5`}
+      />
+    </label>
+  )
+}
+
+function ColorPair({ label, value, onChange }) {
+  return (
+    <label className="grid grid-cols-[8rem_1fr] items-center gap-2">
+      <span className="text-slate-400">{label}</span>
+      <span className="flex gap-2">
+        {[0, 1].map((i) => (
+          <input key={i} type="color" value={value[i]} onChange={(e) => onChange(i, e.target.value)} className="h-6 w-10 bg-transparent" />
+        ))}
+      </span>
+    </label>
+  )
+}
+
+function Section({ title, children }) {
+  return (
+    <section className="space-y-2">
+      <h3 className="text-[11px] uppercase tracking-wide text-slate-500">{title}</h3>
+      {children}
+    </section>
+  )
+}
+
+// windField is free-form JSON; it is only committed once it parses
+function WindFieldInput({ value, onChange }) {
+  const text = useMemo(() => (value ? JSON.stringify(value, null, 2) : ''), [value])
+  const [draft, setDraft] = useState(text)
+  const [error, setError] = useState(null)
+  useEffect(() => { setDraft(text); setError(null) }, [text])
+  const commit = () => {
+    if (draft.trim() === '') { setError(null); onChange(undefined); return }
+    try {
+      const parsed = JSON.parse(draft)
+      setError(null)
+      onChange(parsed)
+    } catch (e) {
+      setError(e.message)
+    }
+  }
+  return (
+    <div className="space-y-1">
+      <textarea value={draft} onChange={(e) => setDraft(e.target.value)} onBlur={commit} rows={5} spellCheck={false} className={`${input} w-full font-mono text-[11px]`} aria-label="Wind field JSON" />
+      {error && <div className="text-rose-400 text-[11px]">{error}</div>}
+    </div>
+  )
+}
+
+function StageForm({ stage, index, edit }) {
+  const at = (...path) => ['stages', index, ...path]
+  const layers = { ...DEFAULT_LAYERS, ...(stage.layers || {}) }
+  const damage = { ...DEFAULT_DAMAGE, ...(stage.damage || {}) }
+  return (
+    <div className="space-y-4">
+      <Section title="Narrative">
+        <input value={stage.title} onChange={(e) => edit(at('title'), e.target.value)} className={`${input} w-full`} aria-label="Title" />
+        <textarea value={stage.description} onChange={(e) => edit(at('description'), e.target.value)} rows={3} className={`${input} w-full`} aria-label="Description" />
+        <div className="grid grid-cols-2 gap-2">
+          <label className="space-y-1">
+            <span className="text-slate-400">Timestamp (ISO)</span>
+            <input value={stage.timestamp} onChange={(e) => edit(at('timestamp'), e.target.value)} className={`${input} w-full`} />
+          </label>
+          <label className="space-y-1">
+            <span className="text-slate-400">Time label</span>
+            <input value={stage.timeLabel || ''} onChange={(e) => edit(at('timeLabel'), e.target.value || undefined)} placeholder="from timestamp" className={`${input} w-full`} />
+          </label>
+        </div>
+        <NumberField label="Autoplay (s)" value={stage.duration} min={0.1} max={30} step={0.1} onChange={(v) => edit(at('duration'), v)} />
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={!!stage.explosive} onChange={(e) => edit(at('explosive'), e.target.checked)} className="accent-sky-400" />
+          <span>Explosive (shockwave and scorch)</span>
+        </label>
+        <ColorPair label="Stage colors" value={stage.colors} onChange={(i, c) => edit(at('colors', i), c)} />
+      </Section>
+
+      <Section title="Physics">
+        {Object.entries(PHYSICS_FIELDS).map(([key, [min, max]]) => (
+          <NumberField
+            key={key}
+            label={PHYSICS_LABELS[key] || key}
+            value={stage.physics[key]}
+            min={min}
+            max={key === 'count' ? 10000 : Math.min(max, key === 'blastEnergy' ? 40 : max)}
+            step={PHYSICS_STEPS[key] ?? 0.05}
+            onChange={(v) => edit(at('physics', key), v)}
+          />
+        ))}
+      </Section>
+
+      <Section title="Wind">
+        {['x', 'y', 'z'].map((axis, i) => (
+          <NumberField key={axis} label={`Wind ${axis}`} value={stage.physics.wind[i]} min={-5} max={5} step={0.05} onChange={(v) => edit(at('physics', 'wind', i), v)} />
+        ))}
+        <div className="text-slate-400">Wind field (profile, keyframes, gusts)</div>
+        <WindFieldInput value={stage.physics.windField} onChange={(v) => edit(at('physics', 'windField'), v)} />
+      </Section>
+
+      <Section title="Layers">
+        <NumberField label="Fireball share" value={layers.fireball.share} min={0} max={2} step={0.05} onChange={(v) => edit(at('layers', 'fireball'), { ...layers.fireball, share: v })} />
+        <ColorPair label="Fireball colors" value={layers.fireball.colors} onChange={(i, c) => edit(at('layers', 'fireball'), { ...layers.fireball, colors: setIn(layers.fireball.colors, [i], c) })} />
+        <NumberField label="Smoke share" value={layers.smoke.share} min={0} max={2} step={0.05} onChange={(v) => edit(at('layers', 'smoke'), { ...layers.smoke, share: v })} />
+        <ColorPair label="Smoke colors" value={layers.smoke.colors} onChange={(i, c) => edit(at('layers', 'smoke'), { ...layers.smoke, colors: setIn(layers.smoke.colors, [i], c) })} />
+        <NumberField label="Embers" value={layers.embers.count} min={0} max={1000} step={8} onChange={(v) => edit(at('layers', 'embers'), { ...layers.embers, count: Math.round(v) })} />
+        <ColorPair label="Ember colors" value={layers.embers.colors} onChange={(i, c) => edit(at('layers', 'embers'), { ...layers.embers, colors: setIn(layers.embers.colors, [i], c) })} />
+        <NumberField label="Debris" value={layers.debris.count} min={0} max={500} step={10} onChange={(v) => edit(at('layers', 'debris'), { ...layers.debris, count: Math.round(v) })} />
+      </Section>
+
+      <Section title="Building damage">
+        {Object.keys(DEFAULT_DAMAGE).map((key) => (
+          <NumberField key={key} label={DAMAGE_LABELS[key]} value={damage[key]} min={0} max={1} step={0.05} onChange={(v) => edit(at('damage', key), v)} />
+        ))}
+      </Section>
+    </div>
+  )
+}
+
+function VariantList({ draft, onLoad, onMessage }) {
+  const [variants, setVariants] = useState(listVariants)
+  const [name, setName] = useState('')
+  const save = () => {
+    try {
+      saveVariant(name, draft)
+      setVariants(listVariants())
+      onMessage({ text: `Saved "${name.trim()}"` })
+    } catch (e) {
+      onMessage({ error: true, text: e.message })
+    }
+  }
+  const remove = (variant) => {
+    deleteVariant(variant)
+    setVariants(listVariants())
+  }
+  return (
+    <Section title="Saved variants (this browser)">
+      <div className="flex gap-2">
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Variant name" className={`${input} flex-1`} onKeyDown={(e) => { if (e.key === 'Enter') save() }} />
+        <button onClick={save} disabled={!name.trim()} className="px-2 rounded bg-sky-400 hover:bg-sky-300 text-black font-semibold disabled:opacity-40">Save</button>
+      </div>
+      {variants.length === 0 && <div className="text-slate-500">No saved variants yet.</div>}
+      <ul className="space-y-1">
+        {variants.map((v) => (
+          <li key={v.name} className="flex items-center gap-2">
+            <button onClick={() => onLoad(v.name)} className="flex-1 text-left truncate hover:text-white" title={`Load ${v.name}`}>
+              {v.name}
+              <span className="ml-2 text-slate-500">{v.scenarioId} · {new Date(v.savedAt).toLocaleString()}</span>
+            </button>
+            <button onClick={() => remove(v.name)} className={iconButton} aria-label={`Delete ${v.name}`}><Trash2 size={12} /></button>
+          </li>
+        ))}
+      </ul>
+    </Section>
+  )
+}
+
+// Side panel for editing every stage of the active scenario. Valid edits go
+// live immediately; invalid ones stay in the draft until fixed.
+export default function PresetEditor({ stage = 0, onJump }) {
+  const { scenario, source, applyScenario } = useScenario()
+  const [open, setOpen] = useState(false)
+  const history = useHistory(scenario)
+  const draft = history.value
+  // Scenario as it was when editing started, for Revert
+  const baseline = useRef(scenario)
+  const [tab, setTab] = useState(String(stage))
+  const [message, setMessage] = useState(null)
+  const fileRef = useRef()
+
+  const openChange = (next) => {
+    if (next) {
+      // Keep the undo history when reopening on top of our own edits
+      if (source?.type !== 'editor') {
+        baseline.current = scenario
+        history.reset(scenario)
+      }
+      setTab(String(Math.min(stage, scenario.stages.length - 1)))
+      setMessage(null)
+    }
+    setOpen(next)
+  }
+
+  const errors = useMemo(() => {
+    try {
+      validateScenario(draft)
+      return []
+    } catch (e) {
+      return e.errors?.length ? e.errors : [e.message]
+    }
+  }, [draft])
+
+  // Each valid draft goes live once; a scenario loaded from elsewhere while the
+  // editor is open is left alone until the draft changes again
+  const applied = useRef(null)
+  useEffect(() => {
+    if (!open || errors.length > 0 || draft === scenario || draft === applied.current) return
+    applied.current = draft
+    applyScenario(draft, { type: 'editor', name: draft.title })
+  }, [draft, errors, open, scenario, applyScenario])
+
+  const edit = (path, value) => history.set((d) => setIn(d, path, value), { key: path.join('.') })
+
+  const importFile = async (file) => {
+    try {
+      history.set(parseScenario(await file.text(), file.name))
+      setTab('0')
+      setMessage({ text: `Imported ${file.name}` })
+    } catch (e) {
+      setMessage({ error: true, text: e.message })
+    }
+  }
+
+  const loadSaved = (name) => {
+    try {
+      history.set(loadVariant(name))
+      setTab('0')
+      setMessage({ text: `Loaded "${name}"` })
+    } catch (e) {
+      setMessage({ error: true, text: e.message })
+    }
+  }
+
+  const onKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return
+    // Text fields keep their native undo
+    if (e.target.tagName === 'TEXTAREA' || (e.target.tagName === 'INPUT' && e.target.type === 'text')) return
+    e.preventDefault()
+    if (e.shiftKey) history.redo()
+    else history.undo()
+  }
+
+  if (!scenario) return null
+
+  return (
+    <Dialog.Root open={open} onOpenChange={openChange} modal={false}>
+      <Dialog.Trigger asChild>
+        <button className="flex items-center gap-1 px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 text-white text-xs">
+          <SlidersHorizontal size={14} /> Edit presets
+        </button>
+      </Dialog.Trigger>
+      <Dialog.Portal>
+        <Dialog.Content
+          onKeyDown={onKeyDown}
+          onInteractOutside={(e) => e.preventDefault()}
+          className="fixed z-40 right-3 top-3 bottom-3 w-[min(94vw,440px)] flex flex-col rounded-xl border border-slate-700 bg-slate-900/95 backdrop-blur text-xs text-slate-300 shadow-xl"
+        >
+          <div className="flex items-center gap-1 p-3 border-b border-slate-800">
+            <Dialog.Title className="text-white text-sm font-semibold mr-auto truncate">Presets: {draft.title}</Dialog.Title>
+            <button className={iconButton} onClick={history.undo} disabled={!history.canUndo} title="Undo (Ctrl+Z)" aria-label="Undo"><Undo2 size={14} /></button>
+            <button className={iconButton} onClick={history.redo} disabled={!history.canRedo} title="Redo (Ctrl+Shift+Z)" aria-label="Redo"><Redo2 size={14} /></button>
+            <button className={iconButton} onClick={() => history.set(baseline.current)} disabled={draft === baseline.current} title="Revert all edits" aria-label="Revert"><RotateCcw size={14} /></button>
+            <button className={iconButton} onClick={() => fileRef.current.click()} title="Import JSON" aria-label="Import JSON"><Upload size={14} /></button>
+            <button className={iconButton} onClick={() => downloadJson(draft, `${draft.id}.json`)} disabled={errors.length > 0} title="Export JSON" aria-label="Export JSON"><Download size={14} /></button>
+            <Dialog.Close asChild>
+              <button className={iconButton} aria-label="Close"><X size={14} /></button>
+            </Dialog.Close>
+            <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={(e) => { if (e.target.files[0]) importFile(e.target.files[0]); e.target.value = '' }} />
+          </div>
+          <Dialog.Description className="sr-only">Edit every stage of the scenario with live preview.</Dialog.Description>
+
+          <Tabs.Root value={tab} onValueChange={(v) => { setTab(v); if (onJump) onJump(Number(v)) }} className="flex-1 min-h-0 flex flex-col">
+            <Tabs.List className="flex gap-1 overflow-x-auto px-3 pt-2" aria-label="Stages">
+              {draft.stages.map((s, i) => (
+                <Tabs.Trigger
+                  key={i}
+                  value={String(i)}
+                  className="shrink-0 px-2 py-1 rounded-t border-b-2 border-transparent text-slate-400 data-[state=active]:border-sky-400 data-[state=active]:text-white"
+                >
+                  {i + 1}. {s.title}
+                </Tabs.Trigger>
+              ))}
+            </Tabs.List>
+            <div className="flex-1 min-h-0 overflow-y-auto p-3 space-y-4">
+              {draft.stages.map((s, i) => (
+                <Tabs.Content key={i} value={String(i)}>
+                  <StageForm stage={s} index={i} edit={edit} />
+                </Tabs.Content>
+              ))}
+              <VariantList draft={draft} onLoad={loadSaved} onMessage={setMessage} />
+            </div>
+          </Tabs.Root>
+
+          {(errors.length > 0 || message) && (
+            <div className="border-t border-slate-800 p-3 space-y-1 max-h-32 overflow-y-auto" role="status">
+              {message && <div className={message.error ? 'text-rose-400 whitespace-pre-wrap' : 'text-emerald-300'}>{message.text}</div>}
+              {errors.length > 0 && (
+                <>
+                  <div className="text-amber-300">Not applied until fixed:</div>
+                  {errors.map((err) => <div key={err} className="text-amber-200/80">{err}</div>)}
+                </>
+              )}
+            </div>
+          )}
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
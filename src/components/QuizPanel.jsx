@@ -0,0 +1,201 @@
+import { useEffect, useRef, useState } from 'react'
+import { levaStore } from 'leva'
+import { Check, Download, Play, Trash2, X } from 'lucide-react'
+import { QUIZ_METRICS, QUIZ_PARAMETERS, outcomeFor, quizResultsReport, quizResultsToCsv, setupSatisfied } from '../lib/quiz'
+import { downloadBlob, downloadJson } from '../lib/download'
+
+const iconButton = 'flex items-center gap-1 px-2 py-0.5 rounded hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent'
+
+// Current value of a Leva input, polled while a predict question is open
+function useLevaValue(path) {
+  const [value, setValue] = useState(() => (path ? levaStore.get(path) : undefined))
+  useEffect(() => {
+    if (!path) return
+    const timer = setInterval(() => setValue(levaStore.get(path)), 250)
+    return () => clearInterval(timer)
+  }, [path])
+  return value
+}
+
+const optionLabel = (question, i) => (question.type === 'choice' ? question.options[i] : question.options[i].label)
+
+// A predict run gives up once the metrics log has gone this long (wall time)
+// without a new sample, e.g. with the clock paused
+const PREDICT_STALL_MS = 5000
+
+// Runs the stage for a predict question and reads the metric once the plume
+// metrics log reaches `after` seconds; onStalled runs instead if it stops growing
+function usePredictRun(log, run, onMeasured, onStalled) {
+  const handlers = useRef()
+  handlers.current = { onMeasured, onStalled }
+  useEffect(() => {
+    if (!run) return
+    const { metric, after } = run.question.measure
+    let lastTime = null
+    let lastChange = performance.now()
+    const timer = setInterval(() => {
+      const sample = log.samples.find((s) => s.time >= after)
+      if (sample) {
+        handlers.current.onMeasured(sample[metric])
+        return
+      }
+      const time = log.samples.length > 0 ? log.samples[log.samples.length - 1].time : null
+      if (time !== lastTime) {
+        lastTime = time
+        lastChange = performance.now()
+      } else if (performance.now() - lastChange > PREDICT_STALL_MS) {
+        handlers.current.onStalled()
+      }
+    }, 250)
+    return () => clearInterval(timer)
+  }, [log, run])
+}
+
+function Question({ question, result, log, onRestart, onAnswer }) {
+  const [choice, setChoice] = useState(result ? result.choice : null)
+  const [run, setRun] = useState(null)
+  const [checked, setChecked] = useState(!!result)
+  const [stalled, setStalled] = useState(false)
+  const predict = question.type === 'predict'
+  const parameter = predict ? QUIZ_PARAMETERS[question.setup.parameter] : null
+  const current = useLevaValue(predict ? question.setup.parameter : null)
+  // The GPU backend feeds no plume metrics, so there would be nothing to measure
+  const gpu = useLevaValue(predict ? 'backend' : null) === 'gpu'
+  const ready = !predict || (!gpu && setupSatisfied(question, current))
+
+  usePredictRun(log, run, (measured) => {
+    setRun(null)
+    setChecked(true)
+    onAnswer(question, { choice, measured, outcome: outcomeFor(question, measured) })
+  }, () => {
+    setRun(null)
+    setStalled(true)
+  })
+
+  const submit = () => {
+    if (!predict) {
+      setChecked(true)
+      onAnswer(question, { choice })
+      return
+    }
+    onRestart()
+    setChecked(false)
+    setStalled(false)
+    setRun({ question })
+  }
+
+  const shown = checked ? result : null
+  const correctIndex = shown ? (predict ? shown.outcome : question.answer) : null
+  return (
+    <div className="space-y-2">
+      <div className="text-slate-100">{question.prompt}</div>
+      {predict && gpu && (
+        <div className="rounded border border-amber-400/50 px-2 py-1 text-[11px] text-amber-200">
+          Predict questions read the plume metrics, which the GPU backend doesn't report. Switch <span className="font-mono">backend</span> to worker or main in the controls panel.
+        </div>
+      )}
+      {predict && !gpu && (
+        <div className={`rounded border px-2 py-1 text-[11px] ${ready ? 'border-emerald-500/50 text-emerald-200' : 'border-amber-400/50 text-amber-200'}`}>
+          Before playing, set <span className="font-mono">{parameter.label}</span> to {question.setup.value} in the controls panel
+          {' '}(now {typeof current === 'number' ? current.toFixed(3) : '–'}){ready && <Check className="inline w-3.5 h-3.5 ml-1" />}
+        </div>
+      )}
+      <div className="space-y-1" role="radiogroup" aria-label="Answers">
+        {question.options.map((_, i) => {
+          const state = correctIndex === i ? 'border-emerald-500 bg-emerald-950/40' : shown && shown.choice === i ? 'border-rose-500 bg-rose-950/40' : choice === i ? 'border-sky-400 bg-slate-900' : 'border-slate-700 bg-slate-900/60 hover:bg-slate-900'
+          return (
+            <button key={i} role="radio" aria-checked={choice === i} disabled={!!run} onClick={() => { setChoice(i); setChecked(false) }} className={`w-full text-left rounded border px-2 py-1 ${state}`}>
+              {optionLabel(question, i)}
+            </button>
+          )
+        })}
+      </div>
+      <div className="flex items-center gap-2">
+        <button onClick={submit} disabled={choice === null || !ready || !!run} className="flex items-center gap-1 px-3 py-1 rounded bg-sky-400 hover:bg-sky-300 text-black font-semibold disabled:opacity-40 disabled:hover:bg-sky-400">
+          {predict ? <><Play className="w-3.5 h-3.5" /> Play stage and check</> : 'Check answer'}
+        </button>
+        {run && <span className="text-slate-400">Measuring {QUIZ_METRICS[question.measure.metric].toLowerCase()} at {question.measure.after} s…</span>}
+      </div>
+      {stalled && <div role="alert" className="text-rose-300">The run stopped producing plume samples before {question.measure.after} s. Unpause the simulation and play the stage again.</div>}
+      {shown && (
+        <div role="status" className={`rounded border p-2 ${shown.correct ? 'border-emerald-500/50 bg-emerald-950/30' : 'border-rose-500/50 bg-rose-950/30'}`}>
+          <div className="font-semibold text-white">{shown.correct ? 'Correct' : 'Not quite'}</div>
+          {predict && (
+            <div>
+              Measured {QUIZ_METRICS[question.measure.metric].toLowerCase()}: {shown.measured.toFixed(2)}
+              {shown.outcome >= 0 ? ` (${optionLabel(question, shown.outcome)})` : ' (outside every option)'}
+            </div>
+          )}
+          {question.explanation && <div className="text-slate-300 mt-1">{question.explanation}</div>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Questions for the stage on screen, scored into `results` (see lib/quiz
+// createQuizResults); predict questions restart the stage through onRestart
+// and read the outcome from the plume metrics log
+export default function QuizPanel({ quiz, results, stageId, log, onRestart, onClose }) {
+  const [, setVersion] = useState(results.version)
+  const questions = quiz.questions.filter((q) => q.stage === stageId)
+  const [index, setIndex] = useState(0)
+  useEffect(() => { setIndex(0) }, [stageId])
+  const question = questions[Math.min(index, questions.length - 1)]
+  const score = results.score()
+
+  const answer = (q, response) => {
+    results.record(q, response)
+    setVersion(results.version)
+  }
+  const exportJson = () => downloadJson(quizResultsReport(quiz, results), `quiz-results-${quiz.id}.json`)
+  const exportCsv = () => downloadBlob(new Blob([quizResultsToCsv(quizResultsReport(quiz, results))], { type: 'text/csv' }), `quiz-results-${quiz.id}.csv`)
+  const clear = () => {
+    results.clear()
+    setVersion(results.version)
+  }
+
+  return (
+    <div className="rounded-2xl border border-slate-700 bg-slate-800/60 p-3 text-xs text-slate-300 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold text-white">{quiz.title}</span>
+        <span className="text-slate-400 tabular-nums">Score {score.correct} / {score.total} · {score.answered} answered</span>
+        <label className="ml-auto flex items-center gap-1">
+          <span className="text-slate-400">Name</span>
+          <input
+            value={results.learner}
+            onChange={(e) => { results.setLearner(e.target.value); setVersion(results.version) }}
+            className="w-28 bg-slate-900 border border-slate-700 rounded px-1 py-0.5 text-slate-100"
+          />
+        </label>
+        <button onClick={exportJson} className={iconButton}><Download className="w-3.5 h-3.5" /> JSON</button>
+        <button onClick={exportCsv} className={iconButton}><Download className="w-3.5 h-3.5" /> CSV</button>
+        <button onClick={clear} disabled={score.answered === 0} className={iconButton} title="Clear saved answers" aria-label="Clear saved answers">
+          <Trash2 className="w-3.5 h-3.5" />
+        </button>
+        <button onClick={onClose} className={iconButton} title="Close quiz" aria-label="Close quiz">
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      {question ? (
+        <>
+          <div className="flex items-center gap-1">
+            {questions.map((q, i) => {
+              const r = results.answers[q.id]
+              return (
+                <button key={q.id} onClick={() => setIndex(i)} aria-current={i === index ? 'step' : undefined} className={`w-6 h-6 rounded-full border tabular-nums ${i === index ? 'border-sky-400 text-white' : 'border-slate-600'} ${r ? (r.correct ? 'bg-emerald-700/60' : 'bg-rose-800/60') : ''}`}>
+                  {i + 1}
+                </button>
+              )
+            })}
+            <span className="ml-2 text-slate-500">{question.type === 'predict' ? 'Predict what happens' : 'Multiple choice'}</span>
+          </div>
+          <Question key={question.id} question={question} result={results.answers[question.id]} log={log} onRestart={() => onRestart(question)} onAnswer={answer} />
+        </>
+      ) : (
+        <div className="text-slate-400">No questions for this stage. Pick a stage marked with a quiz in the timeline.</div>
+      )}
+    </div>
+  )
+}
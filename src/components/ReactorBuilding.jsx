@@ -0,0 +1,172 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import useSimClock from '../hooks/useSimClock'
+import { useStaticBody } from '../hooks/useRigidWorld'
+import { DEFAULT_DAMAGE } from '../lib/scenario'
+import { COLLISION_GROUPS } from '../lib/collision'
+import { UNIT4_DIMENSIONS, brokenRoofSections, roofSections } from '../lib/unit4'
+
+// Matches the slab debris the broken sections turn into (see Debris shape="slab")
+export const ROOF_SLAB_THICKNESS = 0.12 * 1.4
+
+// Static colliders so rigid debris can land on (and bounce off) the building
+const STATIC_BODY = { collisionFilterGroup: COLLISION_GROUPS.building }
+
+function EdgedBlock({ position=[0,0,0], size=[1,1,1], color="#4b5563", sloped=false }) {
+  const [w,h,d] = size
+  useStaticBody({ ...STATIC_BODY, shape: 'box', position, rotation: sloped ? [0,0,0.08] : [0,0,0], args: size })
+  const geo = useMemo(() => new THREE.BoxGeometry(w,h,d), [w,h,d])
+  const edges = useMemo(() => new THREE.EdgesGeometry(geo), [geo])
+  return (
+    <group position={position}>
+      <mesh castShadow receiveShadow rotation={sloped ? [0,0,0.08] : [0,0,0]}>
+        <primitive object={geo} attach="geometry" />
+        <meshStandardMaterial color={color} roughness={0.9} metalness={0.05} />
+      </mesh>
+      <lineSegments>
+        <primitive object={edges} attach="geometry" />
+        <lineBasicMaterial color="#9ca3af" linewidth={1} />
+      </lineSegments>
+    </group>
+  )
+}
+
+// Graphite stack; glows brighter (and lights the hall) as it is laid open.
+// readHeat, when given, is polled every frame in place of heat.
+function ReactorCore({ heat: fixedHeat = 1, readHeat, exposure = 0, dims }) {
+  const bodyRef = useRef()
+  const ringRef = useRef()
+  const lightRef = useRef()
+  const { radius, height, y } = dims.core
+  useFrame((state) => {
+    const t = state.clock.getElapsedTime()
+    const heat = readHeat ? readHeat() : fixedHeat
+    const s = 1 + Math.sin(t * 3) * 0.04 * heat
+    const flicker = 1.0 + Math.sin(t*5)*0.3
+    if (bodyRef.current) {
+      bodyRef.current.scale.set(1, s, 1)
+      bodyRef.current.material.emissiveIntensity = heat * (0.9 + exposure * 2.2 * flicker)
+    }
+    if (ringRef.current) ringRef.current.material.emissiveIntensity = 1.8 * heat * flicker
+    if (lightRef.current) lightRef.current.intensity = exposure * heat * 6 * flicker
+  })
+  return (
+    <group position={[0, y, 0]}>
+      <mesh ref={bodyRef} castShadow>
+        <cylinderGeometry args={[radius, radius, height, 24]} />
+        <meshStandardMaterial color="#232323" metalness={0.1} roughness={0.8} emissive="#ff6b00" emissiveIntensity={0.9*fixedHeat} />
+      </mesh>
+      <mesh ref={ringRef} position={[0, height / 2 + 0.01, 0]} rotation={[Math.PI/2,0,0]}>
+        <torusGeometry args={[radius + 0.03, 0.04, 16, 48]} />
+        <meshStandardMaterial color="#111827" emissive="#ff8a00" emissiveIntensity={1.2*fixedHeat} />
+      </mesh>
+      <pointLight ref={lightRef} position={[0, height, 0]} color="#ff7a1a" intensity={0} distance={8} decay={2} />
+    </group>
+  )
+}
+
+// Eases toward the stage's lid damage on the sim clock, so it lifts when a
+// stage begins and freezes with everything else on pause
+function Lid({ target, dims }) {
+  const groupRef = useRef()
+  const progress = useRef(target)
+  const clock = useSimClock()
+  const { radius, thickness } = dims.lid
+  const baseY = dims.core.y + dims.core.height / 2 + thickness / 2 + 0.02
+  useFrame(() => {
+    const g = groupRef.current
+    if (!g) return
+    progress.current += (target - progress.current) * (1 - Math.exp(-clock.delta * 2.5))
+    const p = progress.current
+    g.position.set(p * radius * 0.4, baseY + p * dims.lidLift, 0)
+    g.rotation.set(0, 0, p * dims.lidTilt)
+  })
+  return (
+    <group ref={groupRef} position={[0, baseY, 0]}>
+      <mesh castShadow receiveShadow>
+        <cylinderGeometry args={[radius, radius, thickness, 32]} />
+        <meshStandardMaterial color="#6b7280" roughness={0.6} metalness={0.5} />
+      </mesh>
+      {/* Fuel-channel heads on the top face */}
+      <mesh position={[0, thickness / 2 + 0.005, 0]} rotation={[-Math.PI/2, 0, 0]}>
+        <circleGeometry args={[radius * 0.85, 32]} />
+        <meshStandardMaterial color="#94a3b8" roughness={0.4} metalness={0.6} wireframe />
+      </mesh>
+    </group>
+  )
+}
+
+function RoofSection({ position, size }) {
+  useStaticBody({ ...STATIC_BODY, shape: 'box', position, args: size })
+  return (
+    <mesh position={position} castShadow receiveShadow>
+      <boxGeometry args={size} />
+      <meshStandardMaterial color="#4b5563" roughness={0.9} metalness={0.05} />
+    </mesh>
+  )
+}
+
+function Stack({ dims }) {
+  const { position, radius, height, bands } = dims.stack
+  useStaticBody({ ...STATIC_BODY, shape: 'cylinder', position: [position[0], position[1] + height / 2, position[2]], args: [radius * 0.85, radius, height, 12] })
+  // Source shape for the lattice edges; edgesGeometry only reads it
+  const lattice = useMemo(() => new THREE.CylinderGeometry(radius * 1.8, radius * 2.6, height * 0.8, 4, 4), [radius, height])
+  useEffect(() => () => lattice.dispose(), [lattice])
+  return (
+    <group position={position}>
+      {Array.from({ length: bands }, (_, i) => {
+        const h = height / bands
+        const r0 = radius * (1 - (i / bands) * 0.15), r1 = radius * (1 - ((i + 1) / bands) * 0.15)
+        return (
+          <mesh key={i} position={[0, h * (i + 0.5), 0]} castShadow>
+            <cylinderGeometry args={[r1, r0, h, 24]} />
+            <meshStandardMaterial color={i % 2 ? '#b91c1c' : '#e5e7eb'} roughness={0.7} metalness={0.1} />
+          </mesh>
+        )
+      })}
+      {/* Lattice support frame */}
+      <lineSegments position={[0, height * 0.4, 0]}>
+        <edgesGeometry args={[lattice]} />
+        <lineBasicMaterial color="#cbd5e1" />
+      </lineSegments>
+    </group>
+  )
+}
+
+// Unit 4: reactor hall over the core, deaerator gallery and turbine hall along
+// +x, and the striped ventilation stack, all built from `dims`. `damage`
+// ({ lid, roof, coreExposure } in [0, 1], see lib/scenario) lifts the
+// biological shield, removes roof sections and exposes the core. readHeat
+// lets a live source (the reactor model) drive the core glow per frame.
+export default function ReactorBuilding({ heat = 1, readHeat, damage = DEFAULT_DAMAGE, dims = UNIT4_DIMENSIONS }) {
+  const sections = useMemo(() => roofSections(dims), [dims])
+  const broken = useMemo(() => new Set(brokenRoofSections(sections, damage.roof).map((s) => s.index)), [sections, damage.roof])
+  const { hall, gallery, turbine } = dims
+  const wallHeight = hall.height
+  const sectionWidth = hall.width / hall.grid, sectionDepth = hall.depth / hall.grid
+  const galleryX = hall.width / 2 + gallery.width / 2
+  const turbineX = hall.width / 2 + gallery.width + turbine.width / 2
+  const walls = [
+    [[0, wallHeight / 2, -hall.depth / 2], [hall.width, wallHeight, hall.wall]],
+    [[0, wallHeight / 2, hall.depth / 2], [hall.width, wallHeight, hall.wall]],
+    [[-hall.width / 2, wallHeight / 2, 0], [hall.wall, wallHeight, hall.depth]],
+    [[hall.width / 2, wallHeight / 2, 0], [hall.wall, wallHeight, hall.depth]],
+  ]
+
+  return (
+    <group>
+      <ReactorCore heat={heat} readHeat={readHeat} exposure={damage.coreExposure} dims={dims} />
+      <Lid target={damage.lid} dims={dims} />
+
+      {walls.map(([position, size], i) => <EdgedBlock key={i} position={position} size={size} color="#3b4252" />)}
+      {sections.map((s) => !broken.has(s.index) && (
+        <RoofSection key={s.index} position={s.position} size={[sectionWidth * 0.98, ROOF_SLAB_THICKNESS * s.size, sectionDepth * 0.98]} />
+      ))}
+
+      <EdgedBlock position={[galleryX, gallery.height / 2, 0]} size={[gallery.width, gallery.height, gallery.depth]} color="#353c4a" />
+      <EdgedBlock position={[turbineX, turbine.height / 2, 0]} size={[turbine.width, turbine.height, turbine.depth]} color="#2f3542" />
+      <Stack dims={dims} />
+    </group>
+  )
+}
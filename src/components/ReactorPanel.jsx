@@ -0,0 +1,135 @@
+import { useCallback, useEffect, useState } from 'react'
+import { RotateCcw } from 'lucide-react'
+import { BETA } from '../lib/reactorKinetics'
+
+const NOMINAL_MW = 3200
+// Seconds of history shown, and the log-scale power range (x nominal)
+const WINDOW = 60
+const LOG_MIN = -3
+const LOG_MAX = 3
+const WIDTH = 320
+const HEIGHT = 80
+
+const PHASE_LABELS = {
+  running: 'Running',
+  scram: 'AZ-5 pressed, rods driving in',
+  surge: 'Power excursion',
+  failed: 'Fuel failed, core destroyed',
+}
+
+function snapshotOf(model) {
+  return {
+    time: model.time,
+    power: model.power,
+    reactivity: model.reactivity,
+    voidFraction: model.voidFraction,
+    xenon: model.xenon,
+    withdrawal: model.withdrawal,
+    depth: model.depth,
+    flow: model.flow,
+    phase: model.phase,
+    scrammed: !!model.scram,
+    history: model.history.slice(),
+  }
+}
+
+const yFor = (power) => {
+  const l = Math.min(LOG_MAX, Math.max(LOG_MIN, Math.log10(Math.max(power, 1e-9))))
+  return HEIGHT - 2 - ((l - LOG_MIN) / (LOG_MAX - LOG_MIN)) * (HEIGHT - 4)
+}
+
+function PowerChart({ history, time }) {
+  const t0 = Math.max(0, time - WINDOW)
+  const points = history
+    .filter(([t]) => t >= t0)
+    .map(([t, p]) => `${(((t - t0) / WINDOW) * WIDTH).toFixed(1)},${yFor(p).toFixed(1)}`)
+    .join(' ')
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" className="w-full h-20">
+      {Array.from({ length: LOG_MAX - LOG_MIN + 1 }, (_, i) => LOG_MIN + i).map((l) => (
+        <line key={l} x1="0" x2={WIDTH} y1={yFor(10 ** l)} y2={yFor(10 ** l)} stroke={l === 0 ? '#f87171' : '#1e293b'} strokeDasharray={l === 0 ? '4 3' : undefined} vectorEffect="non-scaling-stroke" />
+      ))}
+      <polyline points={points} fill="none" stroke="#fbbf24" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+    </svg>
+  )
+}
+
+function Readout({ label, value }) {
+  return (
+    <div className="rounded border border-slate-700 bg-slate-900/60 px-2 py-1">
+      <div className="text-[10px] text-slate-400">{label}</div>
+      <div className="tabular-nums text-slate-100">{value}</div>
+    </div>
+  )
+}
+
+// Controls and live readouts for the point-kinetics model (see
+// lib/reactorKinetics). The model runs inside the Canvas: listen(fn) registers
+// fn to run whenever it moves there and returns the unsubscribe. onChange
+// runs after every control change here.
+export default function ReactorPanel({ model, listen, onChange }) {
+  const [snapshot, setSnapshot] = useState(() => snapshotOf(model))
+  const refresh = useCallback(() => setSnapshot(snapshotOf(model)), [model])
+
+  useEffect(() => listen(refresh), [listen, refresh])
+
+  const changed = () => {
+    refresh()
+    if (onChange) onChange()
+  }
+  const setControls = (values) => {
+    model.setControls(values)
+    changed()
+  }
+  const scram = () => {
+    model.triggerScram()
+    changed()
+  }
+  const reset = () => {
+    model.reset()
+    changed()
+  }
+
+  const s = snapshot
+  const failed = s.phase === 'failed'
+  return (
+    <div className="rounded-2xl border border-slate-700 bg-slate-800/60 p-3 text-xs text-slate-300">
+      <div className="flex items-center gap-2 mb-2">
+        <span className="font-semibold text-white">Reactor (point kinetics)</span>
+        <span className={failed || s.phase === 'surge' ? 'text-rose-300' : 'text-slate-500'}>{PHASE_LABELS[s.phase]}</span>
+        <button onClick={reset} className="ml-auto flex items-center gap-1 px-2 py-0.5 rounded hover:bg-slate-700">
+          <RotateCcw className="w-3.5 h-3.5" /> Reset to 01:23:04
+        </button>
+      </div>
+
+      <div className="rounded border border-slate-700 bg-slate-900/60 p-2 mb-2">
+        <div className="flex items-baseline justify-between gap-2">
+          <span className="text-[10px] text-slate-400">Thermal power, last {WINDOW} s (log scale, dashed = nominal 3200 MW)</span>
+          <span className="tabular-nums text-slate-100">{(s.power * NOMINAL_MW).toFixed(s.power < 0.1 ? 1 : 0)} MW</span>
+        </div>
+        <PowerChart history={s.history} time={s.time} />
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-2">
+        <Readout label="Reactivity" value={`${(s.reactivity / BETA).toFixed(2)} $`} />
+        <Readout label="Core void" value={`${Math.round(s.voidFraction * 100)}%`} />
+        <Readout label="Xenon (× full-power eq.)" value={s.xenon.toFixed(2)} />
+        <Readout label="Rod insertion" value={`${Math.round(s.depth * 100)}%`} />
+      </div>
+
+      <div className="grid sm:grid-cols-[1fr_1fr_auto] gap-3 items-center">
+        <label className="flex items-center gap-2">
+          <span className="w-28 text-slate-400">Rods withdrawn</span>
+          <input type="range" min={0} max={1} step={0.005} value={s.withdrawal} disabled={s.scrammed || failed} onChange={(e) => setControls({ withdrawal: Number(e.target.value) })} className="flex-1 accent-sky-400" />
+          <span className="w-10 tabular-nums text-right">{Math.round(s.withdrawal * 100)}%</span>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="w-28 text-slate-400">Coolant flow</span>
+          <input type="range" min={0.2} max={1.3} step={0.01} value={s.flow} disabled={failed} onChange={(e) => setControls({ flow: Number(e.target.value) })} className="flex-1 accent-sky-400" />
+          <span className="w-10 tabular-nums text-right">{Math.round(s.flow * 100)}%</span>
+        </label>
+        <button onClick={scram} disabled={s.scrammed || failed} className="px-3 py-1 rounded bg-rose-600 hover:bg-rose-500 text-white font-semibold shadow disabled:opacity-40 disabled:hover:bg-rose-600">AZ-5 (SCRAM)</button>
+      </div>
+    </div>
+  )
+}
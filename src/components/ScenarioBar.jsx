@@ -0,0 +1,90 @@
+import { useState } from 'react'
+import { FileJson, Share2, X } from 'lucide-react'
+import useScenario from '../hooks/useScenario'
+import useApi from '../hooks/useApi'
+import useToast from '../hooks/useToast'
+import { downloadJson } from '../lib/download'
+import { writeSharedScenarioId } from '../lib/urlState'
+
+// Uploads the scenario on screen and copies a link to it. Without a backend
+// (none configured, or unreachable) the file is downloaded instead, since a
+// dropped file loads just the same.
+function ShareButton({ scenario }) {
+  const api = useApi()
+  const toast = useToast()
+  const [busy, setBusy] = useState(false)
+
+  const share = async () => {
+    setBusy(true)
+    try {
+      const shared = await api.shareScenario(scenario)
+      const params = new URLSearchParams()
+      writeSharedScenarioId(params, shared.id)
+      const link = `${window.location.origin}/?${params}`
+      let copied = false
+      try {
+        await navigator.clipboard.writeText(link)
+        copied = true
+      } catch (e) {
+        // Clipboard blocked (insecure origin, no permission): the toast shows the link
+      }
+      toast({ tone: 'success', title: copied ? 'Share link copied' : 'Scenario shared', description: link })
+    } catch (e) {
+      if (e.kind === 'unavailable') {
+        downloadJson(scenario, `${scenario.id}.json`)
+        toast({ title: 'Sharing is unavailable', description: 'This site has no backend to share through. Downloaded the scenario file instead; drop it on the page to load it.' })
+      } else if (e.unreachable) {
+        downloadJson(scenario, `${scenario.id}.json`)
+        toast({ tone: 'error', title: 'Backend unreachable', description: 'Downloaded the scenario file instead; drop it on the page to load it.' })
+      } else {
+        toast({ tone: 'error', title: 'Could not share the scenario', description: e.message })
+      }
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <button onClick={share} disabled={busy} className="flex items-center gap-1 px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 text-white text-xs disabled:opacity-40" title={api.status === 'unavailable' ? 'Sharing needs a backend; downloads the scenario file instead' : 'Save this scenario to the backend and copy a link to it'}>
+      <Share2 size={14} /> {busy ? 'Sharing…' : 'Share'}
+    </button>
+  )
+}
+
+// Scenario picker plus load status; invalid files list every validation error
+export default function ScenarioBar({ selectedId, onSelect, actions }) {
+  const { scenario, index, status, error, source, dismissError } = useScenario()
+  // Dropped files and editor changes aren't in the index, so list them separately
+  const custom = source && source.type !== 'url'
+  return (
+    <div className="p-3 rounded-2xl bg-slate-800/60 border border-slate-700 text-sm text-slate-300 space-y-2">
+      <div className="flex flex-wrap items-center gap-3">
+        <FileJson size={16} className="text-blue-300" />
+        <label className="flex items-center gap-2">
+          <span className="text-slate-400">Scenario</span>
+          <select
+            value={custom ? '' : selectedId}
+            onChange={(e) => onSelect(e.target.value)}
+            className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-100"
+          >
+            {custom && <option value="">{scenario.title} ({source.type === 'file' ? source.name : source.type === 'shared' ? 'shared' : 'edited'})</option>}
+            {index.map((s) => <option key={s.id} value={s.id}>{s.title}</option>)}
+          </select>
+        </label>
+        {status === 'loading' && <span className="text-xs text-slate-400">Loading…</span>}
+        {actions}
+        {scenario && <ShareButton scenario={scenario} />}
+        <span className="text-xs text-slate-500 ml-auto">Drop a scenario .json anywhere on the page to load it</span>
+      </div>
+      {scenario?.description && <div className="text-xs text-slate-400">{scenario.description}</div>}
+      {error && (
+        <div role="alert" className="relative rounded border border-rose-500/40 bg-rose-950/40 p-2 pr-7 text-xs text-rose-200">
+          <pre className="whitespace-pre-wrap font-sans">{error.message}</pre>
+          <button onClick={dismissError} className="absolute top-1.5 right-1.5 p-0.5 rounded hover:bg-rose-900/60" aria-label="Dismiss">
+            <X size={14} />
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,33 @@
+import { useRef, useState } from 'react'
+
+// Page-wide drop target for scenario .json files
+export default function ScenarioDropZone({ onFile, children }) {
+  const [active, setActive] = useState(false)
+  // dragenter/leave fire for every child element, so count them
+  const depth = useRef(0)
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files')
+
+  return (
+    <div
+      className="relative"
+      onDragEnter={(e) => { if (!hasFiles(e)) return; depth.current++; setActive(true) }}
+      onDragLeave={() => { depth.current = Math.max(0, depth.current - 1); if (depth.current === 0) setActive(false) }}
+      onDragOver={(e) => { if (hasFiles(e)) e.preventDefault() }}
+      onDrop={(e) => {
+        if (!hasFiles(e)) return
+        e.preventDefault()
+        depth.current = 0
+        setActive(false)
+        const file = e.dataTransfer.files[0]
+        if (file) onFile(file)
+      }}
+    >
+      {children}
+      {active && (
+        <div className="pointer-events-none fixed inset-0 z-50 flex items-center justify-center bg-slate-950/70 border-4 border-dashed border-sky-400/60">
+          <div className="text-sky-200 text-lg font-semibold">Drop a scenario JSON file to load it</div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,58 @@
+import { useCallback, useState } from 'react'
+import * as Toast from '@radix-ui/react-toast'
+import { X } from 'lucide-react'
+import { ToastContext } from '../hooks/useToast'
+
+const TONES = {
+  info: 'border-slate-600 bg-slate-900',
+  success: 'border-emerald-500/60 bg-emerald-950',
+  error: 'border-rose-500/60 bg-rose-950',
+}
+
+// Keep the stack short; older toasts give way to new ones
+const MAX_TOASTS = 4
+
+let nextId = 1
+
+// Radix toast stack for the whole page; components raise toasts through useToast
+export default function Toaster({ children }) {
+  const [toasts, setToasts] = useState([])
+
+  const toast = useCallback(({ title, description, tone = 'info', action, duration }) => {
+    const id = nextId++
+    setToasts((list) => [...list.slice(-(MAX_TOASTS - 1)), { id, title, description, tone, action, duration }])
+    return id
+  }, [])
+
+  const dismiss = (id) => setToasts((list) => list.filter((t) => t.id !== id))
+
+  return (
+    <ToastContext.Provider value={toast}>
+      <Toast.Provider swipeDirection="right" duration={5000}>
+        {children}
+        {toasts.map((t) => (
+          <Toast.Root
+            key={t.id}
+            // Errors interrupt screen readers; everything else waits its turn
+            type={t.tone === 'error' ? 'foreground' : 'background'}
+            duration={t.duration ?? (t.tone === 'error' ? 8000 : undefined)}
+            onOpenChange={(open) => { if (!open) dismiss(t.id) }}
+            className={`relative rounded-lg border p-3 pr-8 text-xs text-slate-300 shadow-xl ${TONES[t.tone] || TONES.info}`}
+          >
+            <Toast.Title className="font-semibold text-white text-sm">{t.title}</Toast.Title>
+            {t.description && <Toast.Description className="mt-0.5 whitespace-pre-wrap">{t.description}</Toast.Description>}
+            {t.action && (
+              <Toast.Action altText={t.action.label} onClick={t.action.onClick} className="mt-2 px-2 py-0.5 rounded border border-slate-500 hover:bg-slate-800 text-slate-100">
+                {t.action.label}
+              </Toast.Action>
+            )}
+            <Toast.Close className="absolute top-2 right-2 p-0.5 rounded hover:bg-slate-800" aria-label="Dismiss">
+              <X size={14} />
+            </Toast.Close>
+          </Toast.Root>
+        ))}
+        <Toast.Viewport className="fixed bottom-4 right-4 z-50 flex w-80 max-w-[92vw] flex-col gap-2 outline-none" />
+      </Toast.Provider>
+    </ToastContext.Provider>
+  )
+}
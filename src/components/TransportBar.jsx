@@ -0,0 +1,85 @@
+import { useEffect, useState } from 'react'
+import { Play, Pause, SkipBack, SkipForward, Radio, Trash2 } from 'lucide-react'
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4]
+
+const iconButton = 'p-1 rounded hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent'
+
+// Playback controls for the simulation clock and the run recording.
+// playhead is a recorded frame index, or null while following the live sim.
+// The frame count and live time are polled from the recorder and clock here,
+// so they don't re-render the simulation; replayTime overrides the time shown.
+export default function TransportBar({
+  recorder,
+  clock,
+  paused,
+  speed,
+  playhead,
+  replayTime = null,
+  onTogglePause,
+  onStep,
+  onSeek,
+  onSpeed,
+  onLive,
+  onClear,
+}) {
+  const [recording, setRecording] = useState({ frames: recorder.frames.length, time: clock.time })
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setRecording((last) => (last.frames === recorder.frames.length && last.time === clock.time ? last : { frames: recorder.frames.length, time: clock.time }))
+    }, 250)
+    return () => clearInterval(timer)
+  }, [recorder, clock])
+  const frameCount = recording.frames
+  const time = replayTime ?? recording.time
+
+  const live = playhead === null
+  const last = Math.max(0, frameCount - 1)
+  return (
+    <div className="absolute bottom-3 right-3 z-10 flex items-center gap-2 bg-slate-900/70 backdrop-blur-sm border border-slate-700 rounded px-2 py-1 text-[10px] text-slate-300">
+      <button className={iconButton} onClick={() => onStep(-1)} disabled={live || playhead === 0} title="Step back" aria-label="Step back">
+        <SkipBack className="w-3.5 h-3.5" />
+      </button>
+      <button className={iconButton} onClick={onTogglePause} title={paused ? 'Play' : 'Pause'} aria-label={paused ? 'Play' : 'Pause'}>
+        {paused ? <Play className="w-3.5 h-3.5" /> : <Pause className="w-3.5 h-3.5" />}
+      </button>
+      <button className={iconButton} onClick={() => onStep(1)} disabled={!live ? playhead >= last : !paused} title="Step forward" aria-label="Step forward">
+        <SkipForward className="w-3.5 h-3.5" />
+      </button>
+
+      <input
+        type="range"
+        min={0}
+        max={last}
+        step={1}
+        value={live ? last : playhead}
+        disabled={frameCount === 0}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        className="w-40 accent-sky-400"
+        aria-label="Recording position"
+      />
+      <span className="w-12 tabular-nums text-right">{time.toFixed(1)} s</span>
+
+      <select
+        value={speed}
+        onChange={(e) => onSpeed(Number(e.target.value))}
+        className="bg-slate-800 border border-slate-700 rounded px-1 py-0.5"
+        aria-label="Playback speed"
+      >
+        {PLAYBACK_SPEEDS.map((s) => <option key={s} value={s}>{s}×</option>)}
+      </select>
+
+      <button
+        onClick={onLive}
+        disabled={live}
+        className={`flex items-center gap-1 px-1.5 py-0.5 rounded ${live ? 'text-rose-400' : 'hover:bg-slate-700'}`}
+        title="Return to live simulation"
+      >
+        <Radio className="w-3 h-3" /> Live
+      </button>
+      <button className={iconButton} onClick={onClear} disabled={frameCount === 0} title="Clear recording" aria-label="Clear recording">
+        <Trash2 className="w-3.5 h-3.5" />
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,63 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { createWindField } from '../lib/windField'
+import useSimClock from '../hooks/useSimClock'
+
+const HEIGHTS = [1, 6, 14, 26]
+const SPAN = [-20, -10, 0, 10, 20]
+const COLORS = ['#38bdf8', '#60a5fa', '#818cf8', '#c084fc']
+
+// Arrow glyphs sampling the wind field on a coarse lattice at several heights,
+// so shear with altitude and keyframed veering are visible in the scene.
+// `launchKey` changes whenever the particle layers relaunch.
+export default function WindArrows({ config, launchKey, visible = true, scale = 2.5 }) {
+  const field = useMemo(() => createWindField(config), [config])
+  const arrows = useMemo(() => {
+    const list = []
+    HEIGHTS.forEach((y, h) => {
+      for (const x of SPAN) {
+        for (const z of SPAN) {
+          const arrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(x, y, z), 1, COLORS[h], 0.35, 0.2)
+          arrow.line.material.transparent = true
+          arrow.line.material.opacity = 0.6
+          list.push(arrow)
+        }
+      }
+    })
+    return list
+  }, [])
+
+  useEffect(() => () => arrows.forEach((a) => a.dispose()), [arrows])
+
+  // Keyframes are relative to the stage launch on the sim clock, like the
+  // particle systems, so they pause and scale with it
+  const clock = useSimClock()
+  const t0 = useRef(null)
+  useEffect(() => { t0.current = null }, [field, launchKey])
+
+  const wind = useMemo(() => [0, 0, 0], [])
+  const dir = useMemo(() => new THREE.Vector3(), [])
+
+  useFrame(() => {
+    if (!visible) return
+    if (t0.current === null) t0.current = clock.time
+    const t = clock.time - t0.current
+    for (const arrow of arrows) {
+      const p = arrow.position
+      field.sample(p.x, p.y, p.z, t, wind)
+      dir.set(wind[0], wind[1], wind[2])
+      const speed = dir.length()
+      if (speed < 1e-4) { arrow.visible = false; continue }
+      arrow.visible = true
+      arrow.setDirection(dir.divideScalar(speed))
+      arrow.setLength(Math.max(0.4, speed * scale), 0.35, 0.2)
+    }
+  })
+
+  return (
+    <group visible={visible}>
+      {arrows.map((a, i) => <primitive key={i} object={a} />)}
+    </group>
+  )
+}
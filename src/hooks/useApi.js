@@ -0,0 +1,212 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react'
+import { ApiError, createApiClient } from '../lib/apiClient'
+import { createMockBackend } from '../lib/mockBackend'
+import { downloadJson } from '../lib/download'
+import { createRunOutbox, createSharedScenario, runSummary } from '../lib/runs'
+
+// Backend access for the page (see components/ApiProvider):
+// { mode, baseUrl, mock, status, health, pending, version, check, flush, listRuns, getRun, saveRun, deleteRun, listScenarios, getScenario, shareScenario }
+// where mode is 'remote', 'mock' or 'none'.
+export const ApiContext = createContext(null)
+
+export default function useApi() {
+  return useContext(ApiContext)
+}
+
+// While unreachable, the backend is asked again this often
+const RECHECK_INTERVAL = 30000
+
+const unavailable = () => Promise.reject(new ApiError('No backend is configured for this site', { kind: 'unavailable' }))
+// Stands in for the client when there is no backend
+const NO_CLIENT = {
+  health: unavailable,
+  listRuns: unavailable,
+  getRun: unavailable,
+  saveRun: unavailable,
+  deleteRun: unavailable,
+  listScenarios: unavailable,
+  getScenario: unavailable,
+  shareScenario: unavailable,
+}
+
+// VITE_BACKEND_URL picks a real backend. Without one, the in-browser mock
+// stands in for development servers (or any build with
+// VITE_MOCK_BACKEND=true), so saving and sharing can be tried locally; other
+// builds have no backend and every call fails as 'unavailable'.
+function createBackend() {
+  const baseUrl = import.meta.env.VITE_BACKEND_URL
+  if (baseUrl) return { mode: 'remote', baseUrl, mock: null, client: createApiClient({ baseUrl }) }
+  if (import.meta.env.DEV || import.meta.env.VITE_MOCK_BACKEND === 'true') {
+    const mock = createMockBackend()
+    return { mode: 'mock', baseUrl: null, mock, client: createApiClient({ baseUrl: '', fetch: mock }) }
+  }
+  return { mode: 'none', baseUrl: null, mock: null, client: NO_CLIENT }
+}
+
+const unreachable = (e) => e instanceof ApiError && e.unreachable
+// The backend answered and will never take this request as it is (4xx other than 429)
+const refused = (e) => e instanceof ApiError && e.status !== null && !e.retryable
+
+// Tracks whether the backend answers and keeps runs saved while it doesn't in
+// an outbox, uploading them once it is back. Connection changes and outbox
+// uploads are announced with toasts; each call's own failures are left to the
+// caller.
+export function useApiService(toast) {
+  const { mode, baseUrl, mock, client } = useMemo(createBackend, [])
+  const outbox = useMemo(() => createRunOutbox(), [])
+  // 'checking' | 'online' | 'offline' | 'unavailable' (no backend configured)
+  const [status, setStatus] = useState(mode === 'none' ? 'unavailable' : 'checking')
+  const [health, setHealth] = useState(null)
+  const [pending, setPending] = useState(() => outbox.list().length)
+  // Bumped whenever stored records change, so lists know to refetch
+  const [version, setVersion] = useState(0)
+  const statusRef = useRef(status)
+
+  const setConnection = useCallback((next) => {
+    const previous = statusRef.current
+    statusRef.current = next
+    setStatus(next)
+    if (next === 'offline' && previous === 'online') {
+      toast({ tone: 'error', title: 'Backend unreachable', description: 'Working offline. Saved runs stay in this browser until it answers again.' })
+    }
+  }, [toast])
+
+  // Every call goes through here so any answer, or lack of one, updates the status
+  const track = useCallback((promise) => promise.then(
+    (result) => { setConnection('online'); return result },
+    (e) => { if (unreachable(e)) setConnection('offline'); throw e },
+  ), [setConnection])
+
+  const check = useCallback(async () => {
+    if (mode === 'none') return
+    if (statusRef.current !== 'online') setStatus('checking')
+    try {
+      setHealth(await track(client.health()))
+    } catch (e) {
+      setHealth(null)
+      if (!unreachable(e)) setConnection('offline')
+    }
+  }, [mode, client, track, setConnection])
+
+  // Uploads the outbox oldest first. Runs the backend refuses outright leave
+  // the outbox and are offered as a download; any other failure stops the
+  // upload until the next try, and is only announced when it is a new one.
+  const flushing = useRef(false)
+  const lastFlushError = useRef(null)
+  const flush = useCallback(async () => {
+    if (flushing.current) return
+    flushing.current = true
+    let uploaded = 0
+    const rejected = []
+    try {
+      for (const run of outbox.list()) {
+        try {
+          await track(client.saveRun(run))
+          uploaded++
+        } catch (e) {
+          if (!refused(e)) throw e
+          rejected.push({ run, error: e })
+        }
+        outbox.remove(run.id)
+      }
+      lastFlushError.current = null
+    } catch (e) {
+      if (!unreachable(e) && e.message !== lastFlushError.current) {
+        toast({ tone: 'error', title: 'A run saved offline could not be uploaded', description: `${e.message}\nIt stays in this browser and will be tried again.` })
+      }
+      if (!unreachable(e)) lastFlushError.current = e.message
+    } finally {
+      flushing.current = false
+      setPending(outbox.list().length)
+      if (uploaded) {
+        setVersion((v) => v + 1)
+        toast({ tone: 'success', title: `Uploaded ${uploaded} run${uploaded === 1 ? '' : 's'} saved offline` })
+      }
+      if (rejected.length) {
+        const runs = rejected.map((r) => r.run)
+        toast({
+          tone: 'error',
+          title: `The backend refused ${rejected.length} run${rejected.length === 1 ? '' : 's'} saved offline`,
+          description: `${rejected[0].error.message}\n${rejected.length === 1 ? 'It was' : 'They were'} taken out of the upload queue.`,
+          action: { label: 'Download', onClick: () => downloadJson(runs.length === 1 ? runs[0] : runs, runs.length === 1 ? `run-${runs[0].id}.json` : 'refused-runs.json') },
+        })
+      }
+    }
+  }, [client, outbox, track, toast])
+
+  useEffect(() => {
+    check()
+    const onOnline = () => check()
+    window.addEventListener('online', onOnline)
+    return () => window.removeEventListener('online', onOnline)
+  }, [check])
+
+  useEffect(() => {
+    if (status !== 'offline') return
+    const timer = setInterval(check, RECHECK_INTERVAL)
+    return () => clearInterval(timer)
+  }, [status, check])
+
+  useEffect(() => {
+    if (status === 'online' && pending > 0) flush()
+  }, [status, pending, flush])
+
+  // Saved runs, newest first; runs still in the outbox come first, flagged
+  // `pending`. Offline, only those are listed and `offline` is set.
+  const listRuns = useCallback(async (query) => {
+    const queued = outbox.list()
+      .filter((r) => !query?.scenario || r.scenario.id === query.scenario)
+      .reverse()
+      .map((r) => ({ ...runSummary(r), pending: true }))
+    try {
+      const runs = await track(client.listRuns(query))
+      return { runs: [...queued, ...runs.filter((r) => !queued.some((q) => q.id === r.id))], offline: false }
+    } catch (e) {
+      if (unreachable(e)) return { runs: queued, offline: true }
+      throw e
+    }
+  }, [client, outbox, track])
+
+  const getRun = useCallback((id) => {
+    const queued = outbox.list().find((r) => r.id === id)
+    return queued ? Promise.resolve(queued) : track(client.getRun(id))
+  }, [client, outbox, track])
+
+  // Resolves { run, queued }; when the backend is unreachable the run goes to
+  // the outbox (with no backend configured it just fails)
+  const saveRun = useCallback(async (run) => {
+    try {
+      await track(client.saveRun(run))
+      setVersion((v) => v + 1)
+      return { run, queued: false }
+    } catch (e) {
+      if (!unreachable(e)) throw e
+      outbox.put(run)
+      setPending(outbox.list().length)
+      setVersion((v) => v + 1)
+      return { run, queued: true }
+    }
+  }, [client, outbox, track])
+
+  const deleteRun = useCallback(async (id) => {
+    if (outbox.list().some((r) => r.id === id)) {
+      outbox.remove(id)
+      setPending(outbox.list().length)
+    } else {
+      await track(client.deleteRun(id))
+    }
+    setVersion((v) => v + 1)
+  }, [client, outbox, track])
+
+  const listScenarios = useCallback(() => track(client.listScenarios()), [client, track])
+  const getScenario = useCallback((id) => track(client.getScenario(id)), [client, track])
+
+  // Resolves the stored record; sharing needs the backend, so there is no outbox
+  const shareScenario = useCallback(async (scenario) => {
+    const shared = await track(client.shareScenario(createSharedScenario(scenario)))
+    setVersion((v) => v + 1)
+    return shared
+  }, [client, track])
+
+  return { mode, baseUrl, mock, status, health, pending, version, check, flush, listRuns, getRun, saveRun, deleteRun, listScenarios, getScenario, shareScenario }
+}
@@ -0,0 +1,52 @@
+import { useCallback, useState } from 'react'
+
+// How long consecutive edits with the same key merge into one undo step, so
+// dragging a slider or typing a word undoes in one go
+const COALESCE_MS = 700
+
+// Undo/redo over an immutable value. set(next, { key }) records a step;
+// edits sharing `key` within COALESCE_MS replace the last step instead.
+export default function useHistory(initial, { limit = 200 } = {}) {
+  const [history, setHistory] = useState({ past: [], present: initial, future: [], key: null, at: 0 })
+
+  const set = useCallback((next, { key = null } = {}) => {
+    setHistory((h) => {
+      const value = typeof next === 'function' ? next(h.present) : next
+      if (value === h.present) return h
+      const now = Date.now()
+      if (key !== null && key === h.key && now - h.at < COALESCE_MS) {
+        return { ...h, present: value, future: [], at: now }
+      }
+      return { past: [...h.past, h.present].slice(-limit), present: value, future: [], key, at: now }
+    })
+  }, [limit])
+
+  const undo = useCallback(() => {
+    setHistory((h) => {
+      if (h.past.length === 0) return h
+      return { past: h.past.slice(0, -1), present: h.past[h.past.length - 1], future: [h.present, ...h.future], key: null, at: 0 }
+    })
+  }, [])
+
+  const redo = useCallback(() => {
+    setHistory((h) => {
+      if (h.future.length === 0) return h
+      return { past: [...h.past, h.present], present: h.future[0], future: h.future.slice(1), key: null, at: 0 }
+    })
+  }, [])
+
+  // Start over from value with an empty history
+  const reset = useCallback((value) => {
+    setHistory({ past: [], present: value, future: [], key: null, at: 0 })
+  }, [])
+
+  return {
+    value: history.present,
+    set,
+    undo,
+    redo,
+    reset,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  }
+}
@@ -0,0 +1,19 @@
+import { createContext, useContext, useEffect, useRef } from 'react'
+
+// Plume probe for the current Canvas (see lib/plumeMetrics); null disables measuring
+export const PlumeProbeContext = createContext(null)
+
+export default function usePlumeProbe() {
+  return useContext(PlumeProbeContext)
+}
+
+// Register a particle layer under `key` while mounted; source() is read through a ref
+export function usePlumeSource(key, source) {
+  const probe = usePlumeProbe()
+  const sourceRef = useRef(source)
+  sourceRef.current = source
+  useEffect(() => {
+    if (!probe || !key) return
+    return probe.register(key, () => sourceRef.current())
+  }, [probe, key])
+}
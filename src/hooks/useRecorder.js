@@ -0,0 +1,20 @@
+import { createContext, useContext, useEffect, useRef } from 'react'
+
+// Recorder for the current Canvas (see lib/recorder); null disables recording
+export const RecorderContext = createContext(null)
+
+export default function useRecorder() {
+  return useContext(RecorderContext)
+}
+
+// Register a snapshot source under `key` while mounted. source() is read
+// through a ref, so it always sees the latest props.
+export function useRecordSource(key, source) {
+  const recorder = useRecorder()
+  const sourceRef = useRef(source)
+  sourceRef.current = source
+  useEffect(() => {
+    if (!recorder || !key) return
+    return recorder.register(key, () => sourceRef.current())
+  }, [recorder, key])
+}
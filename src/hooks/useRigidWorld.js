@@ -0,0 +1,27 @@
+import { createContext, useContext, useEffect } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { createBody } from '../lib/rigidWorld'
+import useSimClock from './useSimClock'
+
+// The Canvas's rigid-body world (lib/rigidWorld), or null outside one
+export const RigidWorldContext = createContext(null)
+
+export default function useRigidWorld() {
+  return useContext(RigidWorldContext)
+}
+
+// Keeps a static collider (a createBody description) in the world while
+// mounted; does nothing outside a rigid world
+export function useStaticBody(description) {
+  const world = useRigidWorld()
+  const key = JSON.stringify(description)
+  useEffect(() => (world ? world.add(createBody(JSON.parse(key))) : undefined), [world, key])
+}
+
+// Mount once inside the world's provider; steps it on the sim clock
+export function RigidWorldDriver() {
+  const world = useRigidWorld()
+  const clock = useSimClock()
+  useFrame(() => world.step(clock.delta))
+  return null
+}
@@ -0,0 +1,113 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import { fetchScenario, fetchScenarioIndex, parseScenario, stagePresetsFor, validateScenario } from '../lib/scenario'
+import { fetchQuiz } from '../lib/quiz'
+import useApi from './useApi'
+import useToast from './useToast'
+
+// Active scenario for the page: { scenario, stages, quiz, index, status, error, source, loadFile, applyScenario, reload }
+export const ScenarioContext = createContext(null)
+
+export default function useScenario() {
+  return useContext(ScenarioContext)
+}
+
+// Loads the scenario list from /public and the scenario named by `id`; a
+// dropped file replaces it until `id` changes again. A failed load keeps the
+// previous scenario on screen and only reports the error. `sharedId` loads a
+// shared scenario from the backend instead; if that fails (say, offline) a
+// toast says so and the indexed one is shown.
+export function useScenarioLoader(id, sharedId = null) {
+  const { getScenario } = useApi()
+  const toast = useToast()
+  const [index, setIndex] = useState([])
+  const [state, setState] = useState({ scenario: null, status: 'loading', error: null, source: null })
+  const [reloads, setReloads] = useState(0)
+  // Shared id whose load failed, so the indexed scenario takes over
+  const [sharedFailed, setSharedFailed] = useState(null)
+  const useShared = !!sharedId && sharedFailed !== sharedId
+
+  useEffect(() => {
+    if (!sharedId) return
+    let cancelled = false
+    setState((s) => ({ ...s, status: 'loading', error: null }))
+    getScenario(sharedId)
+      .then((shared) => {
+        if (cancelled) return
+        setState({ scenario: validateScenario(shared.scenario), status: 'ready', error: null, source: { type: 'shared', id: sharedId } })
+      })
+      .catch((e) => {
+        if (cancelled) return
+        toast({ tone: 'error', title: 'Could not load the shared scenario', description: `${e.message}\nShowing the listed scenario instead.` })
+        setSharedFailed(sharedId)
+      })
+    return () => { cancelled = true }
+  }, [sharedId, reloads, getScenario, toast])
+
+  useEffect(() => {
+    let cancelled = false
+    fetchScenarioIndex()
+      .then((list) => { if (!cancelled) setIndex(list) })
+      .catch((e) => { if (!cancelled) setState((s) => ({ ...s, status: s.scenario ? 'ready' : 'error', error: e })) })
+    return () => { cancelled = true }
+  }, [])
+
+  const entry = index.find((s) => s.id === id)
+  const url = entry ? `${import.meta.env.BASE_URL}scenarios/${entry.file}` : null
+
+  useEffect(() => {
+    if (index.length === 0 || useShared) return
+    if (!url) {
+      setState((s) => ({ ...s, status: s.scenario ? 'ready' : 'error', error: new Error(`No scenario named "${id}" in /scenarios/index.json`) }))
+      return
+    }
+    let cancelled = false
+    setState((s) => ({ ...s, status: 'loading', error: null }))
+    fetchScenario(url)
+      .then((scenario) => { if (!cancelled) setState({ scenario, status: 'ready', error: null, source: { type: 'url', url } }) })
+      .catch((e) => { if (!cancelled) setState((s) => ({ ...s, status: s.scenario ? 'ready' : 'error', error: e })) })
+    return () => { cancelled = true }
+  }, [index, url, id, reloads, useShared])
+
+  const loadFile = useCallback(async (file) => {
+    try {
+      const scenario = parseScenario(await file.text(), file.name)
+      setState({ scenario, status: 'ready', error: null, source: { type: 'file', name: file.name } })
+    } catch (e) {
+      setState((s) => ({ ...s, error: e }))
+    }
+  }, [])
+
+  // Show an already-validated scenario, e.g. a live edit from the preset editor
+  const applyScenario = useCallback((scenario, source) => {
+    setState({ scenario, status: 'ready', error: null, source })
+  }, [])
+
+  const reload = useCallback(() => setReloads((n) => n + 1), [])
+
+  const dismissError = useCallback(() => setState((s) => ({ ...s, error: null })), [])
+
+  const stages = useMemo(() => (state.scenario ? stagePresetsFor(state.scenario) : []), [state.scenario])
+
+  // Quiz listed next to the scenario in the index (see lib/quiz). Questions
+  // whose stage the scenario on screen doesn't have (a dropped file, an edit)
+  // are left out.
+  const quizUrl = entry?.quiz ? `${import.meta.env.BASE_URL}quizzes/${entry.quiz}` : null
+  const [quizData, setQuizData] = useState(null)
+  useEffect(() => {
+    setQuizData(null)
+    if (!quizUrl) return
+    let cancelled = false
+    fetchQuiz(quizUrl)
+      .then((quiz) => { if (!cancelled) setQuizData(quiz) })
+      .catch((e) => { if (!cancelled) setState((s) => ({ ...s, error: e })) })
+    return () => { cancelled = true }
+  }, [quizUrl])
+  const quiz = useMemo(() => {
+    if (!quizData || stages.length === 0) return null
+    const ids = new Set(stages.map((s) => s.id))
+    const questions = quizData.questions.filter((q) => ids.has(q.stage))
+    return questions.length ? { ...quizData, questions } : null
+  }, [quizData, stages])
+
+  return { ...state, stages, quiz, index, loadFile, applyScenario, reload, dismissError }
+}
@@ -0,0 +1,44 @@
+import { createContext, useContext } from 'react'
+import { useFrame } from '@react-three/fiber'
+
+// Playback clock shared by everything that advances simulated time. It is a
+// mutable object read inside useFrame, so pausing or changing speed never
+// re-renders the scene. SimClockDriver advances it once per rendered frame
+// and every consumer reads the same `delta`.
+export function createSimClock() {
+  return {
+    paused: false,
+    speed: 1,
+    // Simulated seconds elapsed this frame / in total
+    delta: 0,
+    time: 0,
+    // One-shot advance while paused (frame stepping)
+    pendingStep: 0,
+    advance(renderDelta) {
+      if (this.paused) {
+        this.delta = this.pendingStep
+        this.pendingStep = 0
+      } else {
+        this.delta = renderDelta * this.speed
+      }
+      this.time += this.delta
+      return this.delta
+    },
+    step(seconds) {
+      this.pendingStep += seconds
+    },
+  }
+}
+
+export const SimClockContext = createContext(createSimClock())
+
+export default function useSimClock() {
+  return useContext(SimClockContext)
+}
+
+// Mount once per Canvas; negative priority runs before every other useFrame
+export function SimClockDriver() {
+  const clock = useSimClock()
+  useFrame((_, delta) => { clock.advance(delta) }, -1)
+  return null
+}
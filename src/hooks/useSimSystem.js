@@ -0,0 +1,62 @@
+import { useEffect, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { createSimSystem } from '../lib/simClient'
+import { getSimKind } from '../lib/simKinds'
+import useSimClock from './useSimClock'
+
+// Owns one simulation system on the chosen backend ('worker' or 'main').
+// launchParams re-launch the system when they change; forceParams are pushed
+// to particles already in flight. onFrame(system, { launched }) runs after
+// the system produced new data so the caller can flag its GPU uploads.
+export default function useSimSystem(kind, launchParams, forceParams, { backend = 'worker', onFrame } = {}) {
+  const count = getSimKind(kind).countFor(launchParams)
+  const launchKey = JSON.stringify(launchParams)
+  const forceKey = JSON.stringify(forceParams)
+
+  const [system, setSystem] = useState(null)
+  // Latest params, read by the effects below when their key changes
+  const params = useRef({ launchParams, forceParams })
+  params.current = { launchParams, forceParams }
+
+  // Buffers are sized by count, so a new count (or backend) means a new system.
+  // Created in an effect so the worker handle is always paired with its dispose.
+  useEffect(() => {
+    const { launchParams: launch, forceParams: force } = params.current
+    const s = createSimSystem(kind, { ...launch, ...force }, backend)
+    s.launchKey = JSON.stringify(launch)
+    s.forceKey = JSON.stringify(force)
+    setSystem(s)
+    return () => s.dispose()
+  }, [kind, count, backend])
+
+  // A system of the wrong size is about to be replaced; don't relaunch it
+  const current = system && system.count === count ? system : null
+  useEffect(() => {
+    if (!current || current.launchKey === launchKey) return
+    current.launchKey = launchKey
+    current.reinit(params.current.launchParams)
+  }, [current, launchKey])
+  useEffect(() => {
+    if (!current || current.forceKey === forceKey) return
+    current.forceKey = forceKey
+    current.setParams(params.current.forceParams)
+  }, [current, forceKey])
+
+  const clock = useSimClock()
+  const seen = useRef({ system: null, version: -1, launchVersion: -1 })
+  const frameRef = useRef(onFrame)
+  frameRef.current = onFrame
+
+  useFrame(() => {
+    if (!system) return
+    system.advance(clock.delta, clock.time)
+    const last = seen.current
+    if (last.system === system && last.version === system.version && last.launchVersion === system.launchVersion) return
+    const launched = last.system !== system || last.launchVersion !== system.launchVersion
+    seen.current = { system, version: system.version, launchVersion: system.launchVersion }
+    if (frameRef.current) frameRef.current(system, { launched })
+  })
+
+  // null until the first system has been created
+  return system
+}
@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react'
+
+// toast({ title, description?, tone?: 'info' | 'success' | 'error', action?: { label, onClick } }),
+// provided by components/Toaster
+export const ToastContext = createContext(() => {})
+
+export default function useToast() {
+  return useContext(ToastContext)
+}
@@ -0,0 +1,19 @@
+import { useCallback } from 'react'
+import { useSearchParams } from 'react-router-dom'
+
+// Search params plus an updater that edits a copy of the current params, so
+// several components can each own their keys without clobbering the others.
+// Pass { push: true } for changes that should get their own history entry.
+export default function useUrlState() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const update = useCallback((mutate, { push = false } = {}) => {
+    // Start from the live location: the hook's own snapshot is stale when two
+    // components update in the same tick
+    const current = new URLSearchParams(window.location.search)
+    const next = new URLSearchParams(current)
+    mutate(next)
+    if (next.toString() === current.toString()) return
+    setSearchParams(next, { replace: !push })
+  }, [setSearchParams])
+  return [searchParams, update]
+}
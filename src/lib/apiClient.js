@@ -0,0 +1,156 @@
+// Client for the optional backend that stores simulation runs and shared
+// scenarios. Every call has a timeout, retries transient failures with
+// exponential backoff and rejects with an ApiError whose `kind` says what went
+// wrong, so the UI can tell "server said no" from "server unreachable".
+//
+// REST contract (JSON bodies, paths relative to the backend URL):
+//
+//   GET    /api/health               -> { status: 'ok', version, database: { status, name } }
+//   GET    /api/runs?scenario=<id>   -> { runs: RunSummary[] }, newest first
+//   GET    /api/runs/:id             -> Run
+//   PUT    /api/runs/:id             Run -> Run (create or replace)
+//   DELETE /api/runs/:id             -> 204
+//   GET    /api/scenarios            -> { scenarios: SharedScenarioSummary[] }, newest first
+//   GET    /api/scenarios/:id        -> SharedScenario
+//   PUT    /api/scenarios/:id        SharedScenario -> SharedScenario
+//
+// Ids are made by the client, so writes are PUTs and safe to retry. Errors
+// answer with a 4xx/5xx status and { error: message }. See lib/runs for the
+// Run record; a SharedScenario is { id, title, createdAt, scenario } where
+// `scenario` is a scenario file (lib/scenario). Summaries drop `samples` and
+// `scenario` respectively.
+
+/**
+ * @typedef {'offline' | 'timeout' | 'http' | 'invalid' | 'unavailable'} ApiErrorKind
+ *   'unavailable': the build has no backend configured (see hooks/useApi)
+ *
+ * @typedef {object} ApiClientOptions
+ * @property {string} baseUrl Backend origin, without the /api prefix
+ * @property {typeof fetch} [fetch] fetch or a stand-in (see lib/mockBackend)
+ * @property {number} [timeout] Milliseconds before one attempt is abandoned
+ * @property {number} [retries] Extra attempts after a transient failure
+ * @property {number} [backoff] Delay before the first retry in ms; doubles each time
+ */
+
+export const API_PREFIX = '/api'
+
+const DEFAULT_TIMEOUT = 8000
+const DEFAULT_RETRIES = 2
+const DEFAULT_BACKOFF = 400
+// Longest Retry-After the client will honour before giving up on a retry
+const MAX_RETRY_AFTER = 10000
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ kind: ApiErrorKind, status?: number, cause?: unknown }} details
+   */
+  constructor(message, { kind, status = null, cause } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.kind = kind
+    this.status = status
+    if (cause !== undefined) this.cause = cause
+  }
+
+  // Network loss, timeouts, rate limits and server errors may pass on their own
+  get retryable() {
+    return this.kind === 'offline' || this.kind === 'timeout' || this.status === 429 || (this.status !== null && this.status >= 500)
+  }
+
+  // The backend could not be reached at all (as opposed to answering with an error)
+  get unreachable() {
+    return this.kind === 'offline' || this.kind === 'timeout'
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+function retryDelay(error, attempt, backoff) {
+  const header = error.retryAfter
+  if (header != null) {
+    const seconds = Number(header)
+    if (Number.isFinite(seconds)) return Math.min(MAX_RETRY_AFTER, seconds * 1000)
+  }
+  return backoff * 2 ** attempt
+}
+
+/**
+ * @param {ApiClientOptions} options
+ */
+export function createApiClient({ baseUrl, fetch: fetchImpl = globalThis.fetch, timeout = DEFAULT_TIMEOUT, retries = DEFAULT_RETRIES, backoff = DEFAULT_BACKOFF }) {
+  const root = `${baseUrl.replace(/\/+$/, '')}${API_PREFIX}`
+
+  // One attempt: resolves with the parsed body (null for 204), rejects with ApiError
+  async function attempt(method, path, body) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeout)
+    let res
+    try {
+      res = await fetchImpl(`${root}${path}`, {
+        method,
+        headers: body === undefined ? { Accept: 'application/json' } : { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal,
+      })
+    } catch (e) {
+      if (controller.signal.aborted) throw new ApiError(`${method} ${path} timed out after ${timeout / 1000} s`, { kind: 'timeout', cause: e })
+      throw new ApiError(`Backend unreachable (${e.message})`, { kind: 'offline', cause: e })
+    } finally {
+      clearTimeout(timer)
+    }
+
+    if (res.status === 204) return null
+    let data = null
+    const text = await res.text()
+    if (text) {
+      try {
+        data = JSON.parse(text)
+      } catch (e) {
+        if (res.ok) throw new ApiError(`${method} ${path} answered with invalid JSON`, { kind: 'invalid', status: res.status, cause: e })
+      }
+    }
+    if (!res.ok) {
+      const reason = data && typeof data.error === 'string' ? data.error : res.statusText || 'request failed'
+      const error = new ApiError(`${method} ${path} failed (${res.status} ${reason})`, { kind: 'http', status: res.status })
+      error.retryAfter = res.headers?.get?.('Retry-After') ?? null
+      throw error
+    }
+    return data
+  }
+
+  async function request(method, path, body) {
+    for (let i = 0; ; i++) {
+      try {
+        return await attempt(method, path, body)
+      } catch (e) {
+        if (!(e instanceof ApiError) || !e.retryable || i >= retries) throw e
+        await wait(retryDelay(e, i, backoff))
+      }
+    }
+  }
+
+  // Rejects answers that don't have the shape the contract promises
+  const expect = (path, ok) => (data) => {
+    if (!ok(data)) throw new ApiError(`${path} answered with an unexpected body`, { kind: 'invalid' })
+    return data
+  }
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+  const enc = encodeURIComponent
+
+  return {
+    baseUrl,
+    health: () => request('GET', '/health').then(expect('/health', (d) => isObject(d) && typeof d.status === 'string')),
+    listRuns: ({ scenario } = {}) => request('GET', scenario ? `/runs?scenario=${enc(scenario)}` : '/runs')
+      .then(expect('/runs', (d) => isObject(d) && Array.isArray(d.runs)))
+      .then((d) => d.runs),
+    getRun: (id) => request('GET', `/runs/${enc(id)}`).then(expect('/runs/:id', isObject)),
+    saveRun: (run) => request('PUT', `/runs/${enc(run.id)}`, run).then(expect('/runs/:id', isObject)),
+    deleteRun: (id) => request('DELETE', `/runs/${enc(id)}`),
+    listScenarios: () => request('GET', '/scenarios')
+      .then(expect('/scenarios', (d) => isObject(d) && Array.isArray(d.scenarios)))
+      .then((d) => d.scenarios),
+    getScenario: (id) => request('GET', `/scenarios/${enc(id)}`).then(expect('/scenarios/:id', (d) => isObject(d) && isObject(d.scenario))),
+    shareScenario: (shared) => request('PUT', `/scenarios/${enc(shared.id)}`, shared).then(expect('/scenarios/:id', isObject)),
+  }
+}
@@ -0,0 +1,151 @@
+// Air blast from a surface burst, in the TNT-equivalent scaled-distance form
+// (Z = R / W^1/3): peak overpressure from the Kinney–Graham fit, front speed
+// from the Rankine–Hugoniot shock relations and the positive phase as a
+// Friedlander pulse. Inputs and outputs are scene units and simulated seconds,
+// at the scene's SCENE_METERS_PER_UNIT (lib/unit4). Distances from the burst
+// are measured across the ground: the front sweeps out as a ring.
+import { SCENE_METERS_PER_UNIT } from './unit4.js'
+
+export const AMBIENT_PRESSURE = 101.325 // kPa
+export const SOUND_SPEED = 343 // m/s
+const GAMMA = 1.4
+
+// TNT equivalent per unit of stage blastEnergy; the 1986 steam explosion is
+// usually put at a few tonnes
+export const TNT_KG_PER_ENERGY = 250
+// Centre of the burst, at the top of the core; only its x and z place the front
+export const BLAST_ORIGIN = [0, 0.6, 0]
+// The front is dropped once it is weaker than this (or leaves the site)
+export const BLAST_FADE_KPA = 1
+const MAX_RADIUS = 60
+const TABLE_STEP = 0.05
+
+// Peak overpressure thresholds for common structural damage, kPa
+export const BLAST_DAMAGE_TIERS = [
+  { kPa: 3.5, label: 'Windows broken', color: '#a3e635' },
+  { kPa: 7, label: 'Light damage', color: '#facc15' },
+  { kPa: 17, label: 'Moderate damage', color: '#fb923c' },
+  { kPa: 35, label: 'Severe damage', color: '#f87171' },
+  { kPa: 70, label: 'Destroyed', color: '#e11d48' },
+]
+
+export const tntFor = (blastEnergy) => Math.max(0, blastEnergy) * TNT_KG_PER_ENERGY
+
+// Index into BLAST_DAMAGE_TIERS, or -1 below the first threshold
+export function damageTier(kPa) {
+  let tier = -1
+  BLAST_DAMAGE_TIERS.forEach((t, i) => { if (kPa >= t.kPa) tier = i })
+  return tier
+}
+
+// Z in m/kg^1/3
+export function peakOverpressure(z) {
+  const a = z / 4.5, b = z / 0.048, c = z / 0.32, d = z / 1.35
+  return AMBIENT_PRESSURE * 808 * (1 + a * a) / Math.sqrt((1 + b * b) * (1 + c * c) * (1 + d * d))
+}
+
+// Shock front speed for a peak overpressure, m/s
+export function frontSpeed(kPa) {
+  return SOUND_SPEED * Math.sqrt(1 + ((GAMMA + 1) / (2 * GAMMA)) * (kPa / AMBIENT_PRESSURE))
+}
+
+// Air speed just behind the front (what pushes loose material), m/s
+export function flowSpeed(kPa) {
+  const ratio = kPa / AMBIENT_PRESSURE
+  return (SOUND_SPEED / GAMMA) * ratio / Math.sqrt(1 + ((GAMMA + 1) / (2 * GAMMA)) * ratio)
+}
+
+// One blast of `tnt` kg. Arrival times are integrated once along the radius
+// (dt = dR / U) so the front slows to sound speed as it weakens.
+export function createBlastWave(tnt, { metersPerUnit = SCENE_METERS_PER_UNIT } = {}) {
+  const cube = Math.cbrt(Math.max(tnt, 1e-6))
+  const overpressureAt = (r) => peakOverpressure(Math.max(r, 1e-3) * metersPerUnit / cube)
+
+  const arrivals = [0]
+  let maxRadius = MAX_RADIUS
+  for (let i = 1; i * TABLE_STEP <= MAX_RADIUS; i++) {
+    const mid = (i - 0.5) * TABLE_STEP
+    arrivals.push(arrivals[i - 1] + (TABLE_STEP * metersPerUnit) / frontSpeed(overpressureAt(mid)))
+    if (overpressureAt(i * TABLE_STEP) < BLAST_FADE_KPA) {
+      maxRadius = i * TABLE_STEP
+      break
+    }
+  }
+  const duration = arrivals[arrivals.length - 1]
+
+  const wave = {
+    tnt,
+    maxRadius,
+    duration,
+    overpressureAt,
+    // Scene units per second
+    flowSpeedAt: (r) => flowSpeed(overpressureAt(r)) / metersPerUnit,
+    arrivalAt(r) {
+      if (r >= maxRadius) return Infinity
+      const f = r / TABLE_STEP
+      const i = Math.floor(f)
+      return arrivals[i] + (arrivals[i + 1] - arrivals[i]) * (f - i)
+    },
+    radiusAt(t) {
+      if (t <= 0) return 0
+      if (t >= duration) return maxRadius
+      let lo = 0, hi = arrivals.length - 1
+      while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1
+        if (arrivals[mid] <= t) lo = mid
+        else hi = mid
+      }
+      return (lo + (t - arrivals[lo]) / (arrivals[hi] - arrivals[lo])) * TABLE_STEP
+    },
+    // Overpressure at r, t seconds after the burst (negative in the suction phase)
+    pressureAt(r, t) {
+      const ta = wave.arrivalAt(r)
+      if (!(t >= ta)) return 0
+      const z = Math.max(r, 1e-3) * metersPerUnit / cube
+      // Positive phase length, a rough fit to Kingery–Bulmash for 1 < Z < 20
+      const td = 1.3e-3 * cube * Math.sqrt(z)
+      const tau = (t - ta) / td
+      return overpressureAt(r) * (1 - tau) * Math.exp(-tau)
+    },
+  }
+  return wave
+}
+
+// The latest blast in a scene, shared by the ring, the rigid bodies it pushes
+// and the damage readout. `targets` ({ id, label, distance } in scene units)
+// record the peak overpressure and damage tier as the front reaches them.
+// `id` changes on every trigger so listeners push each body once per blast.
+export function createBlastFront(targets = []) {
+  const fresh = () => targets.map((t) => ({ ...t, peak: 0, tier: -1, reached: false }))
+  const front = { id: 0, time: 0, wave: null, targets: fresh(), version: 0 }
+
+  front.trigger = (time, tnt) => {
+    front.id++
+    front.time = time
+    front.wave = tnt > 0 ? createBlastWave(tnt) : null
+    front.targets = fresh()
+    front.version++
+  }
+
+  // Seconds since the burst, or null while no front is travelling
+  front.elapsed = (time) => {
+    if (!front.wave) return null
+    const t = time - front.time
+    return t >= 0 && t <= front.wave.duration ? t : null
+  }
+
+  front.update = (time) => {
+    const t = front.elapsed(time)
+    if (t === null) return
+    const radius = front.wave.radiusAt(t)
+    for (const target of front.targets) {
+      if (target.reached || target.distance > radius) continue
+      target.reached = true
+      target.peak = front.wave.overpressureAt(target.distance)
+      target.tier = damageTier(target.peak)
+      front.version++
+    }
+  }
+
+  return front
+}
@@ -0,0 +1,49 @@
+// Scripted camera moves for offline export. Each path maps normalized progress
+// t in [0, 1] to a camera position and look-at target.
+
+const TARGET = [0, 0.8, 0]
+
+const lerp = (a, b, t) => a + (b - a) * t
+// Smoothstep easing so moves start and end at rest
+const ease = (t) => t * t * (3 - 2 * t)
+
+export const CAMERA_PATHS = {
+  // Matches the interactive default view
+  static: {
+    label: 'Static (default view)',
+    at: (t, pos, target) => {
+      pos.set(6, 4, 8)
+      target.set(...TARGET)
+    },
+  },
+  orbit: {
+    label: 'Orbit',
+    at: (t, pos, target) => {
+      const a = Math.atan2(8, 6) + t * Math.PI * 2
+      pos.set(Math.cos(a) * 10, 4.5, Math.sin(a) * 10)
+      target.set(...TARGET)
+    },
+  },
+  dolly: {
+    label: 'Dolly in',
+    at: (t, pos, target) => {
+      const k = lerp(2.2, 0.9, ease(t))
+      pos.set(6 * k, 4 * k, 8 * k)
+      target.set(...TARGET)
+    },
+  },
+  // Follows the plume downwind (+x) while rising
+  flyover: {
+    label: 'Plume flyover',
+    at: (t, pos, target) => {
+      const k = ease(t)
+      pos.set(lerp(-6, 18, k), lerp(3, 14, k), lerp(10, 6, k))
+      target.set(lerp(0, 10, k), lerp(0.8, 5, k), 0)
+    },
+  },
+}
+
+export function cameraPathAt(name, t, pos, target) {
+  const path = CAMERA_PATHS[name] || CAMERA_PATHS.static
+  path.at(Math.min(1, Math.max(0, t)), pos, target)
+}
@@ -0,0 +1,5 @@
+// Camera pose shared between Canvases; whichever side was moved last publishes
+// and the others follow on their next frame (see components/CameraSyncDriver)
+export function createCameraSync({ position, target }) {
+  return { position: [...position], target: [...target], version: 0, source: null }
+}
@@ -0,0 +1,7 @@
+// Collision filter groups for the scene's cannon bodies. Anything left on the
+// default group (1) counts as ground.
+export const COLLISION_GROUPS = {
+  ground: 1,
+  building: 2,
+  debris: 4,
+}
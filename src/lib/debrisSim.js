@@ -0,0 +1,102 @@
+// Headless debris model: ballistic fragments with a damped ground bounce.
+// State lives in flat typed arrays (xyz per fragment) so it can be stepped anywhere.
+import { createRng } from './random.js'
+import { GRAVITY } from './particleSim.js'
+
+// Fragment count ejected by a stage; only the energetic stages throw debris
+export function debrisCountFor(stage) {
+  return stage >= 3 ? 160 : stage === 2 ? 90 : 0
+}
+
+// sources: optional [{ position: [x, y, z], size }] pieces that break away from
+// a structure (e.g. roof sections); fragment i < sources.length starts there,
+// sized to match, and is thrown outward from the core instead of from it
+export function createDebrisSim({ stage = 0, energy = 10, seed = 0, count = debrisCountFor(stage), sources = [] } = {}) {
+  const sim = {
+    count,
+    stage,
+    energy,
+    seed,
+    sources,
+    positions: new Float32Array(count * 3),
+    velocities: new Float32Array(count * 3),
+    rotations: new Float32Array(count * 3),
+    spins: new Float32Array(count * 3),
+    scales: new Float32Array(count),
+  }
+
+  sim.reinit = () => {
+    const { positions, velocities, rotations, spins, scales } = sim
+    const rng = createRng(sim.seed)
+    const up = sim.stage === 3 ? 1.0 : 0.6
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3
+      let dx = rng() - 0.5, dy = rng() * up, dz = rng() - 0.5
+      const dl = Math.hypot(dx, dy, dz) || 1
+      dx /= dl; dy /= dl; dz /= dl
+      const v = (sim.energy * (0.7 + rng()*0.9)) * (0.5 + rng())
+      velocities[i3] = dx * v
+      velocities[i3 + 1] = dy * v
+      velocities[i3 + 2] = dz * v
+      positions[i3] = 0
+      positions[i3 + 1] = 0.6
+      positions[i3 + 2] = 0
+      rotations[i3] = rng() * Math.PI
+      rotations[i3 + 1] = rng() * Math.PI
+      rotations[i3 + 2] = rng() * Math.PI
+      scales[i] = 0.05 + rng() * 0.18
+      spins[i3] = rng()*2-1
+      spins[i3 + 1] = rng()*2-1
+      spins[i3 + 2] = rng()*2-1
+
+      const source = sim.sources[i]
+      if (source) {
+        const [sx, sy, sz] = source.position
+        let ox = sx, oz = sz
+        const ol = Math.hypot(ox, oz) || 1
+        ox /= ol; oz /= ol
+        // Heavy slabs: mostly lifted, with a smaller outward push
+        const lift = v * 0.45
+        velocities[i3] = (ox * 0.5 + dx * 0.3) * lift
+        velocities[i3 + 1] = (0.8 + Math.abs(dy) * 0.4) * lift
+        velocities[i3 + 2] = (oz * 0.5 + dz * 0.3) * lift
+        positions[i3] = sx
+        positions[i3 + 1] = sy
+        positions[i3 + 2] = sz
+        rotations[i3] = 0
+        rotations[i3 + 1] = 0
+        rotations[i3 + 2] = 0
+        scales[i] = source.size
+        spins[i3] *= 0.6
+        spins[i3 + 2] *= 0.6
+      }
+    }
+    return sim
+  }
+
+  sim.step = (dt) => {
+    const { positions, velocities, rotations, spins } = sim
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3
+      velocities[i3 + 1] -= GRAVITY * dt
+      positions[i3] += velocities[i3] * dt
+      positions[i3 + 1] += velocities[i3 + 1] * dt
+      positions[i3 + 2] += velocities[i3 + 2] * dt
+      rotations[i3] += spins[i3] * dt
+      rotations[i3 + 1] += spins[i3 + 1] * dt
+      rotations[i3 + 2] += spins[i3 + 2] * dt
+      if (positions[i3 + 1] < 0) {
+        positions[i3 + 1] = 0
+        velocities[i3 + 1] *= -0.28
+        velocities[i3] *= 0.65
+        velocities[i3 + 2] *= 0.65
+        spins[i3] *= 0.9
+        spins[i3 + 1] *= 0.9
+        spins[i3 + 2] *= 0.9
+      }
+    }
+    return sim
+  }
+
+  return sim.reinit()
+}
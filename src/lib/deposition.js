@@ -0,0 +1,105 @@
+// Ground fallout accumulator: a square grid over the ground plane that sums the
+// mass of particles landing in each cell, plus the colormap used to draw it.
+
+// Colormap stops (t, [r, g, b]); dark purple through orange to pale yellow
+export const DEPOSITION_STOPS = [
+  [0.0, [30, 12, 70]],
+  [0.25, [110, 25, 110]],
+  [0.5, [200, 60, 80]],
+  [0.75, [245, 140, 40]],
+  [1.0, [252, 240, 160]],
+]
+
+export function heatColor(t, out = [0, 0, 0]) {
+  const x = Math.min(1, Math.max(0, t))
+  for (let i = 1; i < DEPOSITION_STOPS.length; i++) {
+    const [t1, c1] = DEPOSITION_STOPS[i]
+    if (x <= t1) {
+      const [t0, c0] = DEPOSITION_STOPS[i - 1]
+      const k = (x - t0) / (t1 - t0)
+      out[0] = c0[0] + (c1[0] - c0[0]) * k
+      out[1] = c0[1] + (c1[1] - c0[1]) * k
+      out[2] = c0[2] + (c1[2] - c0[2]) * k
+      return out
+    }
+  }
+  return out
+}
+
+// CSS gradient matching heatColor, for legends
+export function depositionGradientCss(direction = 'to right') {
+  const stops = DEPOSITION_STOPS.map(([t, [r, g, b]]) => `rgb(${r}, ${g}, ${b}) ${t * 100}%`)
+  return `linear-gradient(${direction}, ${stops.join(', ')})`
+}
+
+// resolution cells per side covering an extent x extent square centred on the reactor
+export function createDepositionGrid({ resolution = 128, extent = 60 } = {}) {
+  const cells = new Float32Array(resolution * resolution)
+  const cell = extent / resolution
+  const half = extent / 2
+  const grid = {
+    resolution,
+    extent,
+    cells,
+    total: 0,
+    max: 0,
+    // Bumped on every change so renderers can skip redundant uploads
+    version: 0,
+  }
+
+  grid.indexOf = (x, z) => {
+    const ix = Math.floor((x + half) / cell)
+    const iz = Math.floor((z + half) / cell)
+    if (ix < 0 || iz < 0 || ix >= resolution || iz >= resolution) return -1
+    return iz * resolution + ix
+  }
+
+  // xz: flat [x, z, ...] landing positions; each one adds mass
+  grid.deposit = (xz, mass = 1) => {
+    if (!xz || xz.length === 0 || mass <= 0) return
+    for (let i = 0; i < xz.length; i += 2) {
+      const idx = grid.indexOf(xz[i], xz[i + 1])
+      grid.total += mass
+      if (idx < 0) continue
+      const v = cells[idx] + mass
+      cells[idx] = v
+      if (v > grid.max) grid.max = v
+    }
+    grid.version++
+  }
+
+  grid.valueAt = (x, z) => {
+    const idx = grid.indexOf(x, z)
+    return idx < 0 ? 0 : cells[idx]
+  }
+
+  grid.reset = () => {
+    cells.fill(0)
+    grid.total = 0
+    grid.max = 0
+    grid.version++
+  }
+
+  // Fill an RGBA byte buffer (row 0 = -z edge) with log-scaled colors; empty cells stay transparent
+  grid.writeRGBA = (rgba) => {
+    const norm = grid.max > 0 ? 1 / Math.log1p(grid.max) : 0
+    const color = [0, 0, 0]
+    for (let i = 0; i < cells.length; i++) {
+      const v = cells[i]
+      const o = i * 4
+      if (v <= 0) {
+        rgba[o + 3] = 0
+        continue
+      }
+      const t = Math.log1p(v) * norm
+      heatColor(t, color)
+      rgba[o] = color[0]
+      rgba[o + 1] = color[1]
+      rgba[o + 2] = color[2]
+      rgba[o + 3] = 90 + 140 * t
+    }
+    return rgba
+  }
+
+  return grid
+}
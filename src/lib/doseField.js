@@ -0,0 +1,131 @@
+// Ground activity left by fallout, per isotope, decaying as incident days pass,
+// plus a rough ground-level dose-rate field: dose-weighted activity spread over
+// a few cells with a Gaussian as a stand-in for gamma reach. Units are
+// arbitrary and the model is illustrative only.
+import { ISOTOPES, decayConstant } from './isotopes.js'
+import { isolineSegments } from './isolines.js'
+
+// Fixed levels (arbitrary units), so isolines shrink as the ground decays
+export const DOSE_LEVELS = [0.1, 0.3, 1, 3, 10, 30, 100]
+export const DOSE_LEVEL_COLORS = ['#4ade80', '#a3e635', '#facc15', '#fb923c', '#f87171', '#e11d48', '#c026d3']
+
+// resolution cells per side covering an extent x extent square centred on the reactor
+export function createActivityGrid({ resolution = 64, extent = 60, spread = 1.5 } = {}) {
+  const size = resolution * resolution
+  const cell = extent / resolution
+  const half = extent / 2
+  const scratch = new Float32Array(size)
+  const radius = Math.ceil(spread * 2.5)
+  const kernel = []
+  let kernelSum = 0
+  for (let k = -radius; k <= radius; k++) {
+    const w = Math.exp(-(k * k) / (2 * spread * spread))
+    kernel.push(w)
+    kernelSum += w
+  }
+  for (let k = 0; k < kernel.length; k++) kernel[k] /= kernelSum
+
+  const grid = {
+    resolution,
+    extent,
+    activity: ISOTOPES.map(() => new Float32Array(size)),
+    dose: new Float32Array(size),
+    // Total activity per isotope, including landings outside the grid
+    totals: ISOTOPES.map(() => 0),
+    // Incident days elapsed since the last reset
+    days: 0,
+    maxDose: 0,
+    // Bumped on every change so renderers can skip redundant work
+    version: 0,
+    doseVersion: -1,
+  }
+
+  grid.indexOf = (x, z) => {
+    const ix = Math.floor((x + half) / cell)
+    const iz = Math.floor((z + half) / cell)
+    if (ix < 0 || iz < 0 || ix >= resolution || iz >= resolution) return -1
+    return iz * resolution + ix
+  }
+
+  // xz: flat [x, z, ...] landing positions; each adds mass split by mix (ISOTOPES order)
+  grid.deposit = (xz, mass, mix) => {
+    if (!xz || xz.length === 0 || mass <= 0) return
+    for (let i = 0; i < xz.length; i += 2) {
+      const idx = grid.indexOf(xz[i], xz[i + 1])
+      for (let k = 0; k < ISOTOPES.length; k++) {
+        const a = mass * mix[k]
+        grid.totals[k] += a
+        if (idx >= 0) grid.activity[k][idx] += a
+      }
+    }
+    grid.version++
+  }
+
+  grid.decay = (days) => {
+    if (!(days > 0)) return
+    grid.days += days
+    ISOTOPES.forEach((isotope, k) => {
+      const f = Math.exp(-decayConstant(isotope) * days)
+      const cells = grid.activity[k]
+      for (let i = 0; i < size; i++) cells[i] *= f
+      grid.totals[k] *= f
+    })
+    grid.version++
+  }
+
+  // Recompute the dose-rate field if anything changed since the last call
+  grid.updateDose = () => {
+    if (grid.doseVersion === grid.version) return grid.dose
+    const { dose } = grid
+    dose.fill(0)
+    ISOTOPES.forEach((isotope, k) => {
+      const cells = grid.activity[k]
+      for (let i = 0; i < size; i++) dose[i] += cells[i] * isotope.doseWeight
+    })
+    // Separable blur: rows into scratch, then columns back into dose
+    for (let z = 0; z < resolution; z++) {
+      for (let x = 0; x < resolution; x++) {
+        let v = 0
+        for (let k = -radius; k <= radius; k++) {
+          const xx = x + k
+          if (xx >= 0 && xx < resolution) v += dose[z * resolution + xx] * kernel[k + radius]
+        }
+        scratch[z * resolution + x] = v
+      }
+    }
+    let max = 0
+    for (let z = 0; z < resolution; z++) {
+      for (let x = 0; x < resolution; x++) {
+        let v = 0
+        for (let k = -radius; k <= radius; k++) {
+          const zz = z + k
+          if (zz >= 0 && zz < resolution) v += scratch[zz * resolution + x] * kernel[k + radius]
+        }
+        dose[z * resolution + x] = v
+        if (v > max) max = v
+      }
+    }
+    grid.maxDose = max
+    grid.doseVersion = grid.version
+    return dose
+  }
+
+  // Isolines of the current dose field in world x/z: [{ level, segments: [x0, z0, x1, z1, ...] }]
+  grid.isolines = (levels = DOSE_LEVELS) => {
+    const dose = grid.updateDose()
+    return levels.filter((level) => level <= grid.maxDose).map((level) => {
+      const segments = isolineSegments(dose, resolution, level)
+      for (let i = 0; i < segments.length; i++) segments[i] = (segments[i] + 0.5) * cell - half
+      return { level, segments }
+    })
+  }
+
+  grid.reset = () => {
+    for (const cells of grid.activity) cells.fill(0)
+    grid.totals = ISOTOPES.map(() => 0)
+    grid.days = 0
+    grid.version++
+  }
+
+  return grid
+}
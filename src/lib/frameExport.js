@@ -0,0 +1,103 @@
+// Offline export: a frame plan over a stage range at a fixed timestep, and
+// sinks that turn rendered canvases into a zipped PNG sequence or a WebM.
+import { zipStore } from './zip.js'
+
+export const EXPORT_RESOLUTIONS = {
+  '720p': [1280, 720],
+  '1080p': [1920, 1080],
+  square: [1080, 1080],
+  '4k': [3840, 2160],
+}
+
+export const EXPORT_FORMATS = ['png', 'webm']
+
+// One entry per output frame: simulated time since export start and the stage
+// shown. Stages run back to back for secondsPerStage each.
+export function planExportFrames({ fromStage, toStage, secondsPerStage, fps }) {
+  const first = Math.min(fromStage, toStage)
+  const last = Math.max(fromStage, toStage)
+  const perStage = Math.max(1, Math.round(secondsPerStage * fps))
+  const frames = []
+  for (let stage = first; stage <= last; stage++) {
+    for (let i = 0; i < perStage; i++) {
+      const n = frames.length + 1
+      frames.push({ index: n - 1, time: n / fps, stage })
+    }
+  }
+  return frames
+}
+
+export function webmSupported() {
+  return typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement !== 'undefined' &&
+    'captureStream' in HTMLCanvasElement.prototype
+}
+
+function pickWebmType() {
+  const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+  return types.find((t) => MediaRecorder.isTypeSupported(t)) || ''
+}
+
+const canvasToBytes = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => {
+    if (!blob) { reject(new Error('Canvas could not be encoded as PNG')); return }
+    blob.arrayBuffer().then((buf) => resolve(new Uint8Array(buf)), reject)
+  }, 'image/png')
+})
+
+// Every frame is encoded as it is added; the zip is assembled in memory at the end
+export function createPngSequenceSink({ prefix = 'frame' } = {}) {
+  const files = []
+  return {
+    extension: 'zip',
+    async addFrame(canvas, index) {
+      const data = await canvasToBytes(canvas)
+      files.push({ name: `${prefix}_${String(index + 1).padStart(5, '0')}.png`, data })
+    },
+    async finish() {
+      return zipStore(files)
+    },
+    cancel() {
+      files.length = 0
+    },
+  }
+}
+
+// MediaRecorder timestamps frames by wall clock, so frames are paced to the
+// target rate; the simulation itself still advances by a fixed timestep
+export function createWebmSink(canvas, { fps = 30, bitrate = 12_000_000 } = {}) {
+  const stream = canvas.captureStream(0)
+  const [track] = stream.getVideoTracks()
+  const recorder = new MediaRecorder(stream, { mimeType: pickWebmType(), videoBitsPerSecond: bitrate })
+  const chunks = []
+  recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data) }
+  recorder.start()
+  const frameMs = 1000 / fps
+  let next = performance.now()
+
+  const stop = () => new Promise((resolve) => {
+    if (recorder.state === 'inactive') { resolve(); return }
+    recorder.onstop = () => resolve()
+    recorder.stop()
+  })
+
+  return {
+    extension: 'webm',
+    async addFrame() {
+      const wait = next - performance.now()
+      if (wait > 0) await new Promise((r) => setTimeout(r, wait))
+      track.requestFrame()
+      next = Math.max(next + frameMs, performance.now())
+    },
+    async finish() {
+      // Hold the last frame for its full duration
+      await new Promise((r) => setTimeout(r, frameMs))
+      await stop()
+      track.stop()
+      return new Blob(chunks, { type: recorder.mimeType || 'video/webm' })
+    },
+    cancel() {
+      stop().then(() => track.stop())
+    },
+  }
+}
@@ -0,0 +1,56 @@
+// Offline regional map (see /public/map): places, rings, outlined features
+// and a basemap image in lat/lon, projected onto the scene's ground plane
+// around the reactor. The scene uses SCENE_METERS_PER_UNIT (lib/unit4) metres
+// per unit, +x east and -z north.
+import { SCENE_METERS_PER_UNIT } from './unit4.js'
+
+export const MAP_FORMAT = 'blast-map'
+// Relative to the app's base path; import.meta.env is only there under Vite
+export const DEFAULT_MAP_URL = `${import.meta.env?.BASE_URL ?? '/'}map/chernobyl-region.json`
+
+const METERS_PER_DEGREE_LAT = 110574
+const METERS_PER_DEGREE_LON = 111320
+
+// Equirectangular around the origin; plenty for a few tens of kilometres
+export function createProjection({ lat, lon }, metersPerUnit = SCENE_METERS_PER_UNIT) {
+  const cosLat = Math.cos((lat * Math.PI) / 180)
+  return {
+    metersPerUnit,
+    project: (pLat, pLon) => [
+      ((pLon - lon) * cosLat * METERS_PER_DEGREE_LON) / metersPerUnit,
+      (-(pLat - lat) * METERS_PER_DEGREE_LAT) / metersPerUnit,
+    ],
+    // Scene units for a distance in kilometres
+    km: (km) => (km * 1000) / metersPerUnit,
+  }
+}
+
+// Everything the scene draws, already in scene units
+export function projectMap(data, baseUrl) {
+  const projection = createProjection(data.origin)
+  return {
+    id: data.id,
+    title: data.title,
+    attribution: data.attribution,
+    metersPerUnit: projection.metersPerUnit,
+    basemap: { url: new URL(data.basemap.image, baseUrl).pathname, size: projection.km(data.basemap.extentKm) },
+    rings: data.rings.map((km) => ({ km, radius: projection.km(km) })),
+    places: data.places.map((p) => ({ ...p, position: projection.project(p.lat, p.lon) })),
+    // [{ id, kind, polygon | line: [[x, z], ...] }]
+    features: (data.features || []).map(({ polygon, line, ...f }) => {
+      const points = (polygon || line).map(([lat, lon]) => projection.project(lat, lon))
+      return polygon ? { ...f, polygon: points } : { ...f, line: points }
+    }),
+  }
+}
+
+export async function fetchRegionMap(url = DEFAULT_MAP_URL) {
+  const res = await fetch(url)
+  if (!res.ok) throw new Error(`Could not load ${url} (${res.status} ${res.statusText})`)
+  const data = await res.json()
+  const featuresOk = data.features === undefined || (Array.isArray(data.features) && data.features.every((f) => Array.isArray(f.polygon) || Array.isArray(f.line)))
+  if (data.format !== MAP_FORMAT || !data.origin || !data.basemap || !Array.isArray(data.places) || !Array.isArray(data.rings) || !featuresOk) {
+    throw new Error(`${url} is not a "${MAP_FORMAT}" file`)
+  }
+  return projectMap(data, new URL(url, window.location.href))
+}
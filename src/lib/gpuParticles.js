@@ -0,0 +1,373 @@
+// GPGPU particle path: state lives in float render targets and is advanced by
+// fragment shaders (ping-pong via GPUComputationRenderer). The force model is a
+// line-for-line port of particleSim.step, and launches reuse the CPU model so
+// both paths start from the same seeded particle set.
+import * as THREE from 'three'
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js'
+import { createForceBlend, createParticleSim, createShockKick, DEFAULT_PARTICLE_PARAMS, GRAVITY } from './particleSim.js'
+import { dragRate } from './integrator.js'
+import { PROFILE_TYPES } from './windField.js'
+import { BLAST_ORIGIN } from './blastWave.js'
+
+// Attaches a 1x1 float texture to a framebuffer and asks whether it can be
+// drawn to. Some WebGL1 drivers render to float without advertising
+// WEBGL_color_buffer_float, others sample float but can't render to it.
+function floatTargetRenderable(renderer) {
+  const gl = renderer.getContext()
+  const texture = gl.createTexture()
+  const framebuffer = gl.createFramebuffer()
+  gl.bindTexture(gl.TEXTURE_2D, texture)
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.FLOAT, null)
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer)
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0)
+  const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE
+  gl.deleteFramebuffer(framebuffer)
+  gl.deleteTexture(texture)
+  // The bindings above bypassed three's state cache
+  renderer.resetState()
+  return complete
+}
+
+// Float render targets plus vertex texture fetch are required; otherwise callers
+// should stay on the CPU path
+export function supportsGpuSim(renderer) {
+  if (!renderer) return false
+  const { capabilities, extensions } = renderer
+  if (capabilities.maxVertexTextures === 0) return false
+  if (capabilities.isWebGL2) return extensions.has('EXT_color_buffer_float')
+  return extensions.has('OES_texture_float') && (extensions.has('WEBGL_color_buffer_float') || floatTargetRenderable(renderer))
+}
+
+const STEP_GLSL = /* glsl */`
+  uniform float uDt;
+  uniform float uTime;
+  uniform float uSeed;
+  uniform float uBlastEnergy;
+  uniform float uDragRate;
+  uniform float uBuoyancy;
+  uniform float uThermalDecay;
+  uniform float uNoise;
+  uniform float uActive;       // particles with a higher index aren't respawned
+  uniform vec3 uWind;          // keyframed surface wind at uTime
+  uniform vec4 uWindProfile;   // type, refHeight, alpha, roughness
+  uniform float uWindMinHeight;
+  uniform vec4 uGust;          // strength, scale, frequency, base speed
+  uniform vec4 uShock;         // origin x, origin z, swept-from radius, front radius
+  uniform float uShockSpeed;   // capped kick at the front; 0 = no front this step
+
+  float hash12(vec2 p) {
+    vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+    p3 += dot(p3, p3.yzx + 33.33);
+    return fract((p3.x + p3.y) * p3.z);
+  }
+  // Per-texel, per-step random stream
+  float rand(vec2 uv, float k) {
+    return hash12(uv * 4096.0 + vec2(uTime * 97.31 + k * 13.7, uSeed + k * 3.1));
+  }
+
+  vec3 curlNoise3(vec3 p) {
+    return vec3(sin(p.y*0.9) - sin(p.z*1.1), sin(p.z*0.9) - sin(p.x*1.1), sin(p.x*0.9) - sin(p.y*1.1));
+  }
+
+  // Mirrors windField.sample
+  vec3 windAt(vec3 p) {
+    float h = max(uWindMinHeight, p.y);
+    float f = 1.0;
+    if (uWindProfile.x > 1.5) f = max(0.0, log(h / uWindProfile.w) / log(uWindProfile.y / uWindProfile.w));
+    else if (uWindProfile.x > 0.5) f = pow(h / uWindProfile.y, uWindProfile.z);
+    vec3 w = vec3(uWind.x * f, uWind.y, uWind.z * f);
+    if (uGust.x > 0.0) {
+      vec3 n = curlNoise3(vec3(p.x * uGust.y, p.y * uGust.y, p.z * uGust.y + uTime * uGust.z));
+      float g = uGust.x * max(uGust.w, 0.1) * f;
+      w += vec3(n.x, n.y * 0.25, n.z) * g;
+    }
+    return w;
+  }
+
+  // pos.w = life, vel.w = temperature
+  void stepParticle(vec2 uv, inout vec4 pos, inout vec4 vel) {
+    // Retired slots sit out until uActive grows again (texel order matches aRef)
+    float index = floor(uv.y * resolution.y) * resolution.x + floor(uv.x * resolution.x);
+    if (index >= uActive && pos.w <= 0.0) return;
+    float dt = uDt;
+    // Gravity
+    vel.y -= ${GRAVITY.toFixed(2)} * dt * 0.25;
+    // Drag
+    vel.xyz *= exp(-uDragRate * dt);
+    // Thermal buoyancy scaled by decaying temperature
+    if (pos.y > 0.2) {
+      vel.y += uBuoyancy * vel.w * dt;
+      vel.w = max(0.0, vel.w - uThermalDecay * dt);
+    }
+    // Wind advection (height profile, keyframes and gusts)
+    vec3 w = windAt(pos.xyz);
+    vel.x += w.x * dt * 0.25;
+    vel.z += w.z * dt * 0.25;
+    // Blast front: a one-off outward kick as it sweeps past, across the ground
+    if (uShockSpeed > 0.0) {
+      vec2 b = pos.xz - uShock.xy;
+      float r = length(b);
+      if (r >= uShock.z && r < uShock.w && r > 1e-6) vel.xz += b * (uShockSpeed / r);
+    }
+    // Coarse curl noise for turbulent meander
+    if (uNoise > 0.0) {
+      vel.xyz += curlNoise3(vec3(pos.x*0.7, pos.y*0.7 + uTime*0.3, pos.z*0.7)) * uNoise * dt;
+    }
+    // Integrate and age
+    pos.xyz += vel.xyz * dt;
+    pos.w = max(0.0, pos.w - (0.12 + uThermalDecay * 0.25) * dt);
+    // Ground interaction: damp and deposit
+    if (pos.y < 0.0) {
+      pos.y = 0.0;
+      vel.y *= -0.12;
+      vel.xz *= 0.5;
+      vel.w *= 0.7;
+    }
+    // Respawn when dead
+    if (pos.w <= 0.0 && index < uActive) {
+      float r = rand(uv, 1.0) * 0.2;
+      vec3 dir = normalize(vec3(rand(uv, 2.0) - 0.5, rand(uv, 3.0) + 1e-4, rand(uv, 4.0) - 0.5));
+      pos.xyz = vec3(dir.x * r, 0.5 + abs(dir.y) * r, dir.z * r);
+      float v = uBlastEnergy * (0.3 + rand(uv, 5.0) * 0.6);
+      vel.xyz = vec3(dir.x, abs(dir.y), dir.z) * v;
+      pos.w = 1.0;
+      vel.w = 0.8;
+    }
+  }
+`
+
+const POSITION_SHADER = STEP_GLSL + /* glsl */`
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec4 pos = texture2D(texturePosition, uv);
+    vec4 vel = texture2D(textureVelocity, uv);
+    stepParticle(uv, pos, vel);
+    gl_FragColor = pos;
+  }
+`
+
+const VELOCITY_SHADER = STEP_GLSL + /* glsl */`
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec4 pos = texture2D(texturePosition, uv);
+    vec4 vel = texture2D(textureVelocity, uv);
+    stepParticle(uv, pos, vel);
+    gl_FragColor = vel;
+  }
+`
+
+// Vertex shader for rendering straight from the position texture
+export const GPU_PARTICLE_VERTEX = /* glsl */`
+  precision highp float;
+  uniform sampler2D uPositions;
+  attribute vec2 aRef;
+  attribute float aSize;
+  attribute vec3 aColor;
+  varying float vLife;
+  varying vec3 vColor;
+  void main(){
+    vec4 p = texture2D(uPositions, aRef);
+    vLife = p.w;
+    vColor = aColor;
+    vec4 mvPosition = modelViewMatrix * vec4(p.xyz, 1.0);
+    float size = aSize * (0.75 + 0.25 * vLife);
+    gl_PointSize = size * (300.0 / -mvPosition.z);
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`
+
+// Height under which a read-back particle counts as landed
+const GROUND_CONTACT = 0.05
+export function createGpuParticleSim(renderer, params) {
+  const count = params.count
+  const size = Math.max(1, Math.ceil(Math.sqrt(count)))
+  const gpu = new GPUComputationRenderer(size, size, renderer)
+  const pos0 = gpu.createTexture()
+  const vel0 = gpu.createTexture()
+  const posVar = gpu.addVariable('texturePosition', POSITION_SHADER, pos0)
+  const velVar = gpu.addVariable('textureVelocity', VELOCITY_SHADER, vel0)
+  gpu.setVariableDependencies(posVar, [posVar, velVar])
+  gpu.setVariableDependencies(velVar, [posVar, velVar])
+
+  const uniforms = {
+    uDt: { value: 0 },
+    uTime: { value: 0 },
+    uSeed: { value: 0 },
+    uBlastEnergy: { value: 0 },
+    uDragRate: { value: 0 },
+    uBuoyancy: { value: 0 },
+    uThermalDecay: { value: 0 },
+    uNoise: { value: 0 },
+    uActive: { value: count },
+    uWind: { value: new THREE.Vector3() },
+    uWindProfile: { value: new THREE.Vector4(0, 10, 0.16, 0.05) },
+    uWindMinHeight: { value: 0.5 },
+    uGust: { value: new THREE.Vector4() },
+    uShock: { value: new THREE.Vector4(BLAST_ORIGIN[0], BLAST_ORIGIN[2], 0, 0) },
+    uShockSpeed: { value: 0 },
+  }
+  // Targets; the shader gets the eased values each step (see createForceBlend)
+  const p = { ...DEFAULT_PARTICLE_PARAMS, ...params }
+  const forces = createForceBlend(p)
+  const windBase = [0, 0, 0]
+  const prevWindBase = [0, 0, 0]
+  const shock = createShockKick()
+  shock.start(p.shock)
+  // Both passes share the same uniform objects so one update drives both
+  Object.assign(posVar.material.uniforms, uniforms)
+  Object.assign(velVar.material.uniforms, uniforms)
+
+  const error = gpu.init()
+  if (error) {
+    gpu.dispose()
+    throw new Error(error)
+  }
+
+  const refs = new Float32Array(count * 2)
+  for (let i = 0; i < count; i++) {
+    refs[i * 2] = ((i % size) + 0.5) / size
+    refs[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size
+  }
+
+  const sim = {
+    count,
+    textureSize: size,
+    refs,
+    colors: new Float32Array(count * 3),
+    size: new Float32Array(count),
+    // CPU copies of the state as of the last readBack(), in particleSim's layout
+    positions: new Float32Array(count * 3),
+    life: new Float32Array(count),
+    temperatures: new Float32Array(count),
+    time: 0,
+  }
+  const posPixels = new Float32Array(size * size * 4)
+  const velPixels = new Float32Array(size * size * 4)
+  // 1 once a particle was seen on the ground during its current life
+  const deposited = new Uint8Array(count)
+  let deposits = []
+  const maxDeposits = count * 8
+  let readAt = -1
+
+  // Force params and wind ease in over blendTime as on the CPU path. Only the
+  // surface wind blends here; the height profile and gusts switch at once.
+  sim.setParams = (next) => {
+    if ('shock' in next) shock.start(next.shock)
+    forces.retarget(next)
+    if (!('wind' in next || 'windField' in next)) return
+    const { profile, gusts, base } = forces.windField().config
+    uniforms.uWindProfile.value.set(PROFILE_TYPES.indexOf(profile.type), profile.refHeight, profile.alpha, profile.roughness)
+    uniforms.uWindMinHeight.value = profile.minHeight
+    uniforms.uGust.value.set(gusts.strength, gusts.scale, gusts.frequency, Math.hypot(base[0], base[2]))
+  }
+
+  // Launch on the CPU model (same seed -> same initial set), then upload
+  sim.reinit = (launch) => {
+    const cpu = createParticleSim({ ...launch, activeCount: p.activeCount, count })
+    const pd = pos0.image.data
+    const v = vel0.image.data
+    for (let i = 0; i < count; i++) {
+      pd[i * 4] = cpu.positions[i * 3]
+      pd[i * 4 + 1] = cpu.positions[i * 3 + 1]
+      pd[i * 4 + 2] = cpu.positions[i * 3 + 2]
+      pd[i * 4 + 3] = cpu.life[i]
+      v[i * 4] = cpu.velocities[i * 3]
+      v[i * 4 + 1] = cpu.velocities[i * 3 + 1]
+      v[i * 4 + 2] = cpu.velocities[i * 3 + 2]
+      v[i * 4 + 3] = cpu.temperatures[i]
+    }
+    pos0.needsUpdate = true
+    vel0.needsUpdate = true
+    for (const variable of [posVar, velVar]) {
+      gpu.renderTexture(variable.initialValueTexture, variable.renderTargets[0])
+      gpu.renderTexture(variable.initialValueTexture, variable.renderTargets[1])
+    }
+    sim.colors.set(cpu.colors)
+    sim.size.set(cpu.size)
+    sim.positions.set(cpu.positions)
+    sim.life.set(cpu.life)
+    sim.temperatures.set(cpu.temperatures)
+    deposited.fill(0)
+    deposits = []
+    readAt = -1
+    forces.reset()
+    sim.time = 0
+    // Respawn jitter comes from a shader hash; seed it so seeded runs repeat
+    uniforms.uSeed.value = launch.seed ? (launch.seed % 65536) : Math.floor(Math.random() * 65536)
+    return sim
+  }
+
+  sim.step = (dt) => {
+    const windMix = forces.step(dt)
+    const { blastEnergy, drag, buoyancy, thermalDecay, noise, activeCount } = forces.cur
+    uniforms.uDt.value = dt
+    uniforms.uTime.value = sim.time
+    uniforms.uBlastEnergy.value = blastEnergy
+    uniforms.uDragRate.value = dragRate(drag)
+    uniforms.uBuoyancy.value = buoyancy
+    uniforms.uThermalDecay.value = thermalDecay
+    uniforms.uNoise.value = noise
+    uniforms.uActive.value = activeCount == null ? count : Math.floor(activeCount)
+    // Keyframes are time-only, so they're evaluated once per step on the CPU
+    forces.windField().baseAt(sim.time, windBase)
+    const prevWind = windMix < 1 ? forces.prevWind() : null
+    if (prevWind) {
+      prevWind.baseAt(sim.time, prevWindBase)
+      for (let k = 0; k < 3; k++) windBase[k] = prevWindBase[k] + (windBase[k] - prevWindBase[k]) * windMix
+    }
+    uniforms.uWind.value.fromArray(windBase)
+    // The front moves a thin band per step, so the kick is taken at its radius
+    const shockFrom = shock.step(dt)
+    uniforms.uShockSpeed.value = shockFrom === null ? 0 : shock.speedAt(shock.radius)
+    if (shockFrom !== null) {
+      uniforms.uShock.value.z = shockFrom
+      uniforms.uShock.value.w = shock.radius
+    }
+    gpu.compute()
+    sim.time += dt
+    return sim
+  }
+
+  sim.positionTexture = () => gpu.getCurrentRenderTarget(posVar).texture
+
+  // Copies the state textures back into positions/life/temperatures (at most
+  // once per step; it stalls the pipeline, so callers read back sparingly).
+  // Landings are found by comparing reads: a particle on the ground counts
+  // once per life, and a life that went up again means it respawned.
+  sim.readBack = () => {
+    if (readAt === sim.time) return sim
+    readAt = sim.time
+    renderer.readRenderTargetPixels(gpu.getCurrentRenderTarget(posVar), 0, 0, size, size, posPixels)
+    renderer.readRenderTargetPixels(gpu.getCurrentRenderTarget(velVar), 0, 0, size, size, velPixels)
+    const { positions, life, temperatures } = sim
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3, i4 = i * 4
+      const alive = posPixels[i4 + 3]
+      if (alive > life[i]) deposited[i] = 0
+      positions[i3] = posPixels[i4]
+      positions[i3 + 1] = posPixels[i4 + 1]
+      positions[i3 + 2] = posPixels[i4 + 2]
+      life[i] = alive
+      temperatures[i] = velPixels[i4 + 3]
+      // The shader clamps landings to y = 0 and damps the bounce to a few centimetres
+      if (alive > 0 && positions[i3 + 1] < GROUND_CONTACT && !deposited[i]) {
+        deposited[i] = 1
+        if (deposits.length < maxDeposits) deposits.push(positions[i3], positions[i3 + 2])
+      }
+    }
+    return sim
+  }
+
+  // Landing positions ([x, z] pairs) found by readBack() since the last call
+  sim.takeDeposits = () => {
+    const out = Float32Array.from(deposits)
+    deposits = []
+    return out
+  }
+
+  sim.dispose = () => gpu.dispose()
+
+  // The wind key makes sure the profile uniforms are set from the start
+  sim.setParams({ windField: p.windField, ...params })
+  return sim.reinit(params)
+}
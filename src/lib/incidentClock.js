@@ -0,0 +1,62 @@
+// Master timeline for a scenario: maps "sequence time" (simulated seconds since
+// the first stage began) onto real incident timestamps. Each stage plays for
+// its `duration` and covers the real interval up to the next stage's
+// timestamp, so long gaps are compressed and split-second ones stretched.
+// The last stage runs at 1:1.
+
+// '+04:00' / '-0530' / 'Z' suffix of an ISO date-time, in minutes east of UTC
+export function parseUtcOffset(iso) {
+  const m = /([+-])(\d{2}):?(\d{2})$/.exec(iso)
+  if (!m) return 0
+  const minutes = Number(m[2]) * 60 + Number(m[3])
+  return m[1] === '-' ? -minutes : minutes
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0')
+
+// HH:MM:SS.t wall-clock time at the given UTC offset
+export function formatIncidentTime(ms, offsetMinutes = 0) {
+  const d = new Date(ms + offsetMinutes * 60000)
+  return `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}.${Math.floor(d.getUTCMilliseconds() / 100)}`
+}
+
+// stages: scenario presets ({ time (epoch ms), timestamp, duration (s) })
+export function createIncidentTimeline(stages) {
+  const starts = []
+  let total = 0
+  for (const s of stages) {
+    starts.push(total)
+    total += s.duration
+  }
+  const last = stages.length - 1
+
+  const timeline = {
+    total,
+    startOf: (i) => starts[Math.max(0, Math.min(last, i))],
+    endOf: (i) => {
+      const k = Math.max(0, Math.min(last, i))
+      return starts[k] + stages[k].duration
+    },
+    // Index of the stage playing at sequence time t (clamped to the ends)
+    stageAt(t) {
+      let i = 0
+      while (i < last && t >= starts[i + 1]) i++
+      return i
+    },
+    // Real incident time (epoch ms) at sequence time t
+    timeAt(t) {
+      const i = timeline.stageAt(t)
+      const s = stages[i]
+      const local = Math.max(0, Math.min(s.duration, t - starts[i]))
+      // Out-of-order timestamps just hold rather than running backwards
+      const span = i < last ? Math.max(0, stages[i + 1].time - s.time) : s.duration * 1000
+      return s.time + (local / s.duration) * span
+    },
+    // Incident clock reading at sequence time t, in the stage's own UTC offset
+    labelAt(t) {
+      const i = timeline.stageAt(t)
+      return formatIncidentTime(timeline.timeAt(t), parseUtcOffset(stages[i].timestamp))
+    },
+  }
+  return timeline
+}
@@ -0,0 +1,51 @@
+// Fixed-timestep integration helpers shared by every particle layer and debris.
+// Stepping at a constant dt keeps a preset looking the same at 30, 60 or 144 Hz.
+
+export const FIXED_DT = 1 / 120
+// Cap on simulated time per rendered frame so a stalled tab doesn't spiral
+export const MAX_FRAME_TIME = 0.25
+
+// Preset drag values were tuned as per-frame multipliers at 60 Hz; convert them
+// to a per-second rate so the same number decays identically at any step size
+export function dragRate(dragPerFrame) {
+  return -Math.log(Math.max(1e-6, 1 - dragPerFrame)) * 60
+}
+
+export function dragDecay(dragPerFrame, dt) {
+  return Math.exp(-dragRate(dragPerFrame) * dt)
+}
+
+// Energetic stages launch particles fast enough to tunnel through the ground in
+// one step, so split each fixed step into smaller ones
+export function substepsFor(energy) {
+  return Math.min(4, Math.max(1, Math.ceil(energy / 8)))
+}
+
+export function createFixedStepper({ dt = FIXED_DT, maxFrameTime = MAX_FRAME_TIME } = {}) {
+  let accumulator = 0
+  let time = 0
+  return {
+    // Runs step(h, t) for every whole fixed step contained in delta and
+    // returns how many fixed steps were taken
+    advance(delta, step, substeps = 1) {
+      accumulator += Math.min(Math.max(0, delta), maxFrameTime)
+      const h = dt / substeps
+      let steps = 0
+      while (accumulator >= dt) {
+        for (let s = 0; s < substeps; s++) {
+          step(h, time)
+          time += h
+        }
+        accumulator -= dt
+        steps++
+      }
+      return steps
+    },
+    reset() {
+      accumulator = 0
+      time = 0
+    },
+    get time() { return time },
+    get dt() { return dt },
+  }
+}
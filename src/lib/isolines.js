@@ -0,0 +1,37 @@
+// Marching squares over a row-major resolution x resolution scalar grid.
+// Appends [x0, z0, x1, z1, ...] segment endpoints in cell units (cell centres
+// sit on integer coordinates) to `out` and returns it.
+export function isolineSegments(values, resolution, level, out = []) {
+  const lerp = (a, b) => (a === b ? 0.5 : (level - a) / (b - a))
+  for (let z = 0; z < resolution - 1; z++) {
+    for (let x = 0; x < resolution - 1; x++) {
+      const i = z * resolution + x
+      const a = values[i], b = values[i + 1], c = values[i + resolution + 1], d = values[i + resolution]
+      const code = (a >= level ? 8 : 0) | (b >= level ? 4 : 0) | (c >= level ? 2 : 0) | (d >= level ? 1 : 0)
+      if (code === 0 || code === 15) continue
+      // Edge crossings: top (a-b), right (b-c), bottom (d-c), left (a-d)
+      const top = () => [x + lerp(a, b), z]
+      const right = () => [x + 1, z + lerp(b, c)]
+      const bottom = () => [x + lerp(d, c), z + 1]
+      const left = () => [x, z + lerp(a, d)]
+      const seg = (p, q) => { out.push(p[0], p[1], q[0], q[1]) }
+      switch (code) {
+        case 1: case 14: seg(left(), bottom()); break
+        case 2: case 13: seg(bottom(), right()); break
+        case 3: case 12: seg(left(), right()); break
+        case 4: case 11: seg(top(), right()); break
+        case 6: case 9: seg(top(), bottom()); break
+        case 7: case 8: seg(left(), top()); break
+        // Saddles: resolve with the cell-centre average
+        case 5:
+          if ((a + b + c + d) / 4 >= level) { seg(left(), top()); seg(bottom(), right()) } else { seg(left(), bottom()); seg(top(), right()) }
+          break
+        case 10:
+          if ((a + b + c + d) / 4 >= level) { seg(left(), bottom()); seg(top(), right()) } else { seg(left(), top()); seg(bottom(), right()) }
+          break
+        default:
+      }
+    }
+  }
+  return out
+}
@@ -0,0 +1,23 @@
+// Representative fission-product mix carried by the fallout layers. Half-lives
+// are real; activity shares and dose weights are rough round numbers chosen
+// for illustration only, so nothing derived from them is a dose assessment.
+
+export const ISOTOPES = [
+  { id: 'I-131', halfLifeDays: 8.02, doseWeight: 1.0, color: '#f472b6' },
+  { id: 'Cs-137', halfLifeDays: 30.08 * 365.25, doseWeight: 0.6, color: '#fbbf24' },
+  // Nearly pure beta emitter, so it adds little external dose at ground level
+  { id: 'Sr-90', halfLifeDays: 28.8 * 365.25, doseWeight: 0.05, color: '#34d399' },
+]
+
+// Activity share of each isotope (ISOTOPES order) per particle layer: volatile
+// iodine and caesium ride the smoke, fuel fragments carry more strontium
+export const LAYER_ISOTOPE_MIX = {
+  fireball: [0.55, 0.3, 0.15],
+  smoke: [0.65, 0.3, 0.05],
+  embers: [0.4, 0.3, 0.3],
+}
+
+// Per day
+export const decayConstant = (isotope) => Math.LN2 / isotope.halfLifeDays
+
+export const remainingFraction = (isotope, days) => Math.exp(-decayConstant(isotope) * days)
@@ -0,0 +1,68 @@
+// Guided lessons: a scenario may carry a script of steps (validated in
+// lib/scenario), each picking a stage, flying the camera to a named viewpoint,
+// pinning labels to parts of the Unit 4 model and either waiting for the
+// presenter or moving on after a number of sim seconds. Every scenario also
+// plays as the built-in sequence lesson (sequenceLessonFor).
+import { UNIT4_DIMENSIONS } from './unit4.js'
+
+// Camera position and orbit target, in scene units around the core
+export const LESSON_VIEWPOINTS = {
+  overview: { label: 'Overview', position: [6, 4, 8], target: [0, 0.8, 0] },
+  hall: { label: 'Reactor hall', position: [2.8, 3.2, 3.4], target: [0, 1.1, 0] },
+  core: { label: 'Core close-up', position: [1.4, 2.4, 1.7], target: [0, 0.7, 0] },
+  roof: { label: 'Roof from above', position: [0.6, 6.5, 2.4], target: [0, 1.9, 0] },
+  turbine: { label: 'Turbine side', position: [3.5, 2.6, 5.5], target: [2.6, 0.6, 0] },
+  plume: { label: 'Plume', position: [-6, 7, 16], target: [5, 5, 0] },
+}
+
+export const DEFAULT_VIEWPOINT = 'overview'
+
+// Labelled points on the building, built from its dimensions so they follow it
+export function lessonAnchors(dims = UNIT4_DIMENSIONS) {
+  const { core, lid, hall, gallery, turbine, stack } = dims
+  const lidTop = core.y + core.height / 2 + lid.thickness + 0.02
+  return {
+    core: { label: 'Graphite moderator', position: [0, core.y, core.radius] },
+    rods: { label: 'Control rod channels', position: [-core.radius * 0.5, core.y + core.height / 2, 0] },
+    lid: { label: 'Upper biological shield', position: [0, lidTop, 0] },
+    roof: { label: 'Reactor hall roof', position: [0, hall.height, 0] },
+    gallery: { label: 'Deaerator gallery', position: [hall.width / 2 + gallery.width / 2, gallery.height, 0] },
+    turbine: { label: 'Turbine hall', position: [hall.width / 2 + gallery.width + turbine.width / 2, turbine.height, 0] },
+    stack: { label: 'Ventilation stack', position: [stack.position[0], stack.height, stack.position[2]] },
+  }
+}
+
+export const LESSON_ANCHORS = lessonAnchors()
+
+// Steps ready for the player: stage index, viewpoint and world-space labels
+export function lessonStepsFor(lesson, stages, anchors = LESSON_ANCHORS) {
+  return lesson.steps.map((step, i) => ({
+    key: i,
+    title: step.title,
+    text: step.text,
+    stage: Math.max(0, stages.findIndex((s) => s.id === step.stage)),
+    // null leaves the camera where the viewer put it
+    viewpoint: step.view === null ? null : LESSON_VIEWPOINTS[step.view || DEFAULT_VIEWPOINT],
+    annotations: (step.annotations || []).map((a) => {
+      const { anchor, label, position } = typeof a === 'string' ? { anchor: a } : a
+      const base = anchor ? anchors[anchor] : null
+      return { label: label || base.label, position: position || base.position }
+    }),
+    advance: step.advance ?? null,
+  }))
+}
+
+// Script that plays the stages in order, each for its duration, without
+// moving the camera; the last stage stays up until the presenter ends it
+export function sequenceLessonFor(stages) {
+  return {
+    title: 'Full sequence',
+    steps: stages.map((s, i) => ({
+      title: s.title,
+      text: s.description,
+      stage: s.id,
+      view: null,
+      advance: i < stages.length - 1 ? s.duration : null,
+    })),
+  }
+}
@@ -0,0 +1,110 @@
+// In-browser stand-in for the backend: a fetch-compatible function that serves
+// the REST contract in lib/apiClient from localStorage (or memory), used when
+// no VITE_BACKEND_URL is configured and by scripts exercising the client.
+// setOnline(false) makes it fail like an unreachable server and failRate
+// answers a share of requests with 503, so offline and retry paths can be tried.
+import { API_PREFIX } from './apiClient.js'
+import { RunError, runSummary, validateRun } from './runs.js'
+import { ScenarioError, validateScenario } from './scenario.js'
+
+const STORAGE_KEY = 'blastsim.mockBackend.v1'
+export const MOCK_VERSION = 'mock-1'
+
+const json = (status, body) => new Response(body === undefined ? null : JSON.stringify(body), {
+  status,
+  headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+})
+const newestFirst = (a, b) => (b.createdAt > a.createdAt ? 1 : b.createdAt < a.createdAt ? -1 : 0)
+
+/**
+ * @param {{ storage?: Storage | null, latency?: number, failRate?: number, random?: () => number }} [options]
+ * storage null keeps records in memory for this page only
+ */
+export function createMockBackend({ storage = globalThis.localStorage, latency = 120, failRate = 0, random = Math.random } = {}) {
+  let memory = { runs: {}, scenarios: {} }
+  let online = true
+
+  const load = () => {
+    if (!storage) return memory
+    try {
+      const data = JSON.parse(storage.getItem(STORAGE_KEY) || 'null')
+      return data && typeof data === 'object' ? { runs: data.runs || {}, scenarios: data.scenarios || {} } : { runs: {}, scenarios: {} }
+    } catch (e) {
+      return { runs: {}, scenarios: {} }
+    }
+  }
+  const save = (db) => {
+    memory = db
+    if (!storage) return
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(db))
+    } catch (e) {
+      // Full or blocked storage: records live for this page only
+    }
+  }
+
+  // [method, path pattern, handler(db, match, body, url)] -> [status, body]
+  const routes = [
+    ['GET', /^\/health$/, () => [200, { status: 'ok', version: MOCK_VERSION, database: { status: 'connected', name: storage ? 'localStorage' : 'memory' } }]],
+    ['GET', /^\/runs$/, (db, m, body, url) => {
+      const scenario = url.searchParams.get('scenario')
+      const runs = Object.values(db.runs).filter((r) => !scenario || r.scenario.id === scenario).sort(newestFirst).map(runSummary)
+      return [200, { runs }]
+    }],
+    ['GET', /^\/runs\/([^/]+)$/, (db, [, id]) => (db.runs[id] ? [200, db.runs[id]] : [404, { error: `no run "${id}"` }])],
+    ['PUT', /^\/runs\/([^/]+)$/, (db, [, id], body) => {
+      if (!body || body.id !== id) return [400, { error: 'body id does not match the path' }]
+      validateRun(body)
+      db.runs[id] = body
+      save(db)
+      return [200, body]
+    }],
+    ['DELETE', /^\/runs\/([^/]+)$/, (db, [, id]) => {
+      if (!db.runs[id]) return [404, { error: `no run "${id}"` }]
+      delete db.runs[id]
+      save(db)
+      return [204]
+    }],
+    ['GET', /^\/scenarios$/, (db) => [200, { scenarios: Object.values(db.scenarios).sort(newestFirst).map(({ scenario, ...summary }) => summary) }]],
+    ['GET', /^\/scenarios\/([^/]+)$/, (db, [, id]) => (db.scenarios[id] ? [200, db.scenarios[id]] : [404, { error: `no shared scenario "${id}"` }])],
+    ['PUT', /^\/scenarios\/([^/]+)$/, (db, [, id], body) => {
+      if (!body || body.id !== id) return [400, { error: 'body id does not match the path' }]
+      validateScenario(body.scenario)
+      db.scenarios[id] = body
+      save(db)
+      return [200, body]
+    }],
+  ]
+
+  async function mockFetch(input, { method = 'GET', body, signal } = {}) {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, latency)
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer)
+        reject(new DOMException('The operation was aborted.', 'AbortError'))
+      })
+    })
+    if (!online) throw new TypeError('Failed to fetch')
+    if (failRate > 0 && random() < failRate) return json(503, { error: 'mock backend is busy' })
+
+    const url = new URL(input, 'http://mock.local')
+    const path = url.pathname.startsWith(API_PREFIX) ? url.pathname.slice(API_PREFIX.length) : null
+    for (const [m, pattern, handler] of routes) {
+      const match = path !== null && m === method && pattern.exec(path)
+      if (!match) continue
+      try {
+        const [status, payload] = handler(load(), match.map((s) => (s === undefined ? s : decodeURIComponent(s))), body ? JSON.parse(body) : null, url)
+        return json(status, payload)
+      } catch (e) {
+        if (e instanceof RunError || e instanceof ScenarioError || e instanceof SyntaxError) return json(422, { error: e.message })
+        throw e
+      }
+    }
+    return json(404, { error: `no route for ${method} ${url.pathname}` })
+  }
+
+  mockFetch.setOnline = (next) => { online = next }
+  mockFetch.isOnline = () => online
+  mockFetch.setFailRate = (rate) => { failRate = rate }
+  return mockFetch
+}
@@ -0,0 +1,8 @@
+// Low-frequency curl-like noise helper; simple pseudo curl from trig, inexpensive
+export function curlNoise3(x, y, z, out) {
+  const s = Math.sin
+  out[0] = s(y*0.9) - s(z*1.1)
+  out[1] = s(z*0.9) - s(x*1.1)
+  out[2] = s(x*0.9) - s(y*1.1)
+  return out
+}
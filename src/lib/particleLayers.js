@@ -0,0 +1,51 @@
+// The particle layers each stage is drawn with: a hot fireball, dense smoke
+// and embers/sparks. Each layer scales the stage's physics its own way and has
+// its own look and share of the fallout. Scene's single-stage and composite
+// views and the 2D fallback (lib/sideView) all build their layers here.
+
+// [{ key, additive, alphaMul, depositMass, energyFactor, params }] for a
+// stage. `params` are particle-sim inputs (see lib/particleSim) without the
+// wind, seed or backend, which callers add. `energy` and `drag` are the
+// stage's after any user offsets; `emberEnergy` is the embers' multiplier on
+// it (the composite view throws them a little harder).
+export function particleLayersFor(preset, { energy = preset.blastEnergy, drag = preset.drag, emberEnergy = 1.3 } = {}) {
+  const { layers } = preset
+  return [
+    {
+      key: 'fireball',
+      additive: true,
+      alphaMul: 1,
+      depositMass: 0.5,
+      energyFactor: 1,
+      params: {
+        count: Math.floor(preset.count * layers.fireball.share), blastEnergy: energy, drag: drag * 0.6, buoyancy: preset.buoyancy * 1.1,
+        anisotropyUp: preset.anisotropyUp, anisotropyXZ: preset.anisotropyXZ, verticalBias: preset.verticalBias, thermalDecay: preset.thermalDecay,
+        colorsPair: layers.fireball.colors, sizeRange: [14, 26], noise: 0.6,
+      },
+    },
+    {
+      key: 'smoke',
+      additive: false,
+      alphaMul: 0.9,
+      depositMass: 1,
+      energyFactor: 0.7,
+      params: {
+        count: Math.floor(preset.count * layers.smoke.share), blastEnergy: energy * 0.7, drag: drag * 1.3, buoyancy: preset.buoyancy * 0.9,
+        anisotropyUp: preset.anisotropyUp * 0.8, anisotropyXZ: preset.anisotropyXZ * 1.1, verticalBias: preset.verticalBias * 0.8, thermalDecay: preset.thermalDecay * 0.8,
+        colorsPair: layers.smoke.colors, sizeRange: [28, 48], noise: 0.9,
+      },
+    },
+    {
+      key: 'embers',
+      additive: true,
+      alphaMul: 1,
+      depositMass: 0.2,
+      energyFactor: emberEnergy,
+      params: {
+        count: layers.embers.count, blastEnergy: energy * emberEnergy, drag: 0.01, buoyancy: 0.3,
+        anisotropyUp: 0.4, anisotropyXZ: 0.6, verticalBias: 0.2, thermalDecay: 1.2,
+        colorsPair: layers.embers.colors, sizeRange: [6, 12], noise: 0.2,
+      },
+    },
+  ]
+}
@@ -0,0 +1,345 @@
+// Headless particle model behind the blast plume. Everything here steps plain
+// typed arrays, so it runs in Node, a worker or the browser without a canvas.
+import { createRng } from './random.js'
+import { dragDecay } from './integrator.js'
+import { curlNoise3 } from './noise.js'
+import { createWindField, mixWindFields } from './windField.js'
+import { BLAST_ORIGIN, createBlastWave } from './blastWave.js'
+
+export const GRAVITY = 9.81
+
+export const DEFAULT_PARTICLE_PARAMS = {
+  count: 2000,
+  blastEnergy: 5,
+  drag: 0.02,
+  wind: [0.6, 0, 0.1],
+  // Optional windField config (see windField.js); when absent `wind` blows uniformly
+  windField: null,
+  buoyancy: 1.0,
+  anisotropyUp: 0.5,
+  anisotropyXZ: 0.0,
+  verticalBias: 0.5,
+  thermalDecay: 0.3,
+  colorsPair: ['#ffb703', '#fb7185'],
+  sizeRange: [18, 28],
+  noise: 0.0,
+  seed: 0,
+  // Particles with index >= activeCount finish their life and aren't respawned
+  // (null = all), so a layer can grow or shrink without new buffers
+  activeCount: null,
+  // Seconds over which force-param and wind changes ease in; 0 applies them at once
+  blendTime: 0,
+  // Blast wave to push particles with: { id, tnt } (see blastWave.js). A new id
+  // starts a front at the sim's current time; null = none
+  shock: null,
+}
+
+// Share of the air speed behind the blast front a particle picks up, and a cap
+// so the near field doesn't fling particles out of the scene
+const SHOCK_COUPLING = 0.5
+const SHOCK_MAX_KICK = 8
+
+// Travelling blast front for a particle layer, shared with the GPU path.
+// start({ id, tnt }) fires a front (each id only once; null = none), step(dt)
+// advances it and returns the radius it swept from (null when none is out)
+// and speedAt(r) is the capped outward kick at r.
+export function createShockKick() {
+  let wave = null
+  let id = null
+  let age = 0
+  const shock = {
+    radius: 0,
+    start(next) {
+      const nextId = next ? next.id : null
+      if (nextId === id) return
+      id = nextId
+      wave = next ? createBlastWave(next.tnt) : null
+      age = 0
+      shock.radius = 0
+    },
+    step(dt) {
+      if (!wave) return null
+      const from = shock.radius
+      age += dt
+      shock.radius = wave.radiusAt(age)
+      if (age > wave.duration) {
+        wave = null
+        return null
+      }
+      return from
+    },
+    speedAt: (r) => Math.min(SHOCK_MAX_KICK, wave.flowSpeedAt(r) * SHOCK_COUPLING),
+  }
+  return shock
+}
+
+// Force params that ease toward new values when blendTime > 0
+const BLENDED_PARAMS = ['blastEnergy', 'drag', 'buoyancy', 'thermalDecay', 'noise', 'activeCount']
+
+const smoothstep = (t) => t * t * (3 - 2 * t)
+
+// Effective force params and wind for a sim whose targets live in `p`: with
+// p.blendTime > 0, retarget() eases `cur` and the wind toward the new values
+// instead of switching at once. Shared by the CPU and GPU particle paths.
+export function createForceBlend(p) {
+  const cur = {}
+  let blend = null
+  let wind = null
+
+  const forces = {
+    cur,
+    windField() {
+      if (!wind) wind = createWindField(p.windField || { base: p.wind })
+      return wind
+    },
+    // Field being eased away from while a wind blend runs, else null
+    prevWind: () => blend?.prevWind || null,
+    // Merges `next` into p
+    retarget(next) {
+      const blendTime = next.blendTime ?? p.blendTime
+      const windChanged = 'wind' in next || 'windField' in next
+      if (blendTime > 0) {
+        // Start from wherever a running blend has got to, wind included, so an
+        // interrupted blend carries on without a jump
+        const running = blend?.prevWind ? mixWindFields(blend.prevWind, forces.windField(), smoothstep(blend.t)) : null
+        blend = { from: { ...cur }, t: 0, prevWind: windChanged ? running || forces.windField() : running }
+      }
+      if (windChanged) wind = null
+      Object.assign(p, next)
+      if (!(blendTime > 0)) forces.reset()
+    },
+    // Jump straight to the targets
+    reset() {
+      blend = null
+      for (const k of BLENDED_PARAMS) cur[k] = p[k]
+    },
+    // Advance the running blend by dt; returns the wind mix weight (1 = new field only)
+    step(dt) {
+      if (!blend) return 1
+      blend.t = Math.min(1, blend.t + dt / Math.max(1e-3, p.blendTime))
+      const k = smoothstep(blend.t)
+      for (const key of BLENDED_PARAMS) {
+        const a = blend.from[key], b = p[key]
+        cur[key] = a == null || b == null ? b : a + (b - a) * k
+      }
+      if (blend.t >= 1) {
+        blend = null
+        return 1
+      }
+      return k
+    },
+  }
+  forces.reset()
+  return forces
+}
+
+// '#rrggbb' to linear RGB, matching THREE.Color's default sRGB handling
+export function hexToLinear(hex) {
+  const n = parseInt(hex.replace('#', ''), 16)
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((v) => {
+    const c = v / 255
+    return c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4)
+  })
+}
+
+export function createParticleSim(params = {}) {
+  const p = { ...DEFAULT_PARTICLE_PARAMS, ...params }
+  const count = p.count
+  const sim = {
+    count,
+    params: p,
+    time: 0,
+    rng: Math.random,
+    positions: new Float32Array(count * 3),
+    velocities: new Float32Array(count * 3),
+    temperatures: new Float32Array(count),
+    colors: new Float32Array(count * 3),
+    life: new Float32Array(count),
+    size: new Float32Array(count),
+    // 1 once a particle has landed during its current life
+    deposited: new Uint8Array(count),
+  }
+  const noiseOut = [0, 0, 0]
+  const windOut = [0, 0, 0]
+  const forces = createForceBlend(p)
+  const prevWindOut = [0, 0, 0]
+  // Landing events as flat [x, z, x, z, ...]; capped so an undrained sim can't grow unbounded
+  let deposits = []
+  const maxDeposits = count * 8
+  const shock = createShockKick()
+
+  // Params that only affect forces can change mid-flight; launch params need a reinit
+  sim.setParams = (next) => {
+    if ('shock' in next) shock.start(next.shock)
+    forces.retarget(next)
+  }
+
+  sim.windField = forces.windField
+
+  sim.reinit = () => {
+    const { positions, velocities, temperatures, colors, life, size } = sim
+    const { blastEnergy, anisotropyUp, anisotropyXZ, verticalBias, colorsPair, sizeRange } = p
+    // Restart the stream on every reinit so a seeded stage always replays identically
+    const rng = sim.rng = createRng(p.seed)
+    const c1 = hexToLinear(colorsPair[0])
+    const c2 = hexToLinear(colorsPair[1])
+    sim.time = 0
+    sim.deposited.fill(0)
+    deposits = []
+    forces.reset()
+    const active = p.activeCount == null ? count : Math.floor(p.activeCount)
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3
+      const r = rng() * 0.25
+      // Random direction (same construction as THREE.Vector3.randomDirection)
+      const theta = rng() * Math.PI * 2
+      const u = rng() * 2 - 1
+      const cu = Math.sqrt(1 - u * u)
+      let dx = cu * Math.cos(theta), dy = u + anisotropyUp, dz = cu * Math.sin(theta)
+      // Horizontal bias in a random azimuth
+      let hx = rng() - 0.5, hz = rng() - 0.5
+      const hl = Math.hypot(hx, hz)
+      if (hl > 0) { hx = hx / hl * anisotropyXZ; hz = hz / hl * anisotropyXZ } else { hx = 0; hz = 0 }
+      dx += hx; dz += hz
+      const dl = Math.hypot(dx, dy, dz) || 1
+      dx /= dl; dy /= dl; dz /= dl
+
+      positions[i3] = dx * r
+      positions[i3 + 1] = 0.5 + Math.abs(dy) * r
+      positions[i3 + 2] = dz * r
+
+      const base = (0.6 + rng() * 0.6)
+      const v = (blastEnergy * base) / (1 + r)
+      velocities[i3] = dx * v
+      velocities[i3 + 1] = (verticalBias * Math.abs(dy) + (1 - verticalBias) * dy) * v
+      velocities[i3 + 2] = dz * v
+
+      const t = rng()
+      colors[i3] = c1[0] + (c2[0] - c1[0]) * t
+      colors[i3 + 1] = c1[1] + (c2[1] - c1[1]) * t
+      colors[i3 + 2] = c1[2] + (c2[2] - c1[2]) * t
+
+      temperatures[i] = 1.0
+      // Inactive slots start dead so they stay hidden until activeCount grows
+      life[i] = i < active ? 1.0 : 0.0
+      size[i] = sizeRange[0] + rng() * (sizeRange[1] - sizeRange[0])
+    }
+    return sim
+  }
+
+  // Advance every particle by one (fixed) step of dt seconds
+  sim.step = (dt) => {
+    const { positions, velocities, temperatures, life, deposited, rng, time } = sim
+    const shockFrom = shock.step(dt)
+    const windMix = forces.step(dt)
+    const { blastEnergy, drag, buoyancy, thermalDecay, noise, activeCount } = forces.cur
+    const active = activeCount == null ? count : Math.floor(activeCount)
+    const field = sim.windField()
+    const prevField = windMix < 1 ? forces.prevWind() : null
+    // Per-second drag so the plume decays the same regardless of step size
+    const dragFactor = dragDecay(drag, dt)
+    const fade = (0.12 + thermalDecay * 0.25) * dt
+
+    for (let i = 0; i < count; i++) {
+      // Retired slots sit out until activeCount grows again
+      if (i >= active && life[i] <= 0) continue
+      const i3 = i * 3
+      // Gravity
+      velocities[i3 + 1] -= GRAVITY * dt * 0.25
+
+      // Drag
+      velocities[i3] *= dragFactor
+      velocities[i3 + 1] *= dragFactor
+      velocities[i3 + 2] *= dragFactor
+
+      // Thermal buoyancy scaled by decaying temperature
+      if (positions[i3 + 1] > 0.2) {
+        velocities[i3 + 1] += buoyancy * temperatures[i] * dt
+        temperatures[i] = Math.max(0, temperatures[i] - thermalDecay * dt)
+      }
+
+      // Wind advection (height profile, keyframes and gusts)
+      field.sample(positions[i3], positions[i3 + 1], positions[i3 + 2], time, windOut)
+      if (prevField) {
+        prevField.sample(positions[i3], positions[i3 + 1], positions[i3 + 2], time, prevWindOut)
+        windOut[0] = prevWindOut[0] + (windOut[0] - prevWindOut[0]) * windMix
+        windOut[2] = prevWindOut[2] + (windOut[2] - prevWindOut[2]) * windMix
+      }
+      velocities[i3] += windOut[0] * dt * 0.25
+      velocities[i3 + 2] += windOut[2] * dt * 0.25
+
+      // Blast front: a one-off outward kick as it sweeps past, measured across
+      // the ground like the debris and damage targets (see lib/blastWave)
+      if (shockFrom !== null) {
+        const bx = positions[i3] - BLAST_ORIGIN[0]
+        const bz = positions[i3 + 2] - BLAST_ORIGIN[2]
+        const r = Math.hypot(bx, bz)
+        if (r >= shockFrom && r < shock.radius && r > 1e-6) {
+          const kick = shock.speedAt(r) / r
+          velocities[i3] += bx * kick
+          velocities[i3 + 2] += bz * kick
+        }
+      }
+
+      // Coarse curl noise for turbulent meander
+      if (noise > 0.0) {
+        const n = curlNoise3(positions[i3]*0.7, positions[i3+1]*0.7 + time*0.3, positions[i3+2]*0.7, noiseOut)
+        velocities[i3] += n[0] * noise * dt
+        velocities[i3+1] += n[1] * noise * dt
+        velocities[i3+2] += n[2] * noise * dt
+      }
+
+      // Integrate
+      positions[i3] += velocities[i3] * dt
+      positions[i3 + 1] += velocities[i3 + 1] * dt
+      positions[i3 + 2] += velocities[i3 + 2] * dt
+
+      // Age/fade
+      life[i] = Math.max(0, life[i] - fade)
+
+      // Ground interaction: damp and deposit
+      if (positions[i3 + 1] < 0) {
+        positions[i3 + 1] = 0
+        velocities[i3 + 1] *= -0.12
+        velocities[i3] *= 0.5
+        velocities[i3 + 2] *= 0.5
+        temperatures[i] *= 0.7
+        if (!deposited[i]) {
+          deposited[i] = 1
+          if (deposits.length < maxDeposits) deposits.push(positions[i3], positions[i3 + 2])
+        }
+      }
+
+      // Respawn when dead
+      if (life[i] <= 0.0 && i < active) {
+        const r = rng() * 0.2
+        let dx = rng() - 0.5, dy = rng(), dz = rng() - 0.5
+        const dl = Math.hypot(dx, dy, dz) || 1
+        dx /= dl; dy /= dl; dz /= dl
+        positions[i3] = dx * r
+        positions[i3 + 1] = 0.5 + Math.abs(dy) * r
+        positions[i3 + 2] = dz * r
+        const v = blastEnergy * (0.3 + rng() * 0.6)
+        velocities[i3] = dx * v
+        velocities[i3 + 1] = Math.abs(dy) * v
+        velocities[i3 + 2] = dz * v
+        life[i] = 1.0
+        temperatures[i] = 0.8
+        deposited[i] = 0
+      }
+    }
+    sim.time = time + dt
+    return sim
+  }
+
+  // Hand over the landing positions recorded since the last call
+  sim.takeDeposits = () => {
+    const out = Float32Array.from(deposits)
+    deposits = []
+    return out
+  }
+
+  sim.reinit()
+  shock.start(p.shock)
+  return sim
+}
@@ -0,0 +1,158 @@
+// Plume metrics from live particle buffers: how high and how far downwind the
+// plume has travelled, how wide it is, how much of it is still aloft and how
+// hot, plus how far debris was thrown. Height and reach use percentiles rather
+// than extremes, so a few stray embers don't dominate.
+
+// Particles below this height count as deposited (landed ones rest at y = 0)
+const GROUND_EPSILON = 0.02
+
+// Registry of layers to measure. Sources return live buffers (read-only here,
+// so no copies): { kind: 'particles', positions, life, temperatures? } or
+// { kind: 'debris', positions }
+export function createPlumeProbe() {
+  const sources = new Map()
+  return {
+    register(key, source) {
+      sources.set(key, source)
+      return () => { if (sources.get(key) === source) sources.delete(key) }
+    },
+    layers() {
+      const out = []
+      for (const source of sources.values()) {
+        const layer = source()
+        if (layer) out.push(layer)
+      }
+      return out
+    },
+  }
+}
+
+// Downwind/lateral axes use the horizontal wind direction, or +x when calm.
+// Returns null when there is nothing to measure.
+export function measurePlume(layers, wind = [1, 0, 0], { percentile = 0.95 } = {}) {
+  const particles = layers.filter((l) => l.kind !== 'debris')
+  const debris = layers.filter((l) => l.kind === 'debris')
+  if (!particles.length && !debris.length) return null
+
+  const windLength = Math.hypot(wind[0], wind[2])
+  const dx = windLength > 1e-6 ? wind[0] / windLength : 1
+  const dz = windLength > 1e-6 ? wind[2] / windLength : 0
+
+  let alive = 0
+  let airborne = 0
+  for (const { positions, life } of particles) {
+    for (let i = 0; i < life.length; i++) {
+      if (life[i] <= 0) continue
+      alive++
+      if (positions[i * 3 + 1] > GROUND_EPSILON) airborne++
+    }
+  }
+
+  const heights = new Float32Array(airborne)
+  const reaches = new Float32Array(airborne)
+  let k = 0
+  let sx = 0, sy = 0, sz = 0
+  let sumLateral = 0, sumLateral2 = 0
+  let sumTemp = 0, tempCount = 0
+  for (const { positions, life, temperatures } of particles) {
+    for (let i = 0; i < life.length; i++) {
+      if (life[i] <= 0) continue
+      if (temperatures) { sumTemp += temperatures[i]; tempCount++ }
+      const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2]
+      if (y <= GROUND_EPSILON) continue
+      const lateral = -x * dz + z * dx
+      heights[k] = y
+      reaches[k] = x * dx + z * dz
+      sx += x; sy += y; sz += z
+      sumLateral += lateral
+      sumLateral2 += lateral * lateral
+      k++
+    }
+  }
+  heights.sort()
+  reaches.sort()
+  const at = (sorted) => (airborne ? sorted[Math.min(airborne - 1, Math.floor(percentile * (airborne - 1)))] : 0)
+  const centroid = airborne ? [sx / airborne, sy / airborne, sz / airborne] : [0, 0, 0]
+  const meanLateral = airborne ? sumLateral / airborne : 0
+
+  let debrisRange = 0
+  for (const { positions } of debris) {
+    for (let i = 0; i < positions.length; i += 3) debrisRange = Math.max(debrisRange, Math.hypot(positions[i], positions[i + 2]))
+  }
+
+  return {
+    alive,
+    airborne,
+    airborneFraction: alive ? airborne / alive : 0,
+    depositedFraction: alive ? 1 - airborne / alive : 0,
+    topHeight: at(heights),
+    centroid,
+    centroidHeight: centroid[1],
+    downwindDistance: centroid[0] * dx + centroid[2] * dz,
+    reach: Math.max(0, at(reaches)),
+    // Standard deviation across the wind
+    lateralSpread: airborne ? Math.sqrt(Math.max(0, sumLateral2 / airborne - meanLateral * meanLateral)) : 0,
+    meanTemperature: tempCount ? sumTemp / tempCount : null,
+    debrisRange,
+  }
+}
+
+// Time series of measurements at a fixed simulated-time cadence, capped to the
+// most recent maxSamples
+export function createMetricsLog({ interval = 0.1, maxSamples = 1200 } = {}) {
+  const log = {
+    interval,
+    samples: [],
+    lastSample: -Infinity,
+    // Simulated time the current series started at
+    origin: null,
+    // Bumped on every change so UIs can poll cheaply
+    version: 0,
+  }
+
+  // readLayers is only called when a sample is due
+  log.maybeSample = (time, readLayers, wind, meta = {}) => {
+    if (time - log.lastSample < interval - 1e-9) return
+    log.lastSample = time
+    const metrics = measurePlume(readLayers(), wind)
+    if (!metrics) return
+    if (log.origin === null) log.origin = time
+    log.samples.push({ time: time - log.origin, ...meta, ...metrics })
+    if (log.samples.length > maxSamples) log.samples.shift()
+    log.version++
+  }
+
+  log.clear = () => {
+    log.samples = []
+    log.lastSample = -Infinity
+    log.origin = null
+    log.version++
+  }
+
+  return log
+}
+
+// CSV columns: [header, sample => value]
+export const METRIC_COLUMNS = [
+  ['time_s', (s) => s.time],
+  ['stage', (s) => s.stage ?? ''],
+  ['top_height', (s) => s.topHeight],
+  ['centroid_x', (s) => s.centroid[0]],
+  ['centroid_y', (s) => s.centroid[1]],
+  ['centroid_z', (s) => s.centroid[2]],
+  ['downwind_centroid_distance', (s) => s.downwindDistance],
+  ['downwind_reach', (s) => s.reach],
+  ['lateral_spread', (s) => s.lateralSpread],
+  ['airborne_fraction', (s) => s.airborneFraction],
+  ['deposited_fraction', (s) => s.depositedFraction],
+  ['mean_temperature', (s) => s.meanTemperature ?? ''],
+  ['debris_max_range', (s) => s.debrisRange],
+]
+
+const csvValue = (v) => (typeof v === 'number' ? String(Math.round(v * 1e4) / 1e4) : String(v))
+
+export function metricsToCsv(samples) {
+  const lines = [METRIC_COLUMNS.map(([name]) => name).join(',')]
+  for (const s of samples) lines.push(METRIC_COLUMNS.map(([, get]) => csvValue(get(s))).join(','))
+  return `${lines.join('\n')}\n`
+}
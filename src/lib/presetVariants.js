@@ -0,0 +1,51 @@
+// Named scenario variants saved in localStorage. Entries are validated on read
+// so a stale or hand-edited entry is skipped instead of breaking the editor.
+import { validateScenario } from './scenario.js'
+
+const STORAGE_KEY = 'blastsim.scenarioVariants.v1'
+
+function readAll() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY)
+    const data = raw ? JSON.parse(raw) : {}
+    return data && typeof data === 'object' ? data : {}
+  } catch (e) {
+    return {}
+  }
+}
+
+function writeAll(data) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(data))
+  } catch (e) {
+    throw new Error(`Could not save to browser storage (${e.name === 'QuotaExceededError' ? 'storage is full' : e.message})`)
+  }
+}
+
+// [{ name, savedAt, scenarioId }], newest first
+export function listVariants() {
+  return Object.entries(readAll())
+    .map(([name, v]) => ({ name, savedAt: v.savedAt, scenarioId: v.scenario?.id }))
+    .sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0))
+}
+
+export function saveVariant(name, scenario) {
+  const key = name.trim()
+  if (!key) throw new Error('Variant name is required')
+  const data = readAll()
+  data[key] = { savedAt: Date.now(), scenario }
+  writeAll(data)
+}
+
+// Returns the validated scenario; throws ScenarioError if the entry is invalid
+export function loadVariant(name) {
+  const entry = readAll()[name]
+  if (!entry) throw new Error(`No saved variant named "${name}"`)
+  return validateScenario(entry.scenario)
+}
+
+export function deleteVariant(name) {
+  const data = readAll()
+  delete data[name]
+  writeAll(data)
+}
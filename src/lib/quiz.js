@@ -0,0 +1,238 @@
+// Quiz files: questions attached to a scenario's stages, listed next to the
+// scenario in /scenarios/index.json. "choice" questions have a fixed answer;
+// "predict" questions ask the learner to set a scene parameter, predict a
+// plume metric, then play the stage, and the measured value decides which
+// option was right. Results stay in localStorage until an instructor exports them.
+import { createChecker } from './scenario.js'
+
+export const QUIZ_FORMAT = 'blast-quiz'
+export const QUIZ_VERSION = 1
+
+// Scene parameters a predict question may ask for (Leva paths, see Scene)
+export const QUIZ_PARAMETERS = {
+  energyScale: { label: 'energyScale', range: [0.25, 2] },
+  dragOffset: { label: 'dragOffset', range: [-0.02, 0.05] },
+}
+
+// Plume metrics a predict question may measure (see lib/plumeMetrics), in scene units
+export const QUIZ_METRICS = {
+  topHeight: 'Plume top height',
+  centroidHeight: 'Plume centroid height',
+  downwindDistance: 'Downwind centroid distance',
+  reach: 'Downwind reach',
+  lateralSpread: 'Lateral spread',
+  airborneFraction: 'Airborne fraction',
+  debrisRange: 'Debris max range',
+}
+
+export class QuizError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}:\n${errors.map((e) => `  • ${e}`).join('\n')}` : message)
+    this.name = 'QuizError'
+    this.errors = errors
+  }
+}
+
+const describe = (v) => (v === undefined ? 'nothing' : JSON.stringify(v))
+
+function validateQuestion(check, path, q) {
+  if (!check.object(path, q)) return
+  check.string(`${path}.id`, q.id)
+  check.string(`${path}.stage`, q.stage)
+  check.string(`${path}.prompt`, q.prompt)
+  check.string(`${path}.explanation`, q.explanation, { optional: true })
+  if (!Array.isArray(q.options) || q.options.length < 2) {
+    check.errors.push(`${path}.options: expected at least two options, got ${describe(q.options)}`)
+    return
+  }
+  if (q.type === 'choice') {
+    q.options.forEach((o, i) => check.string(`${path}.options[${i}]`, o))
+    check.number(`${path}.answer`, q.answer, [0, q.options.length - 1], { integer: true })
+  } else if (q.type === 'predict') {
+    if (check.object(`${path}.setup`, q.setup)) {
+      const parameter = Object.hasOwn(QUIZ_PARAMETERS, q.setup.parameter) ? QUIZ_PARAMETERS[q.setup.parameter] : null
+      if (!parameter) check.errors.push(`${path}.setup.parameter: expected one of ${Object.keys(QUIZ_PARAMETERS).join(', ')}, got ${describe(q.setup.parameter)}`)
+      else check.number(`${path}.setup.value`, q.setup.value, parameter.range)
+      check.number(`${path}.setup.tolerance`, q.setup.tolerance, [0, Infinity], { optional: true })
+    }
+    if (check.object(`${path}.measure`, q.measure)) {
+      if (!Object.hasOwn(QUIZ_METRICS, q.measure.metric)) check.errors.push(`${path}.measure.metric: expected one of ${Object.keys(QUIZ_METRICS).join(', ')}, got ${describe(q.measure.metric)}`)
+      check.number(`${path}.measure.after`, q.measure.after, [0.5, 120])
+    }
+    // Ranges are [min, max); a missing end is open. A measured value must
+    // fall in at most one option, so ranges can't overlap.
+    const ranges = []
+    q.options.forEach((o, i) => {
+      const p = `${path}.options[${i}]`
+      if (!check.object(p, o)) return
+      check.string(`${p}.label`, o.label)
+      const minOk = check.number(`${p}.min`, o.min, undefined, { optional: true })
+      const maxOk = check.number(`${p}.max`, o.max, undefined, { optional: true })
+      if (!minOk || !maxOk) return
+      const range = { i, min: o.min ?? -Infinity, max: o.max ?? Infinity }
+      if (range.min >= range.max) {
+        check.errors.push(`${p}: expected min below max, got [${range.min}, ${range.max})`)
+        return
+      }
+      const other = ranges.find((r) => r.min < range.max && range.min < r.max)
+      if (other) check.errors.push(`${p}: range [${range.min}, ${range.max}) overlaps options[${other.i}] [${other.min}, ${other.max})`)
+      ranges.push(range)
+    })
+  } else {
+    check.errors.push(`${path}.type: expected "choice" or "predict", got ${describe(q.type)}`)
+  }
+}
+
+// Throws QuizError listing every problem; returns the quiz unchanged otherwise.
+// Stage ids are matched against the scenario on screen later (see useScenario).
+export function validateQuiz(data) {
+  const check = createChecker()
+  if (!check.object('quiz', data)) throw new QuizError('Invalid quiz', check.errors)
+  if (data.format !== QUIZ_FORMAT) check.errors.push(`format: expected "${QUIZ_FORMAT}", got ${describe(data.format)}`)
+  if (data.version !== QUIZ_VERSION) check.errors.push(`version: this build reads version ${QUIZ_VERSION}, got ${describe(data.version)}`)
+  check.string('id', data.id)
+  check.string('title', data.title)
+  check.string('scenario', data.scenario)
+  if (!Array.isArray(data.questions) || data.questions.length === 0) {
+    check.errors.push(`questions: expected a non-empty array, got ${describe(data.questions)}`)
+  } else {
+    const ids = new Set()
+    data.questions.forEach((q, i) => {
+      validateQuestion(check, `questions[${i}]`, q)
+      if (q && ids.has(q.id)) check.errors.push(`questions[${i}].id: duplicate id ${describe(q.id)}`)
+      if (q) ids.add(q.id)
+    })
+  }
+  if (check.errors.length) throw new QuizError(`Invalid quiz${typeof data.id === 'string' ? ` "${data.id}"` : ''}`, check.errors)
+  return data
+}
+
+export async function fetchQuiz(url) {
+  const res = await fetch(url)
+  if (!res.ok) throw new QuizError(`Could not load ${url} (${res.status} ${res.statusText})`)
+  let data
+  try {
+    data = await res.json()
+  } catch (e) {
+    throw new QuizError(`${url} is not valid JSON (${e.message})`)
+  }
+  return validateQuiz(data)
+}
+
+// Index of the predict option whose range holds a measured value, or -1
+export function outcomeFor(question, value) {
+  return question.options.findIndex((o) => (o.min === undefined || value >= o.min) && (o.max === undefined || value < o.max))
+}
+
+// Whether the scene parameter is where a predict question asked for it
+export function setupSatisfied(question, value) {
+  const { value: wanted, tolerance = 0.01 } = question.setup
+  return typeof value === 'number' && Math.abs(value - wanted) <= tolerance + 1e-9
+}
+
+const STORAGE_PREFIX = 'blastsim.quizResults.v1.'
+
+// Answers for one quiz kept in localStorage (or any Storage-like object):
+// { learner, answers: { [questionId]: result } }; the latest attempt per
+// question wins. `version` is bumped on every change.
+export function createQuizResults(quiz, storage = globalThis.localStorage) {
+  const key = `${STORAGE_PREFIX}${quiz.id}`
+  const results = { version: 0, learner: '', answers: {} }
+
+  try {
+    const saved = storage && JSON.parse(storage.getItem(key) || 'null')
+    if (saved && typeof saved === 'object') {
+      results.learner = typeof saved.learner === 'string' ? saved.learner : ''
+      results.answers = saved.answers && typeof saved.answers === 'object' ? saved.answers : {}
+    }
+  } catch (e) {
+    // Unreadable or blocked storage: start empty
+  }
+
+  const save = () => {
+    results.version++
+    try {
+      if (storage) storage.setItem(key, JSON.stringify({ learner: results.learner, answers: results.answers }))
+    } catch (e) {
+      // Full or blocked storage: results live for this page only
+    }
+  }
+
+  results.setLearner = (name) => {
+    results.learner = name
+    save()
+  }
+
+  // { choice, measured?, outcome? }; returns the stored result
+  results.record = (question, { choice, measured = null, outcome = null }) => {
+    const correct = question.type === 'choice' ? choice === question.answer : outcome >= 0 && choice === outcome
+    const result = {
+      questionId: question.id,
+      stage: question.stage,
+      type: question.type,
+      choice,
+      correct,
+      measured,
+      outcome,
+      attempts: (results.answers[question.id]?.attempts || 0) + 1,
+      answeredAt: new Date().toISOString(),
+    }
+    results.answers[question.id] = result
+    save()
+    return result
+  }
+
+  results.clear = () => {
+    results.answers = {}
+    save()
+  }
+
+  results.score = () => {
+    const all = Object.values(results.answers)
+    return { correct: all.filter((r) => r.correct).length, answered: all.length, total: quiz.questions.length }
+  }
+
+  return results
+}
+
+// Export for instructors: every question, answered or not, in quiz order
+export function quizResultsReport(quiz, results) {
+  return {
+    quiz: quiz.id,
+    title: quiz.title,
+    scenario: quiz.scenario,
+    learner: results.learner,
+    exportedAt: new Date().toISOString(),
+    score: results.score(),
+    answers: quiz.questions.map((q) => {
+      const r = results.answers[q.id]
+      const label = (i) => (i == null || i < 0 ? null : q.type === 'choice' ? q.options[i] : q.options[i].label)
+      return {
+        questionId: q.id,
+        stage: q.stage,
+        type: q.type,
+        prompt: q.prompt,
+        answer: r ? label(r.choice) : null,
+        correctAnswer: q.type === 'choice' ? label(q.answer) : label(r?.outcome),
+        correct: r ? r.correct : null,
+        measured: r?.measured ?? null,
+        attempts: r?.attempts ?? 0,
+        answeredAt: r?.answeredAt ?? null,
+      }
+    }),
+  }
+}
+
+const csvCell = (v) => {
+  if (v == null) return ''
+  const s = typeof v === 'number' ? String(Math.round(v * 1e4) / 1e4) : String(v)
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+const RESULT_COLUMNS = ['learner', 'questionId', 'stage', 'type', 'prompt', 'answer', 'correctAnswer', 'correct', 'measured', 'attempts', 'answeredAt']
+
+export function quizResultsToCsv(report) {
+  const lines = [RESULT_COLUMNS.join(',')]
+  for (const a of report.answers) lines.push(RESULT_COLUMNS.map((c) => csvCell(c === 'learner' ? report.learner : a[c])).join(','))
+  return `${lines.join('\n')}\n`
+}
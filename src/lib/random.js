@@ -0,0 +1,48 @@
+// Seedable random helpers so a stage can be replayed draw-for-draw.
+// A seed of 0 (or missing) means "unseeded" and falls back to Math.random.
+
+// mulberry32: tiny, fast and good enough for visual jitter
+export function createRng(seed) {
+  if (!seed) return Math.random
+  let a = seed >>> 0
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Mix a base seed with stream keys (stage index, layer name, ...) so every
+// consumer gets an independent but reproducible sequence
+export function deriveSeed(seed, ...keys) {
+  if (!seed) return 0
+  let h = (seed >>> 0) ^ 0x811c9dc5
+  for (const key of keys) {
+    const s = String(key)
+    for (let i = 0; i < s.length; i++) {
+      h ^= s.charCodeAt(i)
+      h = Math.imul(h, 0x01000193)
+    }
+    h ^= h >>> 13
+  }
+  return (h >>> 0) || 1
+}
+
+// Uniformly distributed unit vector, same construction as THREE.Vector3.randomDirection
+export function randomDirection(rng, target) {
+  const theta = rng() * Math.PI * 2
+  const u = rng() * 2 - 1
+  const c = Math.sqrt(1 - u * u)
+  return target.set(c * Math.cos(theta), u, c * Math.sin(theta))
+}
+
+// Parse ?seed= into a positive 32-bit integer, or 0 when absent/invalid
+export function seedFromSearch(search) {
+  const raw = new URLSearchParams(search).get('seed')
+  if (raw === null || raw === '') return 0
+  const n = Number(raw)
+  if (Number.isFinite(n)) return Math.abs(Math.trunc(n)) >>> 0
+  return deriveSeed(1, raw)
+}
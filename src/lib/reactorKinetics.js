@@ -0,0 +1,240 @@
+// Point-kinetics mini-model of an RBMK core for the pre-explosion stages: six
+// delayed-neutron groups, iodine/xenon poisoning, a positive void coefficient,
+// fuel (Doppler) feedback, automatic regulating rods and the graphite
+// displacer tips that add reactivity during the first metres of a SCRAM from
+// fully withdrawn rods. Power is
+// relative to nominal (1 = 3200 MWt). Coefficients are tuned for teaching, not
+// taken from a plant model.
+
+// Delayed-neutron fractions and decay constants (1/s), U-235 six-group set
+// scaled to an RBMK-like beta_eff
+export const DELAYED_GROUPS = [
+  { beta: 0.000165, lambda: 0.0124 },
+  { beta: 0.001095, lambda: 0.0305 },
+  { beta: 0.00098, lambda: 0.111 },
+  { beta: 0.001975, lambda: 0.301 },
+  { beta: 0.000575, lambda: 1.14 },
+  { beta: 0.00021, lambda: 3.01 },
+]
+export const BETA = DELAYED_GROUPS.reduce((sum, g) => sum + g.beta, 0)
+// Prompt neutron generation time (s)
+const GENERATION_TIME = 8e-4
+const SUBSTEP = 1e-3
+
+// Total rod bank worth, spread along the travel with the usual S-shaped curve
+const ROD_WORTH = 0.06
+// Graphite displacers: extra reactivity per unit tip factor, peaking this far
+// into the insertion and gone by twice that
+const TIP_WORTH = 0.0055
+const TIP_PEAK = 0.12
+// Full insertion takes ~18 s
+const SCRAM_SPEED = 1 / 18
+// Automatic regulating rods: hold power at its starting level against slow
+// drifts (xenon, for about ten minutes here) within +/-REGULATOR_WORTH, moving
+// at most REGULATOR_RATE per second, far too slowly to catch a surge. AZ-5
+// takes them over with the rest.
+const REGULATOR_WORTH = 0.01
+const REGULATOR_RATE = 1e-4
+const REGULATOR_GAIN = 5e-4
+// Reactivity per unit core void fraction (positive in an RBMK)
+const VOID_COEFFICIENT = 0.025
+// Bulk boiling starts once power / flow passes BOILING_ONSET; past it the void
+// fraction climbs steeply (over about BOILING_SCALE) towards MAX_VOID. Below
+// the onset there is no void feedback, so the 1986 operating point rides out
+// small flow and rod moves on Doppler alone, while a surge that pushes power
+// past the onset meets a void coefficient no Doppler can hold. The void
+// settles over VOID_LAG s.
+const BOILING_ONSET = 0.12
+const BOILING_SCALE = 0.06
+const MAX_VOID = 0.9
+const VOID_LAG = 0.8
+// Fuel temperature rise (relative) follows power over FUEL_LAG s
+const DOPPLER = 0.004
+const FUEL_LAG = 4
+// Fuel disintegrates once its temperature rise passes this multiple of nominal
+const FUEL_FAILURE = 6
+// Xenon worth at full-power equilibrium; poisoning runs this many times faster
+// than real time so its hours-long swings fit in a lesson
+const XENON_WORTH = 0.028
+const XENON_SPEEDUP = 60
+const IODINE_DECAY = 2.87e-5
+const XENON_DECAY = 2.09e-5
+const XENON_BURNUP = 2e-4
+
+// Conditions at 01:23:04 on 26 April 1986: ~200 MWt, almost every rod out,
+// xenon built up from the long run at half power, all eight pumps running
+export const INITIAL_1986 = {
+  power: 0.0625,
+  withdrawal: 0.94,
+  flow: 1.15,
+  xenon: 1.35,
+}
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v))
+
+// Integral rod worth for an insertion depth in [0, 1]
+const rodReactivity = (depth) => -ROD_WORTH * (depth - Math.sin(2 * Math.PI * depth) / (2 * Math.PI))
+
+// Bump from the displacers over the first part of the travel
+function tipReactivity(travel, factor) {
+  if (factor <= 0 || travel <= 0 || travel >= 2 * TIP_PEAK) return 0
+  return TIP_WORTH * factor * Math.sin((Math.PI * travel) / (2 * TIP_PEAK))
+}
+
+function equilibriumVoid(power, flow) {
+  const excess = (power / Math.max(flow, 0.05) - BOILING_ONSET) / BOILING_SCALE
+  return excess > 0 ? MAX_VOID * (1 - Math.exp(-excess * excess)) : 0
+}
+
+// Xenon concentration at full-power equilibrium, the unit for model.xenon
+const XENON_FULL_POWER = 1 / (XENON_DECAY + XENON_BURNUP)
+
+// Live model; controls are changed through setControls and time advances in
+// advance(dt). `history` keeps [time, power] samples for plotting.
+export function createReactorModel(initial = INITIAL_1986, { historyInterval = 0.05, maxHistory = 2400 } = {}) {
+  const model = { version: 0 }
+
+  model.reset = (start = initial) => {
+    const power = start.power
+    const withdrawal = start.withdrawal
+    // Enough iodine to hold the starting xenon level for now; it drifts as
+    // the iodine decays towards the new power's equilibrium
+    const xenonAbs = start.xenon * XENON_FULL_POWER
+    const iodine = (XENON_DECAY + XENON_BURNUP * power) * xenonAbs / IODINE_DECAY
+    const fuel = power
+    const voidFraction = equilibriumVoid(power, start.flow)
+    Object.assign(model, {
+      time: 0,
+      power,
+      peakPower: power,
+      // Steady precursor populations for the starting power
+      precursors: DELAYED_GROUPS.map((g) => (g.beta * power) / (g.lambda * GENERATION_TIME)),
+      withdrawal,
+      depth: 1 - withdrawal,
+      flow: start.flow,
+      iodine,
+      xenon: start.xenon,
+      voidFraction,
+      fuel,
+      setpoint: power,
+      regulator: 0,
+      scram: null,
+      phase: 'running',
+      failed: false,
+      history: [[0, power]],
+      lastSample: 0,
+    })
+    // Whatever is left over makes the starting state exactly critical
+    model.bias = -(rodReactivity(model.depth) + VOID_COEFFICIENT * voidFraction - DOPPLER * fuel - XENON_WORTH * model.xenon)
+    model.reactivity = 0
+    model.version++
+    return model
+  }
+
+  // { withdrawal?, flow? }; rods are locked once a SCRAM is under way
+  model.setControls = ({ withdrawal, flow }) => {
+    if (withdrawal !== undefined && !model.scram && !model.failed) {
+      model.withdrawal = clamp(withdrawal, 0, 1)
+      model.depth = 1 - model.withdrawal
+    }
+    if (flow !== undefined) model.flow = clamp(flow, 0.2, 1.3)
+    model.version++
+  }
+
+  // AZ-5: every rod drives in from where it is. Rods parked near the top bring
+  // their graphite tips into the core first.
+  model.triggerScram = () => {
+    if (model.scram || model.failed) return
+    model.scram = { from: model.depth, tipFactor: clamp((model.withdrawal - 0.7) / 0.3, 0, 1) }
+    model.phase = 'scram'
+    model.version++
+  }
+
+  model.components = () => {
+    const travel = model.scram ? model.depth - model.scram.from : 0
+    return {
+      rods: rodReactivity(model.depth),
+      tips: model.scram ? tipReactivity(travel, model.scram.tipFactor) : 0,
+      void: VOID_COEFFICIENT * model.voidFraction,
+      fuel: -DOPPLER * model.fuel,
+      xenon: -XENON_WORTH * model.xenon,
+      regulator: model.regulator,
+      bias: model.bias,
+    }
+  }
+
+  function substep(dt) {
+    if (model.scram) model.depth = Math.min(1, model.depth + SCRAM_SPEED * dt)
+    const c = model.components()
+    const rho = c.rods + c.tips + c.void + c.fuel + c.xenon + c.regulator + c.bias
+    model.reactivity = rho
+
+    // Neutron population, implicit in the prompt term so deep subcriticality stays stable
+    let source = 0
+    DELAYED_GROUPS.forEach((g, i) => { source += g.lambda * model.precursors[i] })
+    const prompt = (rho - BETA) / GENERATION_TIME
+    model.power = Math.max(1e-9, (model.power + dt * source) / (1 - dt * prompt))
+    DELAYED_GROUPS.forEach((g, i) => {
+      const p = model.precursors[i]
+      model.precursors[i] = p + dt * ((g.beta / GENERATION_TIME) * model.power - g.lambda * p)
+    })
+
+    // Feedbacks
+    model.voidFraction += (equilibriumVoid(model.power, model.flow) - model.voidFraction) * (dt / VOID_LAG)
+    model.fuel += (model.power - model.fuel) * (dt / FUEL_LAG)
+    if (!model.scram) {
+      const rate = clamp(-REGULATOR_GAIN * Math.log(model.power / model.setpoint), -REGULATOR_RATE, REGULATOR_RATE)
+      model.regulator = clamp(model.regulator + rate * dt, -REGULATOR_WORTH, REGULATOR_WORTH)
+    }
+
+    // Poisoning (accelerated); xenon is normalised to full-power equilibrium
+    const xdt = dt * XENON_SPEEDUP
+    const xenonAbs = model.xenon * XENON_FULL_POWER
+    const iodineDecay = IODINE_DECAY * model.iodine
+    model.iodine += xdt * (model.power - iodineDecay)
+    model.xenon = Math.max(0, (xenonAbs + xdt * (iodineDecay - XENON_DECAY * xenonAbs - XENON_BURNUP * model.power * xenonAbs)) / XENON_FULL_POWER)
+
+    model.time += dt
+    model.peakPower = Math.max(model.peakPower, model.power)
+    if (model.fuel > FUEL_FAILURE) {
+      model.failed = true
+      model.phase = 'failed'
+    } else if (model.power > 1 && model.phase !== 'surge') {
+      model.phase = 'surge'
+    }
+  }
+
+  // Advance by dt simulated seconds; nothing moves once the fuel has failed
+  model.advance = (dt) => {
+    if (!(dt > 0) || model.failed) return model
+    let left = dt
+    while (left > 1e-9 && !model.failed) {
+      const h = Math.min(SUBSTEP, left)
+      substep(h)
+      left -= h
+    }
+    if (model.time - model.lastSample >= historyInterval || model.failed) {
+      model.lastSample = model.time
+      model.history.push([model.time, model.power])
+      if (model.history.length > maxHistory) model.history.shift()
+    }
+    model.version++
+    return model
+  }
+
+  return model.reset()
+}
+
+// Glow of the core model for a relative power (the 1986 starting point ~0.4)
+export function heatForPower(power) {
+  return clamp(0.4 + 0.25 * Math.log10(Math.max(power, 1e-3) / INITIAL_1986.power), 0.1, 3)
+}
+
+// Stage blastEnergy for an excursion that peaked at `peakPower` x nominal
+export function blastEnergyForPeak(peakPower) {
+  return clamp(10 + 4 * Math.log10(Math.max(peakPower, 1) / 10), 4, 40)
+}
+
+// Scenario stages the model stands in for, by index: running, after AZ-5,
+// the surge, and the first explosion it hands over to
+export const REACTOR_PHASE_STAGES = { running: 0, scram: 1, surge: 2, failed: 3 }
@@ -0,0 +1,58 @@
+// Run recorder: snapshots every registered source (particle layers, debris)
+// plus run metadata at a fixed simulated-time cadence into a byte-capped ring.
+
+export function createRecorder({ interval = 0.1, maxBytes = 96 * 1024 * 1024 } = {}) {
+  const sources = new Map()
+  const recorder = {
+    interval,
+    frames: [],
+    bytes: 0,
+    // Simulated time of the last capture; the first capture happens immediately
+    lastCapture: -Infinity,
+    // Bumped on every change so UIs can poll cheaply
+    version: 0,
+  }
+
+  // source() returns { kind, style, fields: { name: Float32Array } } or null.
+  // Returned arrays must be copies or otherwise immutable from then on.
+  recorder.register = (key, source) => {
+    sources.set(key, source)
+    return () => { if (sources.get(key) === source) sources.delete(key) }
+  }
+
+  recorder.capture = (time, meta) => {
+    const layers = {}
+    let bytes = 0
+    for (const [key, source] of sources) {
+      const snap = source()
+      if (!snap) continue
+      layers[key] = snap
+      // Launch-only fields shared between frames are counted every time, which
+      // keeps the cap conservative
+      for (const arr of Object.values(snap.fields)) bytes += arr.byteLength
+    }
+    recorder.frames.push({ time, meta, layers, bytes })
+    recorder.bytes += bytes
+    while (recorder.bytes > maxBytes && recorder.frames.length > 1) {
+      recorder.bytes -= recorder.frames.shift().bytes
+    }
+    recorder.lastCapture = time
+    recorder.version++
+  }
+
+  // Capture if at least one interval of simulated time passed since the last one
+  recorder.maybeCapture = (time, meta) => {
+    if (time - recorder.lastCapture >= interval - 1e-9) recorder.capture(time, meta)
+  }
+
+  recorder.frame = (index) => recorder.frames[Math.max(0, Math.min(recorder.frames.length - 1, index))] || null
+
+  recorder.clear = () => {
+    recorder.frames = []
+    recorder.bytes = 0
+    recorder.lastCapture = -Infinity
+    recorder.version++
+  }
+
+  return recorder
+}
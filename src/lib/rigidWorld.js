@@ -0,0 +1,56 @@
+// Rigid-body world for the scene's debris and the colliders it lands on
+// (cannon-es). It is stepped on fixed substeps from the sim clock's delta, so
+// pausing, playback speed and frame stepping apply to it as to every other
+// system.
+import * as CANNON from 'cannon-es'
+import { createFixedStepper } from './integrator.js'
+
+export const RIGID_DT = 1 / 60
+
+const vec = ([x, y, z]) => new CANNON.Vec3(x, y, z)
+
+function shapeFor(shape, args) {
+  if (shape === 'box') return new CANNON.Box(vec(args.map((v) => v / 2)))
+  if (shape === 'cylinder') return new CANNON.Cylinder(...args)
+  if (shape === 'plane') return new CANNON.Plane()
+  throw new Error(`Unknown body shape "${shape}"`)
+}
+
+// Body from a plain description: shape 'box' (args: full extents), 'cylinder'
+// (args: [radiusTop, radiusBottom, height, segments]) or 'plane' (normal +z
+// before rotation), with an XYZ euler rotation. Mass 0 makes it static; the
+// remaining options (collision filters, damping, sleep) go to cannon as is.
+export function createBody({ shape, args, mass = 0, position = [0, 0, 0], rotation = [0, 0, 0], velocity, angularVelocity, ...options }) {
+  const body = new CANNON.Body({
+    ...options,
+    mass,
+    type: mass > 0 ? CANNON.Body.DYNAMIC : CANNON.Body.STATIC,
+    shape: shapeFor(shape, args),
+    position: vec(position),
+  })
+  body.quaternion.setFromEuler(rotation[0], rotation[1], rotation[2])
+  if (velocity) body.velocity.set(...velocity)
+  if (angularVelocity) body.angularVelocity.set(...angularVelocity)
+  return body
+}
+
+export function createRigidWorld({ gravity = [0, -9.81, 0] } = {}) {
+  const world = new CANNON.World({ gravity: vec(gravity), allowSleep: true })
+  world.broadphase = new CANNON.SAPBroadphase(world)
+  world.solver.iterations = 5
+  world.defaultContactMaterial.contactEquationStiffness = 1e6
+  const stepper = createFixedStepper({ dt: RIGID_DT })
+
+  return {
+    world,
+    // Adds a body and returns the function that takes it out again
+    add(body) {
+      world.addBody(body)
+      return () => world.removeBody(body)
+    },
+    // Advance by delta simulated seconds
+    step(delta) {
+      stepper.advance(delta, (h) => world.step(h))
+    },
+  }
+}
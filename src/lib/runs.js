@@ -0,0 +1,164 @@
+// Records kept by the backend (see lib/apiClient): saved simulation runs — the
+// stage, scene parameters and seed that reproduce a run plus its plume metrics
+// — and shared scenarios. Runs saved while the backend is unreachable wait in
+// a localStorage outbox until it answers again.
+import { createChecker } from './scenario.js'
+import { SCENE_PARAM_DEFAULTS, BACKENDS, writeScenarioId, writeSceneParams, writeStage } from './urlState.js'
+
+export const RUN_FORMAT = 'blast-run'
+export const RUN_VERSION = 1
+
+// A run keeps at most this many metric samples, evenly thinned
+const MAX_RUN_SAMPLES = 240
+
+// Sample fields stored with a run (see lib/plumeMetrics)
+const SAMPLE_FIELDS = ['time', 'topHeight', 'centroidHeight', 'downwindDistance', 'reach', 'lateralSpread', 'airborneFraction', 'debrisRange']
+
+export class RunError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}:\n${errors.map((e) => `  • ${e}`).join('\n')}` : message)
+    this.name = 'RunError'
+    this.errors = errors
+  }
+}
+
+// Random id for client-made records; `length` base-36 characters. Bytes of
+// 252 and up are drawn again so every character is equally likely.
+export function recordId(length = 12) {
+  const bytes = new Uint8Array(length)
+  let id = ''
+  while (id.length < length) {
+    globalThis.crypto.getRandomValues(bytes)
+    for (const b of bytes) {
+      if (b < 252 && id.length < length) id += (b % 36).toString(36)
+    }
+  }
+  return id
+}
+
+function thin(samples, max) {
+  if (samples.length <= max) return samples
+  const step = (samples.length - 1) / (max - 1)
+  return Array.from({ length: max }, (_, i) => samples[Math.round(i * step)])
+}
+
+// Headline numbers shown in run lists without loading every sample
+export function summarizeMetrics(samples) {
+  if (!samples.length) return null
+  const last = samples[samples.length - 1]
+  let peakTopHeight = 0
+  let debrisRange = 0
+  for (const s of samples) {
+    peakTopHeight = Math.max(peakTopHeight, s.topHeight)
+    debrisRange = Math.max(debrisRange, s.debrisRange)
+  }
+  return {
+    duration: last.time,
+    peakTopHeight,
+    downwindDistance: last.downwindDistance,
+    lateralSpread: last.lateralSpread,
+    airborneFraction: last.airborneFraction,
+    debrisRange,
+  }
+}
+
+/**
+ * Snapshot of the run on screen.
+ * @param {{ scenario: { id: string, title: string }, stage: number, preset: { id: string, title: string }, params: typeof SCENE_PARAM_DEFAULTS, samples: object[], name?: string }} run
+ */
+export function createRun({ scenario, stage, preset, params, samples, name = '' }) {
+  const kept = thin(samples, MAX_RUN_SAMPLES).map((s) => Object.fromEntries(SAMPLE_FIELDS.map((f) => [f, s[f]])))
+  return {
+    format: RUN_FORMAT,
+    version: RUN_VERSION,
+    id: recordId(),
+    name: name.trim() || `${preset.title} · seed ${params.seed}`,
+    createdAt: new Date().toISOString(),
+    scenario: { id: scenario.id, title: scenario.title },
+    stage: { index: stage, id: preset.id, title: preset.title },
+    params: {
+      energyScale: params.energyScale,
+      dragOffset: params.dragOffset,
+      seed: params.seed,
+      backend: params.backend,
+    },
+    metrics: summarizeMetrics(kept),
+    samples: kept,
+  }
+}
+
+// Throws RunError listing every problem; returns the run unchanged otherwise.
+// Summaries from a run list pass with `samples` left out.
+export function validateRun(data, { summary = false } = {}) {
+  const check = createChecker()
+  if (!check.object('run', data)) throw new RunError('Invalid run', check.errors)
+  if (data.format !== RUN_FORMAT) check.errors.push(`format: expected "${RUN_FORMAT}", got ${JSON.stringify(data.format)}`)
+  check.string('id', data.id)
+  check.string('name', data.name)
+  check.string('createdAt', data.createdAt)
+  if (check.object('scenario', data.scenario)) check.string('scenario.id', data.scenario.id)
+  if (check.object('stage', data.stage)) {
+    check.number('stage.index', data.stage.index, [0, Infinity], { integer: true })
+    check.string('stage.id', data.stage.id)
+  }
+  if (check.object('params', data.params)) {
+    check.number('params.energyScale', data.params.energyScale, [0.25, 2])
+    check.number('params.dragOffset', data.params.dragOffset, [-0.02, 0.05])
+    check.number('params.seed', data.params.seed, [0, 2 ** 32 - 1], { integer: true })
+    if (!BACKENDS.includes(data.params.backend)) check.errors.push(`params.backend: expected one of ${BACKENDS.join(', ')}, got ${JSON.stringify(data.params.backend)}`)
+  }
+  check.object('metrics', data.metrics ?? undefined, { optional: true })
+  if (!summary && !Array.isArray(data.samples)) check.errors.push(`samples: expected an array, got ${JSON.stringify(data.samples)}`)
+  if (check.errors.length) throw new RunError(`Invalid run${typeof data.id === 'string' ? ` "${data.id}"` : ''}`, check.errors)
+  return data
+}
+
+// The run without its samples, as run lists carry it
+export function runSummary({ samples, ...summary }) {
+  return summary
+}
+
+// Query string that reopens a run in the simulator
+export function runSearch(run, defaultScenarioId) {
+  const params = new URLSearchParams()
+  writeScenarioId(params, run.scenario.id, defaultScenarioId)
+  writeStage(params, run.stage.index)
+  writeSceneParams(params, { ...SCENE_PARAM_DEFAULTS, ...run.params })
+  return params.toString()
+}
+
+// Shared scenarios: a scenario file under a short id anyone with the link can load
+export function createSharedScenario(scenario) {
+  return { id: recordId(8), title: scenario.title, createdAt: new Date().toISOString(), scenario }
+}
+
+const OUTBOX_KEY = 'blastsim.runOutbox.v1'
+
+// Runs waiting to be uploaded, oldest first, in localStorage (or any
+// Storage-like object). Unreadable entries are dropped.
+export function createRunOutbox(storage = globalThis.localStorage) {
+  const readAll = () => {
+    try {
+      const data = JSON.parse(storage?.getItem(OUTBOX_KEY) || '[]')
+      return Array.isArray(data) ? data.filter((r) => r && typeof r.id === 'string') : []
+    } catch (e) {
+      return []
+    }
+  }
+  const writeAll = (runs) => {
+    try {
+      storage?.setItem(OUTBOX_KEY, JSON.stringify(runs))
+    } catch (e) {
+      throw new Error(`Could not save to browser storage (${e.name === 'QuotaExceededError' ? 'storage is full' : e.message})`)
+    }
+  }
+  return {
+    list: readAll,
+    put(run) {
+      writeAll([...readAll().filter((r) => r.id !== run.id), run])
+    },
+    remove(id) {
+      writeAll(readAll().filter((r) => r.id !== id))
+    },
+  }
+}
@@ -0,0 +1,281 @@
+// Scenario files: versioned JSON describing every stage of a walkthrough (when
+// it happens, the narrative, physics, layer mix and autoplay length), plus an
+// optional guided lesson over those stages. The validator collects every
+// problem with a JSON path instead of stopping at the first, so an author can
+// fix a file in one pass.
+import { LESSON_ANCHORS, LESSON_VIEWPOINTS } from './lesson.js'
+import { DEFAULT_WIND_PROFILE, PROFILE_TYPES } from './windField.js'
+
+export const SCENARIO_FORMAT = 'blast-scenario'
+export const SCENARIO_VERSION = 1
+export const SCENARIO_INDEX_URL = `${import.meta.env?.BASE_URL ?? '/'}scenarios/index.json`
+export const DEFAULT_SCENARIO_ID = 'chernobyl-1986'
+
+export const DEFAULT_LAYERS = {
+  fireball: { share: 0.45, colors: ['#ffcf6b', '#ff5522'] },
+  smoke: { share: 0.65, colors: ['#111318', '#2b2f36'] },
+  embers: { count: 64, colors: ['#ffdca8', '#fff2ad'] },
+  debris: { count: 0 },
+}
+
+// State of the Unit 4 model at a stage, each 0..1: how far the upper shield
+// lid has lifted and tilted, the share of roof sections gone, and how much of
+// the core is exposed and glowing. Damage is absolute, not a per-stage delta.
+export const DEFAULT_DAMAGE = { lid: 0, roof: 0, coreExposure: 0 }
+
+// Required physics fields with their allowed ranges
+export const PHYSICS_FIELDS = {
+  blastEnergy: [0, 100],
+  drag: [0, 0.5],
+  buoyancy: [0, 10],
+  anisotropyUp: [-2, 2],
+  anisotropyXZ: [0, 5],
+  verticalBias: [0, 1],
+  thermalDecay: [0, 5],
+  count: [1, 20000],
+  heat: [0, 5],
+}
+
+export class ScenarioError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}:\n${errors.map((e) => `  • ${e}`).join('\n')}` : message)
+    this.name = 'ScenarioError'
+    this.errors = errors
+  }
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+const describe = (v) => (v === undefined ? 'nothing' : JSON.stringify(v))
+const HEX_COLOR = /^#[0-9a-f]{6}$/i
+
+// Collects validation problems as "path: expected ..., got ..." strings; shared
+// with the other data files that sit next to scenarios (see lib/quiz)
+export function createChecker() {
+  const errors = []
+  const fail = (path, expected, value) => { errors.push(`${path}: expected ${expected}, got ${describe(value)}`) }
+  const check = {
+    errors,
+    string(path, v, { optional = false } = {}) {
+      if (optional && v === undefined) return true
+      if (typeof v === 'string' && v.trim() !== '') return true
+      fail(path, 'a non-empty string', v)
+      return false
+    },
+    number(path, v, [lo, hi] = [-Infinity, Infinity], { optional = false, integer = false } = {}) {
+      if (optional && v === undefined) return true
+      const ok = typeof v === 'number' && Number.isFinite(v) && v >= lo && v <= hi && (!integer || Number.isInteger(v))
+      if (!ok) fail(path, `${integer ? 'an integer' : 'a number'}${Number.isFinite(lo) || Number.isFinite(hi) ? ` in [${lo}, ${hi}]` : ''}`, v)
+      return ok
+    },
+    vector(path, v) {
+      const ok = Array.isArray(v) && v.length === 3 && v.every((n) => typeof n === 'number' && Number.isFinite(n))
+      if (!ok) fail(path, 'an [x, y, z] array of numbers', v)
+      return ok
+    },
+    colors(path, v) {
+      const ok = Array.isArray(v) && v.length === 2 && v.every((c) => typeof c === 'string' && HEX_COLOR.test(c))
+      if (!ok) fail(path, 'a pair of "#rrggbb" colors', v)
+      return ok
+    },
+    object(path, v, { optional = false } = {}) {
+      if (optional && v === undefined) return true
+      if (isObject(v)) return true
+      fail(path, 'an object', v)
+      return false
+    },
+  }
+  return check
+}
+
+function validateLayers(check, path, layers) {
+  if (!check.object(path, layers, { optional: true }) || layers === undefined) return
+  for (const key of Object.keys(layers)) {
+    if (!(key in DEFAULT_LAYERS)) check.errors.push(`${path}.${key}: unknown layer (expected one of ${Object.keys(DEFAULT_LAYERS).join(', ')})`)
+  }
+  for (const [key, defaults] of Object.entries(DEFAULT_LAYERS)) {
+    const layer = layers[key]
+    const p = `${path}.${key}`
+    if (!check.object(p, layer, { optional: true }) || layer === undefined) continue
+    if ('share' in defaults) check.number(`${p}.share`, layer.share, [0, 2], { optional: true })
+    else check.number(`${p}.count`, layer.count, [0, 5000], { optional: true, integer: true })
+    if (layer.colors !== undefined) check.colors(`${p}.colors`, layer.colors)
+  }
+}
+
+function validateDamage(check, path, damage) {
+  if (!check.object(path, damage, { optional: true }) || damage === undefined) return
+  for (const key of Object.keys(damage)) {
+    if (!(key in DEFAULT_DAMAGE)) check.errors.push(`${path}.${key}: unknown damage field (expected one of ${Object.keys(DEFAULT_DAMAGE).join(', ')})`)
+    else check.number(`${path}.${key}`, damage[key], [0, 1])
+  }
+}
+
+// Optional wind field overrides (see lib/windField): a height profile,
+// keyframes of { t, speed?, direction? } and gust noise settings
+function validateWindField(check, path, field) {
+  if (!check.object(path, field, { optional: true }) || field === undefined) return
+  const { profile, keyframes, gusts } = field
+  if (check.object(`${path}.profile`, profile, { optional: true }) && profile !== undefined) {
+    if (profile.type !== undefined && !PROFILE_TYPES.includes(profile.type)) {
+      check.errors.push(`${path}.profile.type: expected one of ${PROFILE_TYPES.join(', ')}, got ${describe(profile.type)}`)
+    }
+    for (const key of Object.keys(DEFAULT_WIND_PROFILE)) {
+      if (key !== 'type') check.number(`${path}.profile.${key}`, profile[key], undefined, { optional: true })
+    }
+  }
+  if (keyframes !== undefined) {
+    if (!Array.isArray(keyframes)) check.errors.push(`${path}.keyframes: expected an array, got ${describe(keyframes)}`)
+    else keyframes.forEach((k, i) => {
+      const p = `${path}.keyframes[${i}]`
+      if (!check.object(p, k)) return
+      check.number(`${p}.t`, k.t)
+      check.number(`${p}.speed`, k.speed, undefined, { optional: true })
+      check.number(`${p}.direction`, k.direction, undefined, { optional: true })
+    })
+  }
+  if (check.object(`${path}.gusts`, gusts, { optional: true }) && gusts !== undefined) {
+    for (const key of ['strength', 'scale', 'frequency']) check.number(`${path}.gusts.${key}`, gusts[key], undefined, { optional: true })
+  }
+}
+
+function validateStage(check, path, stage) {
+  if (!check.object(path, stage)) return
+  check.string(`${path}.id`, stage.id)
+  check.string(`${path}.title`, stage.title)
+  check.string(`${path}.description`, stage.description)
+  check.string(`${path}.timeLabel`, stage.timeLabel, { optional: true })
+  if (check.string(`${path}.timestamp`, stage.timestamp) && Number.isNaN(Date.parse(stage.timestamp))) {
+    check.errors.push(`${path}.timestamp: expected an ISO 8601 date-time such as "1986-04-26T01:23:45+04:00", got ${describe(stage.timestamp)}`)
+  }
+  check.number(`${path}.duration`, stage.duration, [0.1, 600])
+  if (stage.explosive !== undefined && typeof stage.explosive !== 'boolean') check.errors.push(`${path}.explosive: expected true or false, got ${describe(stage.explosive)}`)
+  check.colors(`${path}.colors`, stage.colors)
+
+  const physics = stage.physics
+  if (check.object(`${path}.physics`, physics)) {
+    for (const [key, range] of Object.entries(PHYSICS_FIELDS)) {
+      check.number(`${path}.physics.${key}`, physics[key], range, { integer: key === 'count' })
+    }
+    check.vector(`${path}.physics.wind`, physics.wind)
+    validateWindField(check, `${path}.physics.windField`, physics.windField)
+  }
+  validateLayers(check, `${path}.layers`, stage.layers)
+  validateDamage(check, `${path}.damage`, stage.damage)
+}
+
+// Optional guided lesson (see lib/lesson): steps name stages by id, a viewpoint,
+// annotations (an anchor name, or { anchor?, label?, position? }) and an
+// optional auto-advance in sim seconds
+function validateLesson(check, path, lesson, stageIds) {
+  if (!check.object(path, lesson, { optional: true }) || lesson === undefined) return
+  check.string(`${path}.title`, lesson.title)
+  if (!Array.isArray(lesson.steps) || lesson.steps.length === 0) {
+    check.errors.push(`${path}.steps: expected a non-empty array, got ${describe(lesson.steps)}`)
+    return
+  }
+  lesson.steps.forEach((step, i) => {
+    const p = `${path}.steps[${i}]`
+    if (!check.object(p, step)) return
+    check.string(`${p}.title`, step.title)
+    check.string(`${p}.text`, step.text)
+    if (check.string(`${p}.stage`, step.stage) && !stageIds.has(step.stage)) {
+      check.errors.push(`${p}.stage: no stage with id ${describe(step.stage)}`)
+    }
+    // null keeps the viewer's camera (see lib/lesson)
+    if (step.view !== undefined && step.view !== null && !Object.hasOwn(LESSON_VIEWPOINTS, step.view)) {
+      check.errors.push(`${p}.view: expected one of ${Object.keys(LESSON_VIEWPOINTS).join(', ')} or null, got ${describe(step.view)}`)
+    }
+    check.number(`${p}.advance`, step.advance, [0.5, 600], { optional: true })
+    if (step.annotations === undefined) return
+    if (!Array.isArray(step.annotations)) {
+      check.errors.push(`${p}.annotations: expected an array, got ${describe(step.annotations)}`)
+      return
+    }
+    step.annotations.forEach((a, j) => {
+      const ap = `${p}.annotations[${j}]`
+      const anchor = typeof a === 'string' ? a : a?.anchor
+      if (anchor !== undefined && !Object.hasOwn(LESSON_ANCHORS, anchor)) {
+        check.errors.push(`${ap}: unknown anchor ${describe(anchor)} (expected one of ${Object.keys(LESSON_ANCHORS).join(', ')})`)
+        return
+      }
+      if (typeof a === 'string' || !check.object(ap, a)) return
+      check.string(`${ap}.label`, a.label, { optional: anchor !== undefined })
+      if (anchor === undefined || a.position !== undefined) check.vector(`${ap}.position`, a.position)
+    })
+  })
+}
+
+// Throws ScenarioError listing every problem; returns the scenario unchanged otherwise
+export function validateScenario(data) {
+  const check = createChecker()
+  if (!check.object('scenario', data)) throw new ScenarioError('Invalid scenario', check.errors)
+  if (data.format !== SCENARIO_FORMAT) check.errors.push(`format: expected "${SCENARIO_FORMAT}", got ${describe(data.format)}`)
+  if (data.version !== SCENARIO_VERSION) {
+    check.errors.push(`version: this build reads version ${SCENARIO_VERSION}, got ${describe(data.version)}`)
+  }
+  check.string('id', data.id)
+  check.string('title', data.title)
+  check.string('description', data.description, { optional: true })
+  if (!Array.isArray(data.stages) || data.stages.length === 0) {
+    check.errors.push(`stages: expected a non-empty array, got ${describe(data.stages)}`)
+  } else {
+    const ids = new Set()
+    data.stages.forEach((stage, i) => {
+      validateStage(check, `stages[${i}]`, stage)
+      if (stage && ids.has(stage.id)) check.errors.push(`stages[${i}].id: duplicate id ${describe(stage.id)}`)
+      if (stage) ids.add(stage.id)
+    })
+    validateLesson(check, 'lesson', data.lesson, ids)
+  }
+  if (check.errors.length) throw new ScenarioError(`Invalid scenario${typeof data.id === 'string' ? ` "${data.id}"` : ''}`, check.errors)
+  return data
+}
+
+// Parse JSON text (a fetched body or a dropped file) and validate it
+export function parseScenario(text, source = 'scenario') {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (e) {
+    throw new ScenarioError(`${source} is not valid JSON (${e.message})`)
+  }
+  return validateScenario(data)
+}
+
+// Flatten a stage into the preset shape the scene consumes
+export function stagePresetFor(stage) {
+  const layers = {}
+  for (const [key, defaults] of Object.entries(DEFAULT_LAYERS)) layers[key] = { ...defaults, ...(stage.layers?.[key] || {}) }
+  return {
+    ...stage.physics,
+    id: stage.id,
+    title: stage.title,
+    description: stage.description,
+    timestamp: stage.timestamp,
+    time: Date.parse(stage.timestamp),
+    timeLabel: stage.timeLabel || stage.timestamp.slice(11, 19),
+    duration: stage.duration,
+    explosive: stage.explosive ?? false,
+    colors: stage.colors,
+    layers,
+    damage: { ...DEFAULT_DAMAGE, ...(stage.damage || {}) },
+  }
+}
+
+export function stagePresetsFor(scenario) {
+  return scenario.stages.map(stagePresetFor)
+}
+
+export async function fetchScenarioIndex(url = SCENARIO_INDEX_URL) {
+  const res = await fetch(url)
+  if (!res.ok) throw new ScenarioError(`Could not load scenario list (${res.status} ${res.statusText})`)
+  const index = await res.json()
+  if (!Array.isArray(index.scenarios)) throw new ScenarioError('Scenario list is missing a "scenarios" array')
+  return index.scenarios
+}
+
+export async function fetchScenario(url) {
+  const res = await fetch(url)
+  if (!res.ok) throw new ScenarioError(`Could not load ${url} (${res.status} ${res.statusText})`)
+  return parseScenario(await res.text(), url)
+}
@@ -0,0 +1,93 @@
+// Non-WebGL fallback: the same particle and debris models as the 3D scene,
+// seen from the south as a 2D side view (x east, y up), plus plain-language
+// descriptions of the plume for screen readers.
+import { createParticleSim } from './particleSim.js'
+import { createDebrisSim } from './debrisSim.js'
+import { particleLayersFor } from './particleLayers.js'
+import { deriveSeed } from './random.js'
+import { windFieldFor } from './windField.js'
+import { UNIT4_DIMENSIONS } from './unit4.js'
+
+// Scene's single-stage layers (see lib/particleLayers) with the stage's wind
+// and seeds. `additive` and `alpha` mirror the layers' 3D materials.
+export function sideViewLayersFor(preset, stage, { energyScale = 1, dragOffset = 0, seed = 0 } = {}) {
+  const common = { wind: preset.wind, windField: windFieldFor(preset) }
+  const layers = particleLayersFor(preset, { energy: preset.blastEnergy * energyScale, drag: Math.max(0, preset.drag + dragOffset) })
+  return layers.map(({ key, additive, alphaMul, params }) => ({
+    key,
+    additive,
+    alpha: alphaMul,
+    params: { ...common, ...params, seed: deriveSeed(seed, stage, key) },
+  }))
+}
+
+// Running sims for one stage: { particles: [{ layer, sim }], debris, step(h), plumeLayers() }
+export function createSideViewSims(preset, stage, params = {}) {
+  const particles = sideViewLayersFor(preset, stage, params)
+    .filter((layer) => layer.params.count > 0)
+    .map((layer) => ({ layer, sim: createParticleSim(layer.params) }))
+  const debrisCount = preset.layers.debris.count
+  const debris = debrisCount > 0
+    ? createDebrisSim({ stage, energy: preset.blastEnergy * (params.energyScale ?? 1), seed: deriveSeed(params.seed ?? 0, stage, 'debris'), count: debrisCount })
+    : null
+  return {
+    particles,
+    debris,
+    step(h) {
+      for (const { sim } of particles) sim.step(h)
+      if (debris) debris.step(h)
+    },
+    // Layers in the shape lib/plumeMetrics measures
+    plumeLayers() {
+      const out = particles.map(({ sim }) => ({ kind: 'particles', positions: sim.positions, life: sim.life, temperatures: sim.temperatures }))
+      if (debris) out.push({ kind: 'debris', positions: debris.positions })
+      return out
+    },
+  }
+}
+
+// Building outline in the side view: [{ part, x0, x1, height }] plus the stack
+export function sideViewBuilding(dims = UNIT4_DIMENSIONS) {
+  const { hall, gallery, turbine, stack } = dims
+  const hallEnd = hall.width / 2
+  return {
+    blocks: [
+      { part: 'hall', x0: -hallEnd, x1: hallEnd, height: hall.height },
+      { part: 'gallery', x0: hallEnd, x1: hallEnd + gallery.width, height: gallery.height },
+      { part: 'turbine', x0: hallEnd + gallery.width, x1: hallEnd + gallery.width + turbine.width, height: turbine.height },
+    ],
+    stack: { x: stack.position[0], radius: stack.radius, height: stack.height },
+    core: dims.core,
+  }
+}
+
+const COMPASS = ['east', 'north-east', 'north', 'north-west', 'west', 'south-west', 'south', 'south-east']
+
+// Compass point a horizontal scene vector heads towards (+x east, -z north),
+// or null when it is too short to have a direction
+export function compassDirection([x, , z], minLength = 0.05) {
+  if (Math.hypot(x, z) < minLength) return null
+  const angle = Math.atan2(-z, x)
+  return COMPASS[((Math.round(angle / (Math.PI / 4)) % 8) + 8) % 8]
+}
+
+const round = (v) => (v >= 10 ? Math.round(v) : Math.round(v * 10) / 10)
+
+// One sentence per stage change: where we are in the sequence and what happens
+export function describeStage(preset, index, count) {
+  return `Stage ${index + 1} of ${count}, ${preset.timeLabel}: ${preset.title}. ${preset.description || ''}`.trim()
+}
+
+// How high and which way the plume has gone, from a plume metrics sample
+// (lib/plumeMetrics); heights are also given against the reactor hall
+export function describePlume(sample, dims = UNIT4_DIMENSIONS) {
+  if (!sample || sample.airborneFraction < 0.005) return 'Nothing is airborne.'
+  const parts = []
+  const ratio = sample.topHeight / dims.hall.height
+  parts.push(`Plume top ${round(sample.topHeight)} units up, ${ratio >= 1.5 ? `about ${round(ratio)} times the reactor hall's height` : ratio >= 0.8 ? 'about level with the reactor hall roof' : 'below the reactor hall roof'}.`)
+  const heading = compassDirection(sample.centroid)
+  parts.push(heading ? `Its centre has drifted ${round(Math.hypot(sample.centroid[0], sample.centroid[2]))} units to the ${heading}.` : 'Its centre is still over the reactor.')
+  parts.push(`${Math.round(sample.airborneFraction * 100)}% of the material is still airborne.`)
+  if (sample.debrisRange > 0.5) parts.push(`Debris has been thrown up to ${round(sample.debrisRange)} units.`)
+  return parts.join(' ')
+}
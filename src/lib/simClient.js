@@ -0,0 +1,221 @@
+// Main-thread side of the simulation backends. Both backends hand out "systems"
+// with the same shape: typed-array `fields` to bind as geometry attributes, a
+// `version` bumped whenever frame fields change, a `launchVersion` bumped
+// after every (re)launch and takeDeposits() for landing events since last call.
+import { getSimKind } from './simKinds.js'
+import { createFixedStepper } from './integrator.js'
+
+export function sharedMemoryAvailable() {
+  return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true
+}
+
+function pickFields(def, sim) {
+  const fields = {}
+  for (const f of [...def.frameFields, ...def.launchFields]) fields[f] = sim[f]
+  return fields
+}
+
+// Fallback backend: steps on the main thread inside the render loop
+export function createLocalSystem(kind, params) {
+  const def = getSimKind(kind)
+  let sim = def.create(params)
+  const stepper = createFixedStepper()
+  const system = {
+    kind,
+    count: sim.count,
+    fields: pickFields(def, sim),
+    version: 0,
+    launchVersion: 0,
+    reinit(next) {
+      sim = def.reinit(sim, next)
+      system.fields = pickFields(def, sim)
+      system.launchVersion++
+      system.version++
+    },
+    setParams(next) {
+      def.setParams(sim, next)
+    },
+    advance(delta) {
+      if (stepper.advance(delta, (h) => sim.step(h), def.substeps(sim)) > 0) system.version++
+    },
+    takeDeposits() {
+      return def.takeDeposits(sim)
+    },
+    dispose() {},
+  }
+  return system
+}
+
+function allocate(def, count, fields, Buffer) {
+  const out = {}
+  for (const f of fields) out[f] = new Float32Array(new Buffer(count * def.strides[f] * 4))
+  return out
+}
+
+function createWorkerClient() {
+  const worker = new Worker(new URL('./simWorker.js', import.meta.url), { type: 'module' })
+  const shared = sharedMemoryAvailable()
+  const handles = new Map()
+  let nextId = 1
+  let seq = 0
+  let inFlight = false
+  let pendingDelta = 0
+  let lastClockTime = -1
+  let returned = {}
+
+  const client = { shared, failed: false }
+
+  function applyFrame(handle, frame) {
+    const { def } = handle
+    if (frame.front !== undefined) {
+      // Swap the attribute arrays to the buffer the worker just finished
+      for (const f of def.frameFields) handle.fields[f] = handle.sharedViews[frame.front][f]
+    } else {
+      for (const f of def.frameFields) handle.fields[f].set(frame.fields[f])
+      // Shared-mode launch frames are one-off copies the worker doesn't pool
+      if (!handle.sharedViews) returned[handle.id] = frame.fields
+    }
+    if (frame.deposits) handle.deposits.push(frame.deposits)
+    handle.version++
+  }
+
+  worker.onmessage = (e) => {
+    const msg = e.data
+    if (msg.type === 'launch') {
+      const handle = handles.get(msg.id)
+      if (!handle) return
+      for (const f of handle.def.launchFields) handle.fields[f].set(msg.fields[f])
+      handle.launchVersion++
+      applyFrame(handle, msg.frame)
+    } else if (msg.type === 'frame') {
+      inFlight = false
+      for (const [id, frame] of Object.entries(msg.frames)) {
+        const handle = handles.get(Number(id))
+        if (handle) applyFrame(handle, frame)
+      }
+    }
+  }
+
+  // Systems created from now on go straight to the main thread, and live ones
+  // relaunch there with their latest params so no layer is left frozen
+  worker.onerror = () => {
+    client.failed = true
+    inFlight = false
+    for (const handle of handles.values()) handle.moveToMainThread()
+  }
+
+  // Called by every system each frame with the sim clock's delta and time.
+  // Systems on the same clock (both sides of the compare view, say) share one
+  // time, so its delta only counts once; no new step is sent while the
+  // previous one is in flight.
+  function tick(delta, clockTime) {
+    if (clockTime !== lastClockTime) {
+      lastClockTime = clockTime
+      pendingDelta += delta
+    }
+    if (inFlight || handles.size === 0) return
+    const transfer = []
+    for (const fields of Object.values(returned)) transfer.push(...Object.values(fields).map((a) => a.buffer))
+    worker.postMessage({ type: 'step', seq: ++seq, delta: pendingDelta, returned }, transfer)
+    returned = {}
+    pendingDelta = 0
+    inFlight = true
+  }
+
+  client.create = (kind, params) => {
+    const def = getSimKind(kind)
+    const count = def.countFor(params)
+    const id = nextId++
+    const sharedViews = shared ? [allocate(def, count, def.frameFields, SharedArrayBuffer), allocate(def, count, def.frameFields, SharedArrayBuffer)] : null
+    const frameFields = shared ? sharedViews[0] : allocate(def, count, def.frameFields, ArrayBuffer)
+    // Latest launch and force params, kept for a move to the main thread
+    const latest = { ...params }
+    // Main-thread system standing in after the worker failed
+    let local = null
+    const handle = {
+      id,
+      def,
+      kind,
+      count,
+      sharedViews,
+      fields: { ...frameFields, ...allocate(def, count, def.launchFields, ArrayBuffer) },
+      version: 0,
+      launchVersion: 0,
+      deposits: [],
+      reinit(next) {
+        Object.assign(latest, next)
+        if (!local) {
+          worker.postMessage({ type: 'reinit', id, params: next })
+          return
+        }
+        local.reinit(next)
+        handle.fields = local.fields
+        handle.launchVersion++
+        handle.version++
+      },
+      setParams(next) {
+        Object.assign(latest, next)
+        if (local) local.setParams(next)
+        else worker.postMessage({ type: 'params', id, params: next })
+      },
+      advance(delta, clockTime) {
+        if (!local) {
+          tick(delta, clockTime)
+          return
+        }
+        const before = local.version
+        local.advance(delta)
+        if (local.version !== before) handle.version++
+      },
+      moveToMainThread() {
+        if (local) return
+        local = createLocalSystem(kind, latest)
+        handle.fields = local.fields
+        handle.launchVersion++
+        handle.version++
+      },
+      takeDeposits() {
+        if (local) return local.takeDeposits()
+        if (handle.deposits.length === 0) return null
+        const chunks = handle.deposits
+        handle.deposits = []
+        if (chunks.length === 1) return chunks[0]
+        const out = new Float32Array(chunks.reduce((n, c) => n + c.length, 0))
+        let offset = 0
+        for (const c of chunks) { out.set(c, offset); offset += c.length }
+        return out
+      },
+      dispose() {
+        handles.delete(id)
+        delete returned[id]
+        if (!local) worker.postMessage({ type: 'dispose', id })
+      },
+    }
+    handles.set(id, handle)
+    const sharedBuffers = sharedViews && sharedViews.map((set) => Object.fromEntries(Object.entries(set).map(([f, a]) => [f, a.buffer])))
+    worker.postMessage({ type: 'create', id, kind, params, shared: sharedBuffers })
+    return handle
+  }
+
+  return client
+}
+
+let workerClient = null
+
+// Lazily spins up the shared worker; returns null when workers are unavailable
+export function getSimClient() {
+  if (workerClient === null) {
+    try {
+      workerClient = typeof Worker === 'undefined' ? false : createWorkerClient()
+    } catch (e) {
+      workerClient = false
+    }
+  }
+  return workerClient && !workerClient.failed ? workerClient : null
+}
+
+// Create a system on the requested backend, falling back to the main thread
+export function createSimSystem(kind, params, backend = 'worker') {
+  const client = backend === 'worker' ? getSimClient() : null
+  return client ? client.create(kind, params) : createLocalSystem(kind, params)
+}
@@ -0,0 +1,43 @@
+// Registry of steppable systems. The main-thread path and the worker both go
+// through this table, so a layer behaves identically wherever it runs.
+import { createParticleSim } from './particleSim.js'
+import { createDebrisSim, debrisCountFor } from './debrisSim.js'
+import { substepsFor } from './integrator.js'
+
+export const SIM_KINDS = {
+  particles: {
+    create: (params) => createParticleSim(params),
+    // Launch params need a fresh particle set; only a new count needs new buffers
+    reinit: (sim, params) => {
+      if (params.count !== undefined && params.count !== sim.count) return createParticleSim({ ...sim.params, ...params })
+      sim.setParams(params)
+      return sim.reinit()
+    },
+    setParams: (sim, params) => sim.setParams(params),
+    substeps: (sim) => substepsFor(sim.params.blastEnergy),
+    countFor: (params) => params.count ?? 2000,
+    // Fields the renderer reads every frame vs. only after a (re)launch
+    frameFields: ['positions', 'life', 'temperatures'],
+    launchFields: ['colors', 'size'],
+    strides: { positions: 3, life: 1, temperatures: 1, colors: 3, size: 1 },
+    // Landing events ([x, z] pairs) drained after every stepped frame
+    takeDeposits: (sim) => sim.takeDeposits(),
+  },
+  debris: {
+    create: (params) => createDebrisSim(params),
+    reinit: (sim, params) => createDebrisSim({ stage: sim.stage, energy: sim.energy, seed: sim.seed, ...params }),
+    setParams: () => {},
+    substeps: (sim) => substepsFor(sim.energy),
+    countFor: (params) => params.count ?? debrisCountFor(params.stage ?? 0),
+    frameFields: ['positions', 'rotations'],
+    launchFields: ['scales'],
+    strides: { positions: 3, rotations: 3, scales: 1 },
+    takeDeposits: () => null,
+  },
+}
+
+export function getSimKind(kind) {
+  const def = SIM_KINDS[kind]
+  if (!def) throw new Error(`Unknown simulation kind "${kind}"`)
+  return def
+}
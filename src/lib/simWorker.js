@@ -0,0 +1,105 @@
+// Worker entry that steps every registered system off the main thread.
+// Frame output goes back either through SharedArrayBuffers (double-buffered,
+// when the page is cross-origin isolated) or as transferred ArrayBuffers.
+import { getSimKind } from './simKinds.js'
+import { createFixedStepper } from './integrator.js'
+
+const systems = new Map()
+
+function copyFields(sim, fields, target) {
+  for (const f of fields) target[f].set(sim[f])
+}
+
+function launchPayload(entry) {
+  const out = {}
+  for (const f of entry.def.launchFields) out[f] = entry.sim[f].slice()
+  return out
+}
+
+function writeFrame(entry) {
+  const { def, sim, shared } = entry
+  if (shared) {
+    // Write into the buffer the main thread is not currently drawing
+    const back = 1 - entry.front
+    copyFields(sim, def.frameFields, shared[back])
+    entry.front = back
+    return { front: back }
+  }
+  const out = {}
+  for (const f of def.frameFields) {
+    const pooled = entry.pool[f]
+    const arr = pooled && pooled.length === sim[f].length ? pooled : new Float32Array(sim[f].length)
+    arr.set(sim[f])
+    out[f] = arr
+    entry.pool[f] = null
+  }
+  return { fields: out }
+}
+
+// A (re)launch frame always goes as copies, which the main thread writes into
+// the arrays it draws. With shared buffers the front only flips when a step
+// is published, so a step queued behind a relaunch still writes into the
+// buffer that isn't on screen.
+function launch(id, entry) {
+  const fields = {}
+  for (const f of entry.def.frameFields) fields[f] = entry.sim[f].slice()
+  self.postMessage({ type: 'launch', id, count: entry.sim.count, fields: launchPayload(entry), frame: { fields } })
+}
+
+self.onmessage = (e) => {
+  const msg = e.data
+  switch (msg.type) {
+    case 'create': {
+      const def = getSimKind(msg.kind)
+      const sim = def.create(msg.params)
+      const shared = msg.shared ? msg.shared.map((set) => Object.fromEntries(Object.entries(set).map(([f, buf]) => [f, new Float32Array(buf)]))) : null
+      const entry = { def, sim, shared, front: 0, pool: {}, stepper: createFixedStepper() }
+      systems.set(msg.id, entry)
+      launch(msg.id, entry)
+      break
+    }
+    case 'reinit': {
+      const entry = systems.get(msg.id)
+      if (!entry) return
+      entry.sim = entry.def.reinit(entry.sim, msg.params)
+      launch(msg.id, entry)
+      break
+    }
+    case 'params': {
+      const entry = systems.get(msg.id)
+      if (entry) entry.def.setParams(entry.sim, msg.params)
+      break
+    }
+    case 'dispose':
+      systems.delete(msg.id)
+      break
+    case 'step': {
+      // Buffers handed back by the main thread are reused for the next frame
+      if (msg.returned) {
+        for (const [id, fields] of Object.entries(msg.returned)) {
+          const entry = systems.get(Number(id))
+          if (entry) Object.assign(entry.pool, fields)
+        }
+      }
+      const frames = {}
+      const transfer = []
+      for (const [id, entry] of systems) {
+        const { sim, def } = entry
+        const steps = entry.stepper.advance(msg.delta, (h) => sim.step(h), def.substeps(sim))
+        if (steps === 0) continue
+        const frame = writeFrame(entry)
+        if (frame.fields) transfer.push(...Object.values(frame.fields).map((a) => a.buffer))
+        const deposits = def.takeDeposits(sim)
+        if (deposits && deposits.length) {
+          frame.deposits = deposits
+          transfer.push(deposits.buffer)
+        }
+        frames[id] = frame
+      }
+      self.postMessage({ type: 'frame', seq: msg.seq, frames }, transfer)
+      break
+    }
+    default:
+      break
+  }
+}
@@ -0,0 +1,64 @@
+// Parametric layout of the Unit 4 building in scene units, centred on the core,
+// plus which roof sections a given damage level has broken away. Proportions
+// are schematic, not surveyed.
+import { createRng } from './random.js'
+
+// Physical scale of the whole scene, set by the building: the hall is 1.8
+// units across (about 70 m). The blast model and the regional map use it too.
+export const SCENE_METERS_PER_UNIT = 40
+
+export const UNIT4_DIMENSIONS = {
+  // Graphite stack and the upper biological shield ("Elena") resting on it
+  core: { radius: 0.42, height: 0.5, y: 0.5 },
+  lid: { radius: 0.5, thickness: 0.08 },
+  // Reactor hall around the core; the roof is a grid of grid x grid sections
+  hall: { width: 1.8, depth: 1.8, height: 1.9, wall: 0.08, grid: 4 },
+  // Deaerator gallery and turbine hall run along +x
+  gallery: { width: 0.45, depth: 1.6, height: 1.5 },
+  turbine: { width: 4.2, depth: 1.7, height: 1.1 },
+  // Ventilation stack shared with Unit 3, behind the hall
+  stack: { position: [0.9, 0, -1.7], radius: 0.2, height: 4.2, bands: 6 },
+  // How far the lid rises and tips at full damage
+  lidLift: 1.4,
+  lidTilt: (75 * Math.PI) / 180,
+}
+
+// Fixed so the building always fails the same way, regardless of the run seed
+const ROOF_SEED = 4
+
+// [{ index, position: [x, y, z], size }] with the breaking order baked in:
+// sections nearest the core go first, jittered so the hole isn't symmetric
+export function roofSections(dims = UNIT4_DIMENSIONS) {
+  const { width, depth, height, grid } = dims.hall
+  const sx = width / grid, sz = depth / grid
+  const rng = createRng(ROOF_SEED)
+  const sections = []
+  for (let iz = 0; iz < grid; iz++) {
+    for (let ix = 0; ix < grid; ix++) {
+      const x = -width / 2 + sx * (ix + 0.5)
+      const z = -depth / 2 + sz * (iz + 0.5)
+      sections.push({ index: sections.length, position: [x, height, z], size: Math.min(sx, sz), order: Math.hypot(x, z) + rng() * 0.3 })
+    }
+  }
+  const ranked = sections.slice().sort((a, b) => a.order - b.order)
+  ranked.forEach((s, rank) => { s.rank = rank })
+  return sections
+}
+
+// Sections gone at a roof damage level in [0, 1]
+export function brokenRoofSections(sections, roof) {
+  const broken = Math.round(roof * sections.length)
+  return sections.filter((s) => s.rank < broken)
+}
+
+// Parts that register blast damage, with the horizontal distance from the
+// core to their nearest wall (the hall's own walls for the reactor hall)
+export function blastTargets(dims = UNIT4_DIMENSIONS) {
+  const { hall, gallery, turbine, stack } = dims
+  return [
+    { id: 'hall', label: 'Reactor hall', distance: Math.min(hall.width, hall.depth) / 2 },
+    { id: 'gallery', label: 'Deaerator gallery', distance: hall.width / 2 },
+    { id: 'turbine', label: 'Turbine hall', distance: hall.width / 2 + gallery.width },
+    { id: 'stack', label: 'Ventilation stack', distance: Math.max(0, Math.hypot(stack.position[0], stack.position[2]) - stack.radius) },
+  ]
+}
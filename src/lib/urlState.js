@@ -0,0 +1,125 @@
+// Shareable view state in the query string. Values equal to their defaults are
+// left out so plain links stay short; anything unparsable falls back to the
+// default rather than failing.
+import { seedFromSearch } from './random.js'
+
+export const SCENE_PARAM_DEFAULTS = {
+  energyScale: 1.0,
+  dragOffset: 0.0,
+  seed: 0,
+  backend: 'worker',
+}
+
+export const BACKENDS = ['worker', 'main', 'gpu']
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v))
+
+function readNumber(params, key, fallback, lo = -Infinity, hi = Infinity) {
+  const raw = params.get(key)
+  if (raw === null || raw === '') return fallback
+  const n = Number(raw)
+  return Number.isFinite(n) ? clamp(n, lo, hi) : fallback
+}
+
+// Trim float noise so URLs stay readable
+const fmt = (n, digits = 3) => String(Number(n.toFixed(digits)))
+
+export function readStage(params) {
+  return Math.trunc(readNumber(params, 'stage', 0, 0))
+}
+
+export function writeStage(params, stage) {
+  if (stage > 0) params.set('stage', String(stage))
+  else params.delete('stage')
+}
+
+export function readComposite(params) {
+  return params.get('mode') === 'composite'
+}
+
+export function writeComposite(params, composite) {
+  if (composite) params.set('mode', 'composite')
+  else params.delete('mode')
+}
+
+// Geographic map mode (see lib/geoMap)
+export function readMapMode(params) {
+  return params.get('map') === '1'
+}
+
+export function writeMapMode(params, on) {
+  if (on) params.set('map', '1')
+  else params.delete('map')
+}
+
+// Quiz panel for the current stage (see lib/quiz)
+export function readQuizOpen(params) {
+  return params.get('quiz') === '1'
+}
+
+export function writeQuizOpen(params, on) {
+  if (on) params.set('quiz', '1')
+  else params.delete('quiz')
+}
+
+// Leva values the Scene exposes; ranges mirror the control definitions
+export function readSceneParams(params) {
+  const backend = params.get('backend')
+  return {
+    energyScale: readNumber(params, 'energy', SCENE_PARAM_DEFAULTS.energyScale, 0.25, 2.0),
+    dragOffset: readNumber(params, 'drag', SCENE_PARAM_DEFAULTS.dragOffset, -0.02, 0.05),
+    seed: seedFromSearch(params.toString()),
+    backend: BACKENDS.includes(backend) ? backend : SCENE_PARAM_DEFAULTS.backend,
+  }
+}
+
+export function writeSceneParams(params, values) {
+  const set = (key, value, isDefault) => { if (isDefault) params.delete(key); else params.set(key, value) }
+  set('energy', fmt(values.energyScale), values.energyScale === SCENE_PARAM_DEFAULTS.energyScale)
+  set('drag', fmt(values.dragOffset), values.dragOffset === SCENE_PARAM_DEFAULTS.dragOffset)
+  set('seed', String(values.seed), !values.seed)
+  set('backend', values.backend, values.backend === SCENE_PARAM_DEFAULTS.backend)
+}
+
+// 'x,y,z' -> [x, y, z], or null when missing or malformed
+export function readVector(params, key) {
+  const raw = params.get(key)
+  if (!raw) return null
+  const v = raw.split(',').map(Number)
+  return v.length === 3 && v.every(Number.isFinite) ? v : null
+}
+
+export function writeVector(params, key, v) {
+  if (v) params.set(key, v.map((n) => fmt(n, 2)).join(','))
+  else params.delete(key)
+}
+
+// Camera position and OrbitControls target, each null when not in the URL
+export function readCamera(params) {
+  return { position: readVector(params, 'cam'), target: readVector(params, 'target') }
+}
+
+export function writeCamera(params, { position, target }) {
+  writeVector(params, 'cam', position)
+  writeVector(params, 'target', target)
+}
+
+// Scenario id from /scenarios/index.json; the default scenario is implied
+export function readScenarioId(params, fallback) {
+  return params.get('scenario') || fallback
+}
+
+export function writeScenarioId(params, id, fallback) {
+  if (id && id !== fallback) params.set('scenario', id)
+  else params.delete('scenario')
+}
+
+// Shared scenario id on the backend (see lib/runs); replaces the indexed scenario while set
+export function readSharedScenarioId(params) {
+  return params.get('shared') || null
+}
+
+export function writeSharedScenarioId(params, id) {
+  if (id) params.set('shared', id)
+  else params.delete('shared')
+}
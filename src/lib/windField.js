@@ -0,0 +1,131 @@
+// Wind field model: a time-keyframed surface wind scaled by a height profile,
+// with optional gusts from the same curl noise the plume uses. Configs are plain
+// JSON so they can live in presets and cross into the simulation worker.
+import { curlNoise3 } from './noise.js'
+
+export const DEFAULT_WIND_PROFILE = {
+  // 'uniform' | 'power' | 'log'
+  type: 'uniform',
+  // Height (scene units) at which the keyframed speed applies
+  refHeight: 10,
+  // Power-law exponent (~0.1 open water .. 0.3 urban)
+  alpha: 0.16,
+  // Log-law roughness length
+  roughness: 0.05,
+  // Below this height the profile is clamped so the ground isn't dead calm
+  minHeight: 0.5,
+}
+
+export const PROFILE_TYPES = ['uniform', 'power', 'log']
+
+// Fill in defaults. base is the preset's [x, y, z] wind; keyframes are
+// { t (s), speed, direction (degrees in the xz plane, 0 = +x, 90 = +z) }.
+export function normalizeWindConfig({ base = [0, 0, 0], profile = {}, keyframes = [], gusts = {} } = {}) {
+  return {
+    base: [base[0] || 0, base[1] || 0, base[2] || 0],
+    profile: { ...DEFAULT_WIND_PROFILE, ...profile },
+    keyframes: [...keyframes].sort((a, b) => a.t - b.t),
+    gusts: { strength: 0, scale: 0.15, frequency: 0.4, ...gusts },
+  }
+}
+
+// Config for a stage preset: its constant wind plus any windField overrides
+export function windFieldFor(preset) {
+  return normalizeWindConfig({ base: preset.wind, ...(preset.windField || {}) })
+}
+
+function lerpAngle(a, b, k) {
+  const d = ((b - a + 540) % 360) - 180
+  return a + d * k
+}
+
+export function createWindField(config) {
+  const c = normalizeWindConfig(config)
+  const { base, profile, keyframes, gusts } = c
+  const noise = [0, 0, 0]
+  const baseSpeed = Math.hypot(base[0], base[2])
+  const baseDir = Math.atan2(base[2], base[0]) * 180 / Math.PI
+  const logRef = Math.log(profile.refHeight / profile.roughness)
+
+  const field = { config: c }
+
+  // Height-independent surface wind at time t
+  field.baseAt = (t, out = [0, 0, 0]) => {
+    if (keyframes.length === 0) {
+      out[0] = base[0]; out[1] = base[1]; out[2] = base[2]
+      return out
+    }
+    let speed, dir
+    const first = keyframes[0]
+    const last = keyframes[keyframes.length - 1]
+    if (t <= first.t) {
+      speed = first.speed ?? baseSpeed; dir = first.direction ?? baseDir
+    } else if (t >= last.t) {
+      speed = last.speed ?? baseSpeed; dir = last.direction ?? baseDir
+    } else {
+      let i = 1
+      while (keyframes[i].t < t) i++
+      const a = keyframes[i - 1], b = keyframes[i]
+      const k = (t - a.t) / (b.t - a.t)
+      const sa = a.speed ?? baseSpeed, sb = b.speed ?? baseSpeed
+      speed = sa + (sb - sa) * k
+      dir = lerpAngle(a.direction ?? baseDir, b.direction ?? baseDir, k)
+    }
+    const rad = dir * Math.PI / 180
+    out[0] = Math.cos(rad) * speed
+    out[1] = base[1]
+    out[2] = Math.sin(rad) * speed
+    return out
+  }
+
+  // Multiplier on the surface wind at height y
+  field.profileFactor = (y) => {
+    const h = Math.max(profile.minHeight, y)
+    if (profile.type === 'power') return Math.pow(h / profile.refHeight, profile.alpha)
+    if (profile.type === 'log') return Math.max(0, Math.log(h / profile.roughness) / logRef)
+    return 1
+  }
+
+  field.sample = (x, y, z, t, out = [0, 0, 0]) => {
+    field.baseAt(t, out)
+    const f = field.profileFactor(y)
+    out[0] *= f
+    out[2] *= f
+    if (gusts.strength > 0) {
+      const s = gusts.scale
+      curlNoise3(x * s, y * s, z * s + t * gusts.frequency, noise)
+      const g = gusts.strength * Math.max(baseSpeed, 0.1) * f
+      out[0] += noise[0] * g
+      out[1] += noise[1] * g * 0.25
+      out[2] += noise[2] * g
+    }
+    return out
+  }
+
+  return field
+}
+
+// Field fixed part-way (k = 0..1) between two others, e.g. to freeze a wind
+// blend that is interrupted by the next one. Profile and gust settings (config)
+// are taken from `to`.
+export function mixWindFields(from, to, k) {
+  const a = [0, 0, 0]
+  const mix = (out) => {
+    out[0] = a[0] + (out[0] - a[0]) * k
+    out[1] = a[1] + (out[1] - a[1]) * k
+    out[2] = a[2] + (out[2] - a[2]) * k
+    return out
+  }
+  return {
+    config: to.config,
+    baseAt: (t, out = [0, 0, 0]) => {
+      from.baseAt(t, a)
+      return mix(to.baseAt(t, out))
+    },
+    profileFactor: (y) => from.profileFactor(y) + (to.profileFactor(y) - from.profileFactor(y)) * k,
+    sample: (x, y, z, t, out = [0, 0, 0]) => {
+      from.sample(x, y, z, t, a)
+      return mix(to.sample(x, y, z, t, out))
+    },
+  }
+}
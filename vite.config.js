@@ -1,6 +1,11 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const crossOriginIsolation = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'credentialless'
+}
+
 export default defineConfig({
   plugins: [react()],
   optimizeDeps: {
@@ -21,10 +26,16 @@ export default defineConfig({
       origin: '*',
       credentials: true
     },
+    // Cross-origin isolation lets the simulation worker share buffers via
+    // SharedArrayBuffer; without it the worker falls back to transfers
+    headers: crossOriginIsolation,
     allowedHosts: [
       '.modal.host',
       'localhost',
       '127.0.0.1'
     ]
+  },
+  preview: {
+    headers: crossOriginIsolation
   }
 })
\ No newline at end of file